@@ -1,7 +1,12 @@
 import * as THREE from 'three';
-import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { MyContents } from './MyContents.js';
 import { MyGuiInterface } from './MyGuiInterface.js';
+import { MyPicker } from './MyPicker.js';
+import { MyLightHelpers } from './MyLightHelpers.js';
+import { MyEffectComposer } from './MyEffectComposer.js';
+import { MyCameraControls } from './MyCameraControls.js';
+import { MyCameraAnimator } from './MyCameraAnimator.js';
+import { updateCameraAspect } from './parser/customClasses/02_MyCamera.js';
 import Stats from 'three/addons/libs/stats.module.js'
 
 /**
@@ -20,14 +25,18 @@ class MyApp  {
         this.activeCameraName = null;
         this.lastCameraName = null;
         this.cameras = {};
-        this.frustumSize = 20;
 
         // Other attributes
         this.renderer = null;
         this.controls = null;
+        this.cameraControls = null;
+        this.cameraAnimator = null;
         this.gui = null;
         this.axis = null;
         this.contents = null;
+        this.picker = null;
+        this.lightHelpers = null;
+        this.effectComposer = null;
     }
 
     /**
@@ -56,6 +65,21 @@ class MyApp  {
         // Append Renderer to DOM
         document.getElementById("canvas").appendChild(this.renderer.domElement);
 
+        // Select meshes by clicking on them
+        this.picker = new MyPicker(this);
+
+        // Overlays of the lights, toggled in the GUI
+        this.lightHelpers = new MyLightHelpers(this.scene);
+
+        // Postprocessing effects of the loaded scene
+        this.effectComposer = new MyEffectComposer(this);
+
+        // Controls of each camera, swapped with the active camera
+        this.cameraControls = new MyCameraControls(this);
+
+        // Transitions between cameras and camera tours
+        this.cameraAnimator = new MyCameraAnimator(this);
+
         // Initialize the default camera
         this.initDefaultCamera();
         this.setActiveCamera('Perspective');
@@ -65,6 +89,28 @@ class MyApp  {
 
         // Manage window resizes
         window.addEventListener('resize', this.onResize.bind(this), false);
+
+        // Allow loading a scene by dragging a YASF file onto the page
+        window.addEventListener('dragover', (event) => event.preventDefault(), false);
+        window.addEventListener('drop', this.onFileDrop.bind(this), false);
+    }
+
+    /**
+     * The drag-and-drop handler. Loads the dropped JSON file as the new scene.
+     * @param {DragEvent} event - The drop event.
+     */
+    onFileDrop(event) {
+        event.preventDefault();
+
+        const file = event.dataTransfer?.files[0];
+        if (!file) return;
+
+        if (!file.name.toLowerCase().endsWith('.json')) {
+            console.warn(`Dropped file '${file.name}' is not a YASF (.json) file.`);
+            return;
+        }
+
+        this.contents.loadScene(file);
     }
 
     /**
@@ -78,10 +124,27 @@ class MyApp  {
         this.contents.onSceneLoadedApp = () => {
             console.info("Scene loaded. Initializing GUI...");
 
-            // Create and initialize the GUI interface after contents are ready
-            this.gui = new MyGuiInterface(this);
-            this.gui.setContents(this.contents);
-            this.gui.init();
+            // The selected mesh and the lights with helpers belonged to the previously loaded scene
+            this.picker.clearSelection();
+            this.lightHelpers.clear();
+
+            this.createGui();
+        };
+
+        // Set a callback for when changes of the watched scene file have been applied
+        this.contents.onSceneReloadedApp = () => {
+            console.info("Scene updated. Refreshing GUI...");
+
+            // The selected mesh and the lights with helpers may have been rebuilt
+            this.picker.refreshSelection();
+            this.lightHelpers.clear();
+
+            // The GUI controls objects that may have been replaced, but keeps its folders open or closed
+            const folderStates = this.gui?.getFolderStates() ?? null;
+            this.createGui();
+            if (folderStates) {
+                this.gui.setFolderStates(folderStates);
+            }
         };
 
         // Initialize contents, which will load the scene and trigger the callback
@@ -91,6 +154,20 @@ class MyApp  {
         this.setContents(this.contents);
     }
 
+    /**
+     * Creates the GUI for the contents, replacing the previous one, if any.
+     */
+    createGui() {
+        if (this.gui) {
+            this.gui.dispose();
+        }
+
+        // Create and initialize the GUI interface after contents are ready
+        this.gui = new MyGuiInterface(this);
+        this.gui.setContents(this.contents);
+        this.gui.init();
+    }
+
     /**
      * Initializes a default perspective camera.
      */
@@ -104,37 +181,62 @@ class MyApp  {
     }
 
     /**
-     * Sets the active camera by name and updates OrbitControls target if needed.
+     * Removes all scene cameras and restores the default perspective camera.
+     * Used when a scene is unloaded.
+     */
+    resetCameras() {
+        this.cameraAnimator.cancel();
+        this.cameraControls.clear();
+        this.cameras = {};
+        this.initDefaultCamera();
+        this.setActiveCamera('Perspective');
+    }
+
+    /**
+     * Sets the active camera by name and enables its controls.
      * @param {String} cameraName
+     * @param {Boolean} animate - Whether to animate the switch with the camera transition of the scene, if it has one.
      */
-    setActiveCamera(cameraName) {
-        this.activeCameraName = cameraName;
-        this.activeCamera = this.cameras[this.activeCameraName];
-        
-        // Initialize or re-assign OrbitControls to the new active camera
-        if (this.controls === null) {
-            this.controls = new OrbitControls(this.activeCamera, this.renderer.domElement);
-            this.controls.enableZoom = true;
-        } else {
-            this.controls.object = this.activeCamera;
+    setActiveCamera(cameraName, animate = false) {
+        const camera = this.cameras[cameraName];
+        const transition = this.contents?.cameraTransition;
+
+        if (animate && transition?.duration > 0 && camera && this.activeCamera && camera !== this.activeCamera) {
+            this.cameraAnimator.transition(camera, transition, () => this.setActiveCamera(cameraName));
+            return;
         }
-        
-        // Update target based on the active camera's target
-        const target = this.activeCamera.target || new THREE.Vector3(0, 0, 0);
-        this.updateOrbitControlsTarget(target);
-        this.controls.update();
+
+        // Switching instantly ends any transition or tour
+        this.cameraAnimator.stop();
+
+        this.activeCameraName = cameraName;
+        this.activeCamera = camera;
+
+        // Each camera has its own controls, which keep their state while other cameras are viewed
+        this.controls = this.cameraControls.activate(this.activeCamera);
     }
 
     /**
-     * Updates the OrbitControls target to the camera's defined target.
+     * Plays a camera tour of the scene with the active camera.
+     * @param {String} tourId - The id of the tour in the "tours" of the cameras.
      */
-    updateOrbitControlsTarget(target) {
-        if (this.controls) {
-            this.controls.target.copy(target);
-            this.controls.update();
-        } else {
-            console.warn('OrbitControls not initialized. Target not updated.');
+    playTour(tourId) {
+        const tour = this.contents?.cameraTours[tourId];
+        if (!tour) {
+            console.warn(`Camera tour '${tourId}' not found.`);
+            return;
         }
+
+        this.cameraAnimator.playTour(tour, this.contents.cameraTransition);
+    }
+
+    /**
+     * Moves the active camera to an axis-aligned view of its target, ending any transition or tour first.
+     * @param {String} view - "front", "back", "left", "right", "top" or "bottom".
+     */
+    setCameraView(view) {
+        this.cameraAnimator.stop();
+        this.cameraControls.setView(view);
     }
 
     /**
@@ -146,7 +248,6 @@ class MyApp  {
             this.activeCamera = this.cameras[this.activeCameraName];
             document.getElementById("camera").innerHTML = this.activeCameraName;
             this.onResize();
-            this.controls.update();
         }
     }
 
@@ -155,9 +256,10 @@ class MyApp  {
      */
     onResize() {
         if (this.activeCamera !== undefined && this.activeCamera !== null) {
-            this.activeCamera.aspect = window.innerWidth / window.innerHeight;
-            this.activeCamera.updateProjectionMatrix();
+            updateCameraAspect(this.activeCamera, window.innerWidth / window.innerHeight);
             this.renderer.setSize( window.innerWidth, window.innerHeight );
+            this.effectComposer.setSize(window.innerWidth, window.innerHeight);
+            this.cameraControls.onResize();
         }
     }
 
@@ -187,11 +289,17 @@ class MyApp  {
             this.contents.update();
         }
 
-        // Required if controls.enableDamping or controls.autoRotate are set to true
-        this.controls.update();
+        // Required for damping and for the movement of the fly and first person controls
+        this.cameraControls.update();
+
+        // Move the camera in transitions and tours
+        this.cameraAnimator.update();
+
+        // Keep the light helpers on their lights
+        this.lightHelpers.update();
 
-        // Render the scene
-        this.renderer.render(this.scene, this.activeCamera);
+        // Render the scene, through the postprocessing effects if any is enabled
+        this.effectComposer.render(this.contents?.postprocessing ?? null);
 
         // Subsequent async calls to the render loop
         requestAnimationFrame(this.render.bind(this));
@@ -0,0 +1,266 @@
+import * as THREE from 'three';
+import { EASINGS } from './parser/customClasses/02_MyCamera.js';
+
+// Field of view (in degrees) standing for an orthographic camera in the dolly zoom of the transitions
+const ORTHOGRAPHIC_FOV = 1;
+
+/**
+ * This class animates the cameras: the transitions between the cameras selected in the GUI, when the scene has
+ * a camera "transition", and the camera tours of the scene (see parseTransition and parseTour in MyCamera).
+ *
+ * A transition is rendered with a camera of its own, whose position, target, field of view and near/far planes
+ * are interpolated from the camera being viewed to the selected one, which becomes active when it ends.
+ * Between a perspective and an orthographic camera, it is a dolly zoom: the field of view narrows (or widens)
+ * while the camera moves away (or closer), so the target keeps its size on screen, until the projection is
+ * nearly parallel like the orthographic one.
+ *
+ * A tour moves the active camera along the paths of its waypoints. The controls of the camera are disabled
+ * while it is animated, and continue from where the tour leaves it.
+ */
+class MyCameraAnimator {
+
+    /**
+     * @param {MyApp} app - The application object.
+     */
+    constructor(app) {
+        this.app = app;
+        this.clock = new THREE.Clock();
+
+        // Cameras rendered during the transitions
+        this.perspectiveCamera = new THREE.PerspectiveCamera();
+        this.orthographicCamera = new THREE.OrthographicCamera();
+
+        // Animation being played: { duration, easing, loop, isTour, elapsed, apply(blend), finish(), next }
+        this.animation = null;
+
+        // Point the animated camera looks at
+        this.target = new THREE.Vector3();
+    }
+
+    /**
+     * Checks if a transition or a tour is playing.
+     * @returns {Boolean} - True if the camera is being animated.
+     */
+    isAnimating() {
+        return this.animation !== null;
+    }
+
+    /**
+     * Starts a transition from the camera being viewed (or from where the current transition is) to another camera.
+     * @param {THREE.Camera} camera - The camera to switch to.
+     * @param {Object} settings - The duration (in seconds) and easing of the transition.
+     * @param {Function} onComplete - Called when the transition ends, to make the camera active.
+     */
+    transition(camera, settings, onComplete) {
+        if (this.animation?.isTour) {
+            this.stop();
+        }
+
+        const cameraControls = this.app.cameraControls;
+        const current = this.app.activeCamera;
+        const from = captureState(current, this.animation ? this.target : cameraControls.getTarget(current));
+        const to = captureState(camera, cameraControls.getTarget(camera));
+        cameraControls.setEnabled(false);
+
+        const transitionCamera = !from.isPerspective && !to.isPerspective ? this.orthographicCamera : this.perspectiveCamera;
+        transitionCamera.aspect = window.innerWidth / window.innerHeight;
+        this.app.activeCamera = transitionCamera;
+
+        this.play({
+            duration: settings.duration,
+            easing: settings.easing,
+            loop: false,
+            isTour: false,
+            apply: (blend) => applyState(transitionCamera, from, to, blend, this.target),
+            finish: onComplete
+        });
+    }
+
+    /**
+     * Plays a tour with the active camera. When the scene has a camera transition, the camera first moves
+     * to the first waypoint with it.
+     * @param {Object} tour - The parsed tour.
+     * @param {Object} settings - The duration (in seconds) and easing of the camera transitions.
+     */
+    playTour(tour, settings) {
+        this.stop();
+
+        const cameraControls = this.app.cameraControls;
+        const camera = this.app.activeCamera;
+        const from = { position: camera.position.clone(), target: cameraControls.getTarget(camera).clone() };
+        cameraControls.setEnabled(false);
+
+        const lookAt = (position, target) => {
+            camera.position.copy(position);
+            this.target.copy(target);
+            camera.lookAt(this.target);
+        };
+        const finish = () => {
+            cameraControls.setTarget(this.target);
+            cameraControls.setEnabled(true);
+        };
+
+        const followPath = {
+            duration: tour.duration,
+            easing: tour.easing,
+            loop: tour.loop,
+            isTour: true,
+            apply: (blend) => lookAt(tour.positions.getPoint(blend), tour.targets.getPoint(blend)),
+            finish: finish
+        };
+
+        if (settings.duration === 0) {
+            this.play(followPath);
+            return;
+        }
+
+        const start = { position: tour.positions.getPoint(0), target: tour.targets.getPoint(0) };
+        this.play({
+            duration: settings.duration,
+            easing: settings.easing,
+            loop: false,
+            isTour: true,
+            apply: (blend) => lookAt(
+                new THREE.Vector3().lerpVectors(from.position, start.position, blend),
+                new THREE.Vector3().lerpVectors(from.target, start.target, blend)
+            ),
+            finish: finish,
+            next: followPath
+        });
+    }
+
+    /**
+     * Starts an animation, replacing the one being played.
+     * @param {Object} animation - The animation.
+     */
+    play(animation) {
+        this.animation = { ...animation, elapsed: 0 };
+    }
+
+    /**
+     * Ends the animation being played: a transition switches to its camera, and a tour leaves the camera where it is.
+     */
+    stop() {
+        const animation = this.animation;
+        if (!animation) return;
+
+        this.animation = null;
+        animation.finish();
+    }
+
+    /**
+     * Drops the animation being played, without switching cameras. Used when the cameras are replaced.
+     */
+    cancel() {
+        this.animation = null;
+    }
+
+    /**
+     * Advances the animation being played. Called on every frame.
+     */
+    update() {
+        const delta = this.clock.getDelta();
+        const animation = this.animation;
+        if (!animation) return;
+
+        animation.elapsed += delta;
+        const progress = animation.loop
+            ? (animation.elapsed / animation.duration) % 1
+            : Math.min(animation.elapsed / animation.duration, 1);
+        animation.apply(EASINGS[animation.easing](progress));
+
+        if (animation.loop || progress < 1) return;
+
+        if (animation.next) {
+            this.play(animation.next);
+        } else {
+            this.stop();
+        }
+    }
+}
+
+/**
+ * Captures what a transition interpolates of a camera.
+ * @param {THREE.Camera} camera - The camera.
+ * @param {THREE.Vector3} target - The point the camera looks at.
+ * @returns {Object} - The position, target, clip planes and projection of the camera, with the height
+ * of the view at the distance of the target, which a dolly zoom keeps.
+ */
+function captureState(camera, target) {
+    const state = {
+        isPerspective: Boolean(camera.isPerspectiveCamera),
+        position: camera.position.clone(),
+        target: target.clone(),
+        near: camera.near,
+        far: camera.far
+    };
+
+    if (state.isPerspective) {
+        state.fov = camera.fov;
+        state.height = 2 * state.position.distanceTo(state.target) * getTanHalfFov(camera.fov);
+    } else {
+        state.fov = ORTHOGRAPHIC_FOV;
+        state.left = camera.left;
+        state.right = camera.right;
+        state.top = camera.top;
+        state.bottom = camera.bottom;
+        state.zoom = camera.zoom;
+        state.height = (camera.top - camera.bottom) / camera.zoom;
+    }
+
+    return state;
+}
+
+/**
+ * Places the transition camera between two camera states.
+ * @param {THREE.Camera} camera - The transition camera.
+ * @param {Object} from - The state of the camera the transition starts from.
+ * @param {Object} to - The state of the camera the transition goes to.
+ * @param {Number} blend - The eased progress of the transition, in [0, 1].
+ * @param {THREE.Vector3} target - Receives the point the camera looks at.
+ */
+function applyState(camera, from, to, blend, target) {
+    const lerp = THREE.MathUtils.lerp;
+
+    target.lerpVectors(from.target, to.target, blend);
+    camera.position.lerpVectors(from.position, to.position, blend);
+    camera.near = lerp(from.near, to.near, blend);
+    camera.far = lerp(from.far, to.far, blend);
+
+    if (camera.isOrthographicCamera) {
+        for (const side of ["left", "right", "top", "bottom", "zoom"]) {
+            camera[side] = lerp(from[side], to[side], blend);
+        }
+    } else if (from.isPerspective && to.isPerspective) {
+        camera.fov = lerp(from.fov, to.fov, blend);
+    } else {
+        // Dolly zoom: the field of view changes geometrically, and the distance keeps the height of the view
+        const tanHalfFov = Math.exp(lerp(Math.log(getTanHalfFov(from.fov)), Math.log(getTanHalfFov(to.fov)), blend));
+        const height = lerp(from.height, to.height, blend);
+        const distance = height / (2 * tanHalfFov);
+
+        const direction = camera.position.clone().sub(target);
+        const baseDistance = direction.length();
+        if (baseDistance === 0) direction.set(0, 0, 1);
+        camera.position.copy(target).addScaledVector(direction.normalize(), distance);
+        camera.fov = THREE.MathUtils.radToDeg(2 * Math.atan(tanHalfFov));
+
+        // The clip planes move with the camera, so the same part of the scene is shown
+        camera.near = Math.max(camera.near + distance - baseDistance, 0.01);
+        camera.far = Math.max(camera.far + distance - baseDistance, camera.near + 1);
+    }
+
+    camera.lookAt(target);
+    camera.updateProjectionMatrix();
+}
+
+/**
+ * Gets the tangent of half a field of view.
+ * @param {Number} fov - The vertical field of view, in degrees.
+ * @returns {Number} - The tangent of half the angle.
+ */
+function getTanHalfFov(fov) {
+    return Math.tan(THREE.MathUtils.degToRad(fov) / 2);
+}
+
+export { MyCameraAnimator };
@@ -0,0 +1,340 @@
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { TrackballControls } from 'three/addons/controls/TrackballControls.js';
+import { PointerLockControls } from 'three/addons/controls/PointerLockControls.js';
+import { parseControls } from './parser/customClasses/02_MyCamera.js';
+
+// Keys moving the camera with the fly and first person controls: [forward, right] movement of each key
+const MOVEMENT_KEYS = {
+    KeyW: [1, 0],
+    KeyS: [-1, 0],
+    KeyA: [0, -1],
+    KeyD: [0, 1]
+};
+
+// Directions from the target to the camera in the axis-aligned views
+const VIEW_DIRECTIONS = {
+    front: new THREE.Vector3(0, 0, 1),
+    back: new THREE.Vector3(0, 0, -1),
+    left: new THREE.Vector3(-1, 0, 0),
+    right: new THREE.Vector3(1, 0, 0),
+    top: new THREE.Vector3(0, 1, 0),
+    bottom: new THREE.Vector3(0, -1, 0)
+};
+
+// Change of the zoom of orthographic cameras per step of the mouse wheel, as with THREE.OrbitControls
+const WHEEL_ZOOM_SCALE = 0.95;
+
+/**
+ * This class manages the controls of the cameras. Each camera gets its own controls, of the type declared in its
+ * "controls" block (see MyCamera), created the first time the camera is viewed: THREE.OrbitControls,
+ * THREE.TrackballControls, MyPointerLockControls (fly and first person) or none (fixed).
+ * Only the controls of the active camera are enabled, and the others keep their state (e.g. the orbit target)
+ * until their camera is viewed again.
+ */
+class MyCameraControls {
+
+    /**
+     * @param {MyApp} app - The application object.
+     */
+    constructor(app) {
+        this.app = app;
+        this.clock = new THREE.Clock();
+
+        // Controls of each camera viewed so far (null for fixed cameras)
+        this.controls = new Map();
+
+        // Active camera and its controls
+        this.camera = null;
+        this.active = null;
+    }
+
+    /**
+     * Enables the controls of a camera, creating them if it was not viewed before, and disables the previous ones.
+     * @param {THREE.Camera} camera - The camera to control.
+     * @returns {Object|null} - The controls of the camera, or null if it is fixed.
+     */
+    activate(camera) {
+        if (camera === this.camera) {
+            // Activating the active camera again creates its controls again, from the camera's current
+            // target (e.g. restored by MyContents.updateCameras)
+            this.active?.dispose();
+            this.controls.delete(camera);
+        } else if (this.active) {
+            // Keep the target of the previous camera, so it is saved with the scene
+            this.camera.target?.copy(this.active.target);
+            this.active.enabled = false;
+        }
+
+        if (!this.controls.has(camera)) {
+            this.controls.set(camera, this.createControls(camera));
+        }
+
+        this.camera = camera;
+        this.active = this.controls.get(camera);
+        if (this.active) {
+            this.active.enabled = true;
+            this.active.update(0);
+        }
+
+        return this.active;
+    }
+
+    /**
+     * Creates the controls of a camera from its "controls" settings.
+     * @param {THREE.Camera} camera - The camera to control.
+     * @returns {Object|null} - The controls, or null if the camera is fixed.
+     */
+    createControls(camera) {
+        const settings = camera.userData.controls ?? parseControls({});
+        const domElement = this.app.renderer.domElement;
+        const target = camera.target ?? new THREE.Vector3(0, 0, 0);
+
+        let controls = null;
+        switch (settings.type) {
+            case "orbit":
+                controls = new OrbitControls(camera, domElement);
+                controls.target.copy(target);
+                controls.minDistance = settings.minDistance;
+                controls.maxDistance = settings.maxDistance;
+                controls.minPolarAngle = settings.minPolarAngle;
+                controls.maxPolarAngle = settings.maxPolarAngle;
+                controls.enableDamping = settings.damping;
+                controls.dampingFactor = settings.dampingFactor;
+                controls.minZoom = settings.minZoom;
+                controls.maxZoom = settings.maxZoom;
+                break;
+            case "trackball":
+                controls = new TrackballControls(camera, domElement);
+                controls.target.copy(target);
+                controls.rotateSpeed = settings.rotateSpeed;
+                controls.zoomSpeed = settings.zoomSpeed;
+                controls.panSpeed = settings.panSpeed;
+                controls.minZoom = settings.minZoom;
+                controls.maxZoom = settings.maxZoom;
+                break;
+            case "fly":
+            case "firstperson":
+                controls = new MyPointerLockControls(camera, domElement, settings);
+                break;
+            default:
+                // Fixed cameras stay where the YASF file puts them
+                camera.lookAt(target);
+                return null;
+        }
+
+        controls.enabled = false;
+        return controls;
+    }
+
+    /**
+     * Enables or disables the controls of the active camera, e.g. while it is animated by MyCameraAnimator.
+     * @param {Boolean} enabled - Whether the controls react to the user.
+     */
+    setEnabled(enabled) {
+        if (!this.active) return;
+
+        // Keep the target of the camera, in case its controls are created again
+        if (!enabled) {
+            this.camera.target?.copy(this.active.target);
+        }
+        this.active.enabled = enabled;
+    }
+
+    /**
+     * Gets the point a camera looks at.
+     * @param {THREE.Camera} camera - The camera.
+     * @returns {THREE.Vector3} - The target of its controls, or of the camera if it has none yet.
+     */
+    getTarget(camera) {
+        return this.controls.get(camera)?.target ?? camera.target ?? new THREE.Vector3(0, 0, 0);
+    }
+
+    /**
+     * Sets the point the active camera looks at, e.g. after a camera tour moved it.
+     * The fly and first person controls look where the camera is turned, so they ignore it.
+     * @param {THREE.Vector3} target - The new target.
+     */
+    setTarget(target) {
+        if (this.active instanceof MyPointerLockControls) return;
+
+        (this.active ?? this.camera)?.target?.copy(target);
+        this.active?.update(0);
+    }
+
+    /**
+     * Moves the active camera to an axis-aligned view of its target, at the same distance,
+     * like the views of a technical drawing. Fixed cameras are not moved.
+     * @param {String} view - "front", "back", "left", "right", "top" or "bottom".
+     */
+    setView(view) {
+        if (!this.active || !VIEW_DIRECTIONS[view]) return;
+
+        const camera = this.camera;
+        const target = this.active.target.clone();
+        const distance = camera.position.distanceTo(target);
+
+        // TrackballControls turn the up direction of the camera. Looking along Y, it would be parallel to
+        // the view, so it points to the back instead, as in the front view. OrbitControls keep Y as the axis
+        // they orbit around, and step off the poles themselves
+        camera.up.set(0, 1, 0);
+        if (VIEW_DIRECTIONS[view].y !== 0 && !(this.active instanceof OrbitControls)) {
+            camera.up.set(0, 0, -1);
+        }
+        camera.position.copy(target).addScaledVector(VIEW_DIRECTIONS[view], distance);
+        camera.lookAt(target);
+        this.active.update(0);
+    }
+
+    /**
+     * Updates the controls of the active camera. Called on every frame, since damping and movement go on between events.
+     */
+    update() {
+        const delta = this.clock.getDelta();
+        if (this.active?.enabled) {
+            this.active.update(delta);
+        }
+    }
+
+    /**
+     * Adapts the controls to the new size of the canvas. Called when the window is resized.
+     */
+    onResize() {
+        this.controls.forEach((controls) => controls?.handleResize?.());
+    }
+
+    /**
+     * Disposes of the controls of every camera. Used when the cameras are replaced (a scene is loaded or updated).
+     */
+    clear() {
+        this.controls.forEach((controls) => controls?.dispose());
+        this.controls.clear();
+        this.camera = null;
+        this.active = null;
+    }
+}
+
+/**
+ * Fly and first person controls: clicking on the canvas locks the pointer (THREE.PointerLockControls),
+ * so moving the mouse turns the camera, and WASD move it, along the view direction (fly)
+ * or on the horizontal plane (first person). Escape releases the pointer.
+ * The mouse wheel zooms orthographic cameras, which moving does not.
+ */
+class MyPointerLockControls {
+
+    /**
+     * @param {THREE.Camera} camera - The camera to control.
+     * @param {HTMLElement} domElement - The canvas.
+     * @param {Object} settings - The parsed "controls" settings of the camera.
+     */
+    constructor(camera, domElement, settings) {
+        this.camera = camera;
+        this.pointerLock = new PointerLockControls(camera, domElement);
+        this.pointerLock.minPolarAngle = settings.minPolarAngle;
+        this.pointerLock.maxPolarAngle = settings.maxPolarAngle;
+        this.pointerLock.pointerSpeed = settings.lookSpeed;
+
+        this.fly = settings.type === "fly";
+        this.movementSpeed = settings.movementSpeed;
+        this.minZoom = settings.minZoom;
+        this.maxZoom = settings.maxZoom;
+
+        // Distance of the target in front of the camera, so the target saved with the scene stays as far
+        this.targetDistance = camera.target ? camera.position.distanceTo(camera.target) || 1 : 1;
+
+        this.pressedKeys = new Set();
+        this._enabled = true;
+
+        this.onClick = () => {
+            if (this._enabled && !this.pointerLock.isLocked) this.pointerLock.lock();
+        };
+        this.onKeyDown = (event) => {
+            if (event.code in MOVEMENT_KEYS) this.pressedKeys.add(event.code);
+        };
+        this.onKeyUp = (event) => this.pressedKeys.delete(event.code);
+        this.onWheel = (event) => {
+            if (!this._enabled || !camera.isOrthographicCamera || event.deltaY === 0) return;
+
+            const scale = event.deltaY < 0 ? 1 / WHEEL_ZOOM_SCALE : WHEEL_ZOOM_SCALE;
+            camera.zoom = THREE.MathUtils.clamp(camera.zoom * scale, this.minZoom, this.maxZoom);
+            camera.updateProjectionMatrix();
+        };
+
+        domElement.addEventListener('click', this.onClick, false);
+        domElement.addEventListener('wheel', this.onWheel, { passive: true });
+        document.addEventListener('keydown', this.onKeyDown, false);
+        document.addEventListener('keyup', this.onKeyUp, false);
+    }
+
+    /**
+     * Whether the controls react to the user. Disabling them releases the pointer.
+     * @type {Boolean}
+     */
+    get enabled() {
+        return this._enabled;
+    }
+
+    set enabled(enabled) {
+        if (enabled === this._enabled) return;
+        this._enabled = enabled;
+
+        if (enabled) {
+            this.pointerLock.connect();
+        } else {
+            // The controls of every camera lock the same canvas, so the disabled ones stop listening,
+            // and would miss the event of the pointer being released
+            if (this.pointerLock.isLocked) {
+                this.pointerLock.unlock();
+                this.pointerLock.isLocked = false;
+            }
+            this.pointerLock.disconnect();
+            this.pressedKeys.clear();
+        }
+    }
+
+    /**
+     * The point in front of the camera, at the distance of the target it was created with.
+     * @type {THREE.Vector3}
+     */
+    get target() {
+        return this.pointerLock.getDirection(new THREE.Vector3())
+            .multiplyScalar(this.targetDistance)
+            .add(this.camera.position);
+    }
+
+    /**
+     * Moves the camera with the pressed keys, while the pointer is locked.
+     * @param {Number} delta - The time since the last update, in seconds.
+     */
+    update(delta) {
+        if (!this._enabled || !this.pointerLock.isLocked) return;
+
+        let forward = 0;
+        let right = 0;
+        this.pressedKeys.forEach((code) => {
+            forward += MOVEMENT_KEYS[code][0];
+            right += MOVEMENT_KEYS[code][1];
+        });
+
+        const distance = this.movementSpeed * delta;
+        if (this.fly) {
+            this.camera.position.addScaledVector(this.pointerLock.getDirection(new THREE.Vector3()), forward * distance);
+        } else {
+            this.pointerLock.moveForward(forward * distance);
+        }
+        this.pointerLock.moveRight(right * distance);
+    }
+
+    /**
+     * Removes the event listeners.
+     */
+    dispose() {
+        this.enabled = false;
+        this.pointerLock.domElement.removeEventListener('click', this.onClick, false);
+        this.pointerLock.domElement.removeEventListener('wheel', this.onWheel);
+        document.removeEventListener('keydown', this.onKeyDown, false);
+        document.removeEventListener('keyup', this.onKeyUp, false);
+    }
+}
+
+export { MyCameraControls, VIEW_DIRECTIONS };
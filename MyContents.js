@@ -1,11 +1,26 @@
 import * as THREE from 'three';
+import { FontLoader } from 'three/addons/loaders/FontLoader.js';
 import { MyAxis } from './MyAxis.js';
 import { MyFileReader } from './parser/MyFileReader.js';
 import { GraphParser } from './parser/MyGraphParser.js';
+import { MySceneValidator, logDiagnostics } from './parser/MySceneValidator.js';
 import { MyGlobals } from './parser/customClasses/01_MyGlobals.js';
-import { MyCamera } from './parser/customClasses/02_MyCamera.js';
+import { MyCamera, CAMERA_SETTINGS_KEYS, parseTransition, parseTour } from './parser/customClasses/02_MyCamera.js';
 import { MyTextures } from './parser/customClasses/03_MyTextures.js';
 import { MyMaterials } from './parser/customClasses/04_MyMaterials.js';
+import { MyModels } from './parser/customClasses/05_MyModels.js';
+import { MyAnimations } from './parser/customClasses/06_MyAnimations.js';
+import { MyPostprocessing } from './parser/customClasses/07_MyPostprocessing.js';
+import { collectModelPaths } from './parser/utils/MyModelUtils.js';
+import { collectBufferPaths } from './parser/utils/MyMeshUtils.js';
+import { collectFontPaths, CANVAS_LINE_HEIGHT } from './parser/utils/MyTextUtils.js';
+import { diffScene } from './parser/utils/MyDiffUtils.js';
+
+// Scene loaded when no "?scene=" URL parameter is given
+const DEFAULT_SCENE_PATH = "scenes/demo/TP2_SCENE.json";
+
+// Size in pixels of the font on the canvas textures of "text" primitives
+const TEXT_TEXTURE_FONT_SIZE = 128;
 
 /**
  *  This class contains the contents of out application
@@ -15,9 +30,17 @@ class MyContents {
     /**
      * Constructs the object.
      * @param {MyApp} app - The application object.
+     * @param {Object} options - Optional settings.
+     * @param {Boolean} options.autoLoad - Whether to load the initial scene from the URL (default true).
+     * @param {Boolean} options.strictValidation - Whether to refuse scenes with schema errors (default from the URL).
+     * @param {Boolean} options.watch - Whether to watch the scene file and apply its changes (default from the URL).
+     * @param {THREE.Loader} options.textureLoader - The loader used for skybox textures.
+     * @param {Object} options.environmentLoaders - The loaders used for HDR environment maps, by extension ("hdr", "exr").
      */
-    constructor(app) {
+    constructor(app, options = {}) {
         this.app = app;
+        this.textureLoader = options.textureLoader ?? new THREE.TextureLoader();
+        this.environmentLoaders = options.environmentLoaders ?? null;
         // this.axis = null;
 
         // Initiate variables for YASF
@@ -25,6 +48,12 @@ class MyContents {
         this.fog = null;
         this.textures = {};
         this.materials = {};
+        // Assets of "model" primitives, by file path
+        this.models = {};
+        // Binary buffers of "mesh" primitives (ArrayBuffer), by file path
+        this.buffers = {};
+        // Typeface fonts of "text" primitives, by file path
+        this.fonts = {};
 
         // Default material for when material is invalid or not specified
         this.defaultMaterial = new THREE.MeshLambertMaterial({
@@ -41,18 +70,178 @@ class MyContents {
             vertexColors: true
         });
 
+        // Keyframe animations of the scene, advanced on every frame by "update"
+        this.animations = null;
+        // Postprocessing settings of the scene, rendered by MyApp's MyEffectComposer
+        this.postprocessing = null;
+        // Animation of the camera switches and camera tours of the scene, played by MyApp's MyCameraAnimator
+        this.cameraTransition = parseTransition(null);
+        this.cameraTours = {};
+        this.clock = new THREE.Clock();
+
         // Nodes storage
         this.nodes = {};
         this.rootNodeId = null;
 
         // Callback function for scene loading
         this.onSceneLoadedApp = function() {};
-
-        this.reader = new MyFileReader(this.onSceneLoaded.bind(this));
-        this.reader.open("scenes/demo/TP2_SCENE.json");
+        // Callback function for changes of the watched scene file applied to the current scene
+        this.onSceneReloadedApp = function() {};
+
+        // Name of the scene currently loaded (file path or dropped file name)
+        this.sceneName = null;
+        this.pendingSceneName = null;
+        // Path of the scene currently loaded, or null if it was read from a local file (which cannot be watched)
+        this.scenePath = null;
+        this.pendingScenePath = null;
+        this.sceneLoaded = false;
+        // YASF data of the scene currently loaded, used by MyFileWriter to save it back
+        this.sceneData = null;
+
+        // Schema validation of the YASF file. In strict mode, scenes with errors are not rendered.
+        this.validator = new MySceneValidator();
+        this.validationDiagnostics = [];
+        this.strictValidation = options.strictValidation ?? this.getStrictValidationParam();
 
         // Instantiate GraphParser
         this.graphParser = new GraphParser(this.materials, this.textures, this);
+
+        this.reader = new MyFileReader(this.onSceneLoaded.bind(this));
+        // Watch mode (hot reload): apply the changes of the scene file without reloading the page
+        this.watchOnLoad = options.watch ?? this.getWatchParam();
+        if (options.autoLoad ?? true) {
+            this.loadScene(this.getInitialScenePath());
+        }
+    }
+
+    /**
+     * Gets the path of the scene to load on startup.
+     * Uses the "?scene=" URL parameter if present, otherwise the demo scene.
+     * @returns {String} - The path of the YASF file.
+     */
+    getInitialScenePath() {
+        const params = new URLSearchParams(window.location.search);
+        return params.get("scene") || DEFAULT_SCENE_PATH;
+    }
+
+    /**
+     * Checks the "?strict=" URL parameter to enable strict schema validation on startup.
+     * @returns {Boolean} - True if strict validation was requested.
+     */
+    getStrictValidationParam() {
+        const params = new URLSearchParams(window.location.search);
+        return ["true", "1"].includes(params.get("strict")?.toLowerCase());
+    }
+
+    /**
+     * Checks the "?watch=" URL parameter to watch the scene file for changes on startup.
+     * @returns {Boolean} - True if watch mode was requested.
+     */
+    getWatchParam() {
+        const params = new URLSearchParams(window.location.search);
+        return ["true", "1"].includes(params.get("watch")?.toLowerCase());
+    }
+
+    /**
+     * Loads a YASF scene, replacing the current one once the new file has been read.
+     * @param {String|File} source - A path/URL to fetch, or a local File object (file picker or drag-and-drop).
+     */
+    loadScene(source) {
+        if (typeof source === "string") {
+            this.pendingSceneName = source;
+            this.pendingScenePath = source;
+            this.reader.open(source);
+        } else if (source instanceof File) {
+            this.pendingSceneName = source.name;
+            this.pendingScenePath = null;
+            this.reader.openFile(source);
+        } else {
+            console.warn("Invalid scene source:", source);
+        }
+    }
+
+    /**
+     * Starts or stops watching the scene file. While watching, every change of the file is applied
+     * to the current scene (see onSceneChanged) instead of loading it again.
+     * Only scenes loaded from a path can be watched, not local files.
+     * @param {Boolean} enabled - Whether to watch the scene file.
+     */
+    watchScene(enabled) {
+        this.watchOnLoad = enabled;
+
+        if (!enabled) {
+            this.reader.unwatch();
+            return;
+        }
+
+        if (!this.scenePath) {
+            console.warn(`Scene '${this.sceneName}' was not loaded from a path and cannot be watched.`);
+            this.reader.unwatch();
+            return;
+        }
+
+        this.reader.watch(this.scenePath, this.onSceneChanged.bind(this));
+        console.info(`Watching '${this.scenePath}' for changes.`);
+    }
+
+    /**
+     * Checks if the scene file is being watched.
+     * @returns {Boolean} - True if watching.
+     */
+    isWatching() {
+        return this.reader.isWatching();
+    }
+
+    /**
+     * Tears down the current scene: removes the graph, globals and cameras, and disposes of
+     * every loaded texture and material so a new scene can be built without reloading the page.
+     */
+    clearScene() {
+        // Stop the animations before their targets are removed
+        if (this.animations) {
+            this.animations.dispose();
+            this.animations = null;
+        }
+
+        // Remove the graph and reset the parser caches
+        this.graphParser.clear();
+
+        this.postprocessing = null;
+        this.cameraTransition = parseTransition(null);
+        this.cameraTours = {};
+
+        // Remove ambient light, fog and skybox
+        if (this.globals) {
+            this.globals.removeFromScene(this.app.scene);
+            this.globals = null;
+        }
+
+        // Dispose of textures, stopping any video playback
+        for (let textureId in this.textures) {
+            disposeTexture(this.textures[textureId]);
+            delete this.textures[textureId];
+        }
+
+        // Dispose of the loaded model assets
+        for (let filepath in this.models) {
+            MyModels.dispose(this.models[filepath]);
+            delete this.models[filepath];
+        }
+        this.buffers = {};
+        this.fonts = {};
+
+        // Dispose of materials (including the generated polygon/default ones)
+        for (let materialId in this.materials) {
+            this.materials[materialId].dispose();
+            delete this.materials[materialId];
+        }
+
+        // Reset cameras to the application default
+        this.app.resetCameras();
+
+        this.sceneData = null;
+        this.sceneLoaded = false;
+        console.info("Previous scene unloaded.");
     }
 
     /**
@@ -82,6 +271,33 @@ class MyContents {
      */
     async onSceneLoaded(data) {
         console.info("YASF loaded.");
+
+        // Validate the whole file against the YASF schema before building anything
+        this.validationDiagnostics = this.validator.validate(data);
+        logDiagnostics(this.validationDiagnostics);
+
+        const hasErrors = this.validationDiagnostics.some((d) => d.severity === "error");
+        if (this.strictValidation && hasErrors) {
+            console.error(`Strict validation: '${this.pendingSceneName}' has errors and will not be rendered.`);
+
+            // Refresh the GUI so the validation report is shown (the current scene, if any, is kept)
+            this.onSceneLoadedApp();
+            return;
+        }
+
+        // Tear down the previous scene, if any, before building the new one
+        if (this.sceneLoaded) {
+            this.clearScene();
+        }
+        this.sceneLoaded = true;
+        this.sceneName = this.pendingSceneName;
+        this.scenePath = this.pendingScenePath;
+        this.sceneData = data;
+
+        // Keep watching when another scene is loaded, following the new file
+        if (this.watchOnLoad) {
+            this.watchScene(true);
+        }
         
         // Load all resources sequentially
         await this.onAfterSceneLoadedAndBeforeRender(data);
@@ -102,6 +318,178 @@ class MyContents {
         //console.log("Scene Structure Log", this.app.scene);
     }
 
+    /**
+     * Asynchronously called when the watched scene file changes (hot reload).
+     * Only the parts of the scene affected by the changes are rebuilt; the cameras stay where they are
+     * and the GUI is refreshed through onSceneReloadedApp.
+     *
+     * @async
+     * @param {Object} data - The entire scene object data of the new version of the file.
+     * @returns {Promise<void>} - A promise that resolves when the changes have been applied.
+     */
+    async onSceneChanged(data) {
+        if (!this.sceneLoaded) {
+            return this.onSceneLoaded(data);
+        }
+
+        const changes = diffScene(this.sceneData, data);
+        if (!changes.changed) return;
+
+        console.info(`YASF '${this.sceneName}' changed. Updating scene...`);
+
+        this.validationDiagnostics = this.validator.validate(data);
+        logDiagnostics(this.validationDiagnostics);
+
+        const hasErrors = this.validationDiagnostics.some((d) => d.severity === "error");
+        if (this.strictValidation && hasErrors) {
+            console.error(`Strict validation: '${this.sceneName}' has errors. The changes will not be applied.`);
+            this.onSceneReloadedApp();
+            return;
+        }
+
+        await this.updateScene(data, changes);
+        this.sceneData = data;
+
+        this.onSceneReloadedApp();
+    }
+
+    /**
+     * Applies the changes between the loaded scene and a new version of it, in the same order
+     * as onAfterSceneLoadedAndBeforeRender, rebuilding only what changed.
+     *
+     * @async
+     * @param {Object} data - The entire scene object data of the new version.
+     * @param {Object} changes - What changed, as found by diffScene.
+     * @returns {Promise<void>} - A promise that resolves when the scene has been updated.
+     */
+    async updateScene(data, changes) {
+        const yasf = data.yasf ?? {};
+
+        // The animations target nodes that may be rebuilt, so they are created again at the end
+        if (this.animations) {
+            this.animations.dispose();
+            this.animations = null;
+        }
+
+        // Step 1: Globals
+        let skyboxLoaded = null;
+        if (changes.globals) {
+            this.globals.removeFromScene(this.app.scene);
+            skyboxLoaded = this.globalsRendering(yasf.globals);
+        }
+
+        // Step 2: Cameras and postprocessing
+        if (changes.cameras) {
+            this.updateCameras(yasf.cameras);
+        }
+        if (changes.postprocessing) {
+            this.postprocessingRendering(yasf.postprocessing);
+        }
+
+        // Step 3: Textures, models, buffers and fonts. The previous versions are disposed once nothing uses them.
+        const staleTextures = takeEntries(this.textures, changes.textures);
+
+        // The files of the meshes and texts of rebuilt nodes are read again, as they may have been
+        // regenerated along with the scene file
+        const rebuiltGraph = changes.graph.rebuildAll ? yasf.graph : pickEntries(yasf.graph, changes.graph.nodes);
+        takeEntries(this.buffers, collectBufferPaths(rebuiltGraph));
+        takeEntries(this.fonts, collectFontPaths(rebuiltGraph));
+        await Promise.all([
+            this.texturesRendering(yasf.textures),
+            this.modelsRendering(yasf.graph),
+            this.buffersRendering(yasf.graph),
+            this.fontsRendering(yasf.graph)
+        ]);
+
+        // Step 4: Materials
+        const staleMaterials = takeEntries(this.materials, changes.materials);
+        await this.materialsRendering(yasf.materials);
+
+        // Step 5: Graph nodes
+        if (changes.graph.rebuildAll) {
+            this.graphParser.clear();
+            this.graphParser.parseGraph(yasf.graph, this.app.scene);
+        } else if (changes.graph.nodes.size > 0) {
+            this.graphParser.rebuildNodes(yasf.graph, changes.graph.nodes);
+        }
+
+        staleTextures.forEach((texture) => disposeTexture(texture));
+        staleMaterials.forEach((material) => material.dispose());
+        this.disposeUnusedResources(yasf);
+
+        // Step 6: Environment map of the materials, which may have been replaced
+        await skyboxLoaded;
+        this.environmentRendering(yasf.materials);
+
+        // Step 7: Animations
+        this.animationsRendering(yasf.animations);
+
+        console.log("Scene updated:", changes);
+    }
+
+    /**
+     * Creates the cameras again from new data, keeping the active camera where it is:
+     * its position and orbit target are kept if a camera with the same id still exists.
+     * @param {Object} cameraData - The data regarding "cameras" in YASF.
+     */
+    updateCameras(cameraData = {}) {
+        const activeCameraName = this.app.activeCameraName;
+        const position = this.app.activeCamera?.position.clone();
+        const target = (this.app.controls?.target ?? this.app.activeCamera?.target)?.clone();
+
+        this.app.resetCameras();
+        this.cameraRendering(cameraData);
+
+        const camera = this.app.cameras[activeCameraName];
+        if (!camera) return;
+
+        if (position) camera.position.copy(position);
+        if (target) camera.target = target;
+        this.setAndConfigureActiveCamera(activeCameraName);
+    }
+
+    /**
+     * Disposes of what a scene update left unused: the materials generated for primitives
+     * (e.g. polygons) that were rebuilt, and the assets of models, buffers of meshes and fonts of texts no longer in the graph.
+     * @param {Object} yasf - The "yasf" block of the new version of the scene.
+     */
+    disposeUnusedResources(yasf) {
+        const usedMaterials = new Set();
+        this.graphParser.rootNode?.traverse((child) => {
+            if (child.isMesh || child.isLine || child.isSprite) usedMaterials.add(child.material);
+        });
+
+        for (let materialId in this.materials) {
+            const material = this.materials[materialId];
+            if (!(materialId in (yasf.materials ?? {})) && !usedMaterials.has(material)) {
+                material.dispose();
+                delete this.materials[materialId];
+            }
+        }
+
+        const modelPaths = collectModelPaths(yasf.graph);
+        for (let filepath in this.models) {
+            if (!modelPaths.has(filepath)) {
+                MyModels.dispose(this.models[filepath]);
+                delete this.models[filepath];
+            }
+        }
+
+        const bufferPaths = collectBufferPaths(yasf.graph);
+        for (let filepath in this.buffers) {
+            if (!bufferPaths.has(filepath)) {
+                delete this.buffers[filepath];
+            }
+        }
+
+        const fontPaths = collectFontPaths(yasf.graph);
+        for (let filepath in this.fonts) {
+            if (!fontPaths.has(filepath)) {
+                delete this.fonts[filepath];
+            }
+        }
+    }
+
     /*
     printYASF(data, indent = '') {
         for (let key in data) {
@@ -124,14 +512,20 @@ class MyContents {
      * @returns {Promise<void>} - A promise that resolves when all resources are loaded and the graph is parsed.
      */
     async onAfterSceneLoadedAndBeforeRender(data) {
-        // Step 1: Load global properties
-        this.globalsRendering(data.yasf?.globals);
+        // Step 1: Load global properties (the skybox and environment map keep loading in the background)
+        const skyboxLoaded = this.globalsRendering(data.yasf?.globals);
 
-        // Step 2: Load cameras
+        // Step 2: Load cameras and postprocessing settings
         this.cameraRendering(data.yasf?.cameras);
+        this.postprocessingRendering(data.yasf?.postprocessing);
 
-        // Step 3: Load textures
-        await this.texturesRendering(data.yasf?.textures);
+        // Step 3: Load textures, and the assets of "model", buffers of "mesh" and fonts of "text" primitives alongside them
+        await Promise.all([
+            this.texturesRendering(data.yasf?.textures),
+            this.modelsRendering(data.yasf?.graph),
+            this.buffersRendering(data.yasf?.graph),
+            this.fontsRendering(data.yasf?.graph)
+        ]);
 
         // Step 4: Load materials
         await this.materialsRendering(data.yasf?.materials);
@@ -139,22 +533,44 @@ class MyContents {
         // Step 5: Parse and render the graph
         this.graphParser.parseGraph(data.yasf?.graph, this.app.scene);
 
+        // Step 6: Give the environment map to the materials, once it has been loaded
+        await skyboxLoaded;
+        this.environmentRendering(data.yasf?.materials);
+
+        // Step 7: Create the animations of the graph nodes (copying their materials as they are by now)
+        this.animationsRendering(data.yasf?.animations);
+
         console.log("All resources loaded and graph parsed.");
     }
 
     /**
      * Renders the data regarding "globals" YASF attributes, such as background color and ambient light.
      * @param {Object} globalsData - The data regarding "globals" in YASF. Default value is empty.
+     * @returns {Promise<void>} - A promise that resolves when the skybox and environment map have been added.
      */
     globalsRendering(globalsData = {}) {
         // Checks if the initialized "globalsData" variable is an empty object
         if (Object.keys(globalsData).length !== 0) {
-            this.globals = new MyGlobals(globalsData);
+            this.globals = new MyGlobals(globalsData, this.textureLoader, this.environmentLoaders);
         } else {
             console.warn("'Globals' data not found in the provided scene file.");
-            this.globals = new MyGlobals();
+            this.globals = new MyGlobals({}, this.textureLoader, this.environmentLoaders);
         }
-        this.globals.applyToScene(this.app.scene);
+        return this.globals.applyToScene(this.app.scene, this.app.renderer ?? null);
+    }
+
+    /**
+     * Gives the environment map of the globals to the materials of the YASF file that reflect it
+     * through their own envMap (see MyGlobals.applyEnvironmentToMaterials).
+     * Generated materials (e.g. of polygons) are left as they are.
+     * @param {Object} materialsData - The data regarding "materials" in YASF.
+     */
+    environmentRendering(materialsData = {}) {
+        const materials = Object.keys(materialsData)
+            .map((materialId) => this.materials[materialId])
+            .filter(Boolean);
+
+        this.globals.applyEnvironmentToMaterials(materials);
     }
 
     /**
@@ -169,9 +585,16 @@ class MyContents {
             initialCameraId = cameraData.initial;
         }
 
+        this.cameraTransition = parseTransition(cameraData.transition);
+        this.cameraTours = {};
+        for (let tourId in cameraData.tours ?? {}) {
+            const tour = parseTour(tourId, cameraData.tours[tourId]);
+            if (tour) this.cameraTours[tourId] = tour;
+        }
+
         for (let id in cameraData) {
-            // Skip the "initial" property
-            if (id === "initial") continue;
+            // Skip the "initial", "transition" and "tours" properties
+            if (CAMERA_SETTINGS_KEYS.includes(id)) continue;
 
             // Set the first camera ID if not already set
             if (!firstCameraId) firstCameraId = id;
@@ -197,7 +620,7 @@ class MyContents {
     }
 
     /**
-     * Sets the active camera and updates the OrbitControls target.
+     * Sets the active camera and enables its controls.
      * @param {String} cameraId - The ID of the camera to set as active.
      */
     setAndConfigureActiveCamera(cameraId) {
@@ -229,7 +652,7 @@ class MyContents {
     
             if (myTexture.textureId && myTexture.filepath) {
                 texturePromises.push(
-                    myTexture.loadTextureAsync().then(texture => {
+                    this.loadTexture(myTexture).then(texture => {
                         if (texture) this.textures[textureId] = texture;
                     })
                 );
@@ -243,6 +666,159 @@ class MyContents {
         console.log("All textures loaded:", this.textures);
     }
 
+    /**
+     * Loads the image or video of a single texture.
+     * Overridden in headless mode, where there is no browser to load images with.
+     * @param {MyTextures} myTexture - The parsed texture data.
+     * @returns {Promise<THREE.Texture|null>} - The loaded texture.
+     */
+    loadTexture(myTexture) {
+        return myTexture.loadTextureAsync();
+    }
+
+    /**
+     * Asynchronously loads the external assets used by "model" primitives in the graph.
+     * It populates the "this.models" object, by file path, with the root object of each asset.
+     *
+     * @async
+     * @param {Object} graphData - The data regarding "graph" in YASF.
+     * @returns {Promise<void>} - A promise that resolves when all assets are loaded.
+     */
+    async modelsRendering(graphData = {}) {
+        const modelPromises = [];
+
+        for (let filepath of collectModelPaths(graphData)) {
+            if (this.models[filepath]) continue;
+
+            modelPromises.push(
+                this.loadModel(new MyModels(filepath)).then(model => {
+                    if (model) this.models[filepath] = model;
+                })
+            );
+        }
+
+        if (modelPromises.length === 0) return;
+
+        // Wait for all assets to load
+        await Promise.all(modelPromises);
+        console.log("All models loaded:", this.models);
+    }
+
+    /**
+     * Loads the asset of a "model" primitive.
+     * Overridden in headless mode, where assets are not fetched.
+     * @param {MyModels} myModel - The parsed model data.
+     * @returns {Promise<THREE.Object3D|null>} - The root object of the loaded asset.
+     */
+    loadModel(myModel) {
+        return myModel.loadModelAsync();
+    }
+
+    /**
+     * Asynchronously loads the binary buffers used by "mesh" primitives in the graph.
+     * It populates the "this.buffers" object, by file path, with the content of each file.
+     *
+     * @async
+     * @param {Object} graphData - The data regarding "graph" in YASF.
+     * @returns {Promise<void>} - A promise that resolves when all buffers are loaded.
+     */
+    async buffersRendering(graphData = {}) {
+        const bufferPromises = [];
+
+        for (let filepath of collectBufferPaths(graphData)) {
+            if (this.buffers[filepath]) continue;
+
+            bufferPromises.push(
+                this.loadBuffer(filepath).then(buffer => {
+                    if (buffer) this.buffers[filepath] = buffer;
+                })
+            );
+        }
+
+        await Promise.all(bufferPromises);
+    }
+
+    /**
+     * Loads the binary buffer of a "mesh" primitive.
+     * Overridden in headless mode, where it is read from the disk.
+     * @param {String} filepath - The path of the buffer file.
+     * @returns {Promise<ArrayBuffer|null>} - The content of the file, or null if failed.
+     */
+    async loadBuffer(filepath) {
+        try {
+            return await new THREE.FileLoader().setResponseType("arraybuffer").loadAsync(filepath);
+        } catch (error) {
+            console.error(`Failed to load buffer at path: ${filepath}`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Asynchronously loads the typeface fonts (.json) used by "text" primitives in the graph.
+     * It populates the "this.fonts" object, by file path, with each loaded font.
+     *
+     * @async
+     * @param {Object} graphData - The data regarding "graph" in YASF.
+     * @returns {Promise<void>} - A promise that resolves when all fonts are loaded.
+     */
+    async fontsRendering(graphData = {}) {
+        const fontPromises = [];
+
+        for (let filepath of collectFontPaths(graphData)) {
+            if (this.fonts[filepath]) continue;
+
+            fontPromises.push(
+                this.loadFont(filepath).then(font => {
+                    if (font) this.fonts[filepath] = font;
+                })
+            );
+        }
+
+        await Promise.all(fontPromises);
+    }
+
+    /**
+     * Loads the typeface font of a "text" primitive.
+     * Overridden in headless mode, where it is read from the disk.
+     * @param {String} filepath - The path of the font file.
+     * @returns {Promise<Font|null>} - The loaded font, or null if failed.
+     */
+    async loadFont(filepath) {
+        try {
+            return await new FontLoader().loadAsync(filepath);
+        } catch (error) {
+            console.error(`Failed to load font at path: ${filepath}`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Draws a line of text on a canvas, for a "text" primitive rendered as a texture.
+     * The text is white on a transparent background, so the color of the material tints it.
+     * Overridden in headless mode, where there is no canvas.
+     * @param {String} text - The text.
+     * @param {String} fontFamily - The CSS font family.
+     * @returns {THREE.CanvasTexture} - The texture, as high as the line of text and as wide as the text.
+     */
+    createTextTexture(text, fontFamily) {
+        const fontSize = TEXT_TEXTURE_FONT_SIZE;
+        const font = `${fontSize}px ${fontFamily}`;
+        const canvas = document.createElement("canvas");
+        const context = canvas.getContext("2d");
+
+        context.font = font;
+        canvas.width = Math.max(Math.ceil(context.measureText(text).width), 1);
+        canvas.height = Math.ceil(fontSize * CANVAS_LINE_HEIGHT);
+
+        // Resizing the canvas resets its state
+        context.font = font;
+        context.fillStyle = "#ffffff";
+        context.textBaseline = "middle";
+        context.fillText(text, 0, canvas.height / 2);
+
+        return new THREE.CanvasTexture(canvas);
+    }
+
     /**
      * Asynchronously loads and processes the materials specified in the scene data.
      * It populates the "this.materials" object with the loaded materials.
@@ -282,8 +858,85 @@ class MyContents {
         console.log("All materials loaded:", this.materials);
     }
 
+    /**
+     * Creates the keyframe animations defined in the "animations" YASF block and starts the
+     * clips set to play on load. Must run after the graph is parsed, since the tracks target its nodes.
+     * @param {Object} animationsData - The data regarding "animations" in YASF.
+     */
+    animationsRendering(animationsData = {}) {
+        if (Object.keys(animationsData).length === 0 || !this.graphParser.rootNode) return;
+
+        this.animations = new MyAnimations(animationsData);
+        this.animations.build(this.graphParser.rootNode);
+
+        // Do not count the loading time as the first frame of the animations
+        this.clock.getDelta();
+    }
+
+    /**
+     * Reads the settings of the "postprocessing" YASF block. Without it, no effect is enabled.
+     * @param {Object} postprocessingData - The data regarding "postprocessing" in YASF.
+     */
+    postprocessingRendering(postprocessingData = {}) {
+        this.postprocessing = new MyPostprocessing(postprocessingData);
+    }
+
+    /**
+     * Updates the contents on every frame. Called by MyApp's render loop.
+     */
     update() {
+        const delta = this.clock.getDelta();
+
+        if (this.animations) {
+            this.animations.update(delta);
+        }
+    }
+}
+
+/**
+ * Disposes of a texture, stopping its playback if it is a video.
+ * @param {THREE.Texture} texture - The texture to dispose of.
+ */
+function disposeTexture(texture) {
+    if (texture.isVideoTexture) {
+        texture.image.pause();
+        texture.image.removeAttribute("src");
+        texture.image.load();
+    }
+    texture.dispose();
+}
+
+/**
+ * Removes some entries from a collection (e.g. the changed textures), returning their values.
+ * @param {Object} collection - The collection, by id.
+ * @param {Set<String>} ids - The ids of the entries to remove.
+ * @returns {Array<*>} - The removed values.
+ */
+function takeEntries(collection, ids) {
+    const values = [];
+    for (const id of ids) {
+        if (id in collection) {
+            values.push(collection[id]);
+            delete collection[id];
+        }
+    }
+    return values;
+}
+
+/**
+ * Gets some entries of a collection (e.g. the nodes of a graph).
+ * @param {Object} collection - The collection, by id.
+ * @param {Set<String>} ids - The ids of the entries.
+ * @returns {Object} - The entries found, by id.
+ */
+function pickEntries(collection = {}, ids) {
+    const entries = {};
+    for (const id of ids) {
+        if (id in collection) {
+            entries[id] = collection[id];
+        }
     }
+    return entries;
 }
 
 export { MyContents };
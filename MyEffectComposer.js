@@ -0,0 +1,181 @@
+import * as THREE from 'three';
+import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
+import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { SSAOPass } from 'three/addons/postprocessing/SSAOPass.js';
+import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { OutlinePass } from 'three/addons/postprocessing/OutlinePass.js';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
+import { SMAAPass } from 'three/addons/postprocessing/SMAAPass.js';
+import { FXAAShader } from 'three/addons/shaders/FXAAShader.js';
+import { VignetteShader } from 'three/addons/shaders/VignetteShader.js';
+
+/**
+ * This class renders the scene through a THREE.EffectComposer with the effects of the "postprocessing"
+ * block of the loaded scene (see MyPostprocessing): SSAO, bloom, the outline of the selected mesh,
+ * tone mapping, vignette and FXAA/SMAA anti-aliasing.
+ *
+ * The passes are created the first time an effect is enabled, and follow the settings on every frame,
+ * so they can be changed at runtime (e.g. from the GUI). While no effect is enabled, the scene is
+ * rendered directly, as it is without a "postprocessing" block.
+ */
+class MyEffectComposer {
+
+    /**
+     * @param {MyApp} app - The application object.
+     */
+    constructor(app) {
+        this.app = app;
+        this.composer = null;
+        this.passes = null;
+
+        // Camera the passes were created for, since some of them depend on its type
+        this.camera = null;
+    }
+
+    /**
+     * Renders a frame of the scene with the active camera.
+     * @param {MyPostprocessing|null} settings - The postprocessing settings of the loaded scene, if any.
+     */
+    render(settings) {
+        const renderer = this.app.renderer;
+        const camera = this.app.activeCamera;
+
+        renderer.toneMapping = settings?.getToneMapping() ?? THREE.NoToneMapping;
+        renderer.toneMappingExposure = settings?.toneMapping.exposure ?? 1;
+
+        if (!settings?.hasEffects()) {
+            this.setPickerOutlineVisible(true);
+            renderer.render(this.app.scene, camera);
+            return;
+        }
+
+        if (!this.composer || this.camera !== camera) {
+            this.createComposer(camera);
+        }
+
+        this.applySettings(settings);
+        this.composer.render();
+    }
+
+    /**
+     * Creates the composer and its passes for a camera, replacing the previous ones.
+     * @param {THREE.Camera} camera - The camera to render with.
+     */
+    createComposer(camera) {
+        this.dispose();
+
+        const renderer = this.app.renderer;
+        const scene = this.app.scene;
+        const width = window.innerWidth;
+        const height = window.innerHeight;
+        const pixelRatio = renderer.getPixelRatio();
+
+        this.composer = new EffectComposer(renderer);
+        this.camera = camera;
+
+        // SSAO renders the scene itself, so it replaces the render pass when enabled
+        this.passes = {
+            render: new RenderPass(scene, camera),
+            ssao: new SSAOPass(scene, camera, width, height),
+            bloom: new UnrealBloomPass(new THREE.Vector2(width, height), 1, 0.4, 0.85),
+            outline: new OutlinePass(new THREE.Vector2(width, height), scene, camera),
+            output: new OutputPass(),
+            vignette: new ShaderPass(VignetteShader),
+            fxaa: new ShaderPass(FXAAShader),
+            smaa: new SMAAPass(width * pixelRatio, height * pixelRatio)
+        };
+
+        for (const pass of Object.values(this.passes)) {
+            this.composer.addPass(pass);
+        }
+
+        this.setSize(width, height);
+    }
+
+    /**
+     * Applies the postprocessing settings to the passes.
+     * @param {MyPostprocessing} settings - The postprocessing settings.
+     */
+    applySettings(settings) {
+        const { ssao, bloom, outline, vignette, fxaa, smaa, render } = this.passes;
+
+        ssao.enabled = settings.ssao.enabled;
+        render.enabled = !settings.ssao.enabled;
+        ssao.kernelRadius = settings.ssao.kernelRadius;
+        ssao.minDistance = settings.ssao.minDistance;
+        ssao.maxDistance = settings.ssao.maxDistance;
+
+        // The projection of the camera changes with the window size and zoom
+        const uniforms = ssao.ssaoMaterial.uniforms;
+        uniforms.cameraNear.value = this.camera.near;
+        uniforms.cameraFar.value = this.camera.far;
+        uniforms.cameraProjectionMatrix.value.copy(this.camera.projectionMatrix);
+        uniforms.cameraInverseProjectionMatrix.value.copy(this.camera.projectionMatrixInverse);
+
+        bloom.enabled = settings.bloom.enabled;
+        bloom.strength = settings.bloom.strength;
+        bloom.radius = settings.bloom.radius;
+        bloom.threshold = settings.bloom.threshold;
+
+        outline.enabled = settings.outline.enabled;
+        outline.visibleEdgeColor.copy(settings.outline.color);
+        outline.hiddenEdgeColor.copy(settings.outline.color).multiplyScalar(0.3);
+        outline.edgeStrength = settings.outline.strength;
+        outline.edgeThickness = settings.outline.thickness;
+
+        const selected = this.app.picker?.selected;
+        outline.selectedObjects = selected ? [selected] : [];
+        this.setPickerOutlineVisible(!outline.enabled);
+
+        vignette.enabled = settings.vignette.enabled;
+        vignette.uniforms.offset.value = settings.vignette.offset;
+        vignette.uniforms.darkness.value = settings.vignette.darkness;
+
+        fxaa.enabled = settings.antialias === "fxaa";
+        smaa.enabled = settings.antialias === "smaa";
+    }
+
+    /**
+     * Shows or hides the edges MyPicker draws around the selected mesh, which the outline pass replaces.
+     * @param {Boolean} visible - Whether to show them.
+     */
+    setPickerOutlineVisible(visible) {
+        if (this.app.picker?.outline) {
+            this.app.picker.outline.visible = visible;
+        }
+    }
+
+    /**
+     * Resizes the passes. Called when the window is resized.
+     * @param {Number} width - The width of the canvas, in CSS pixels.
+     * @param {Number} height - The height of the canvas, in CSS pixels.
+     */
+    setSize(width, height) {
+        if (!this.composer) return;
+
+        this.composer.setSize(width, height);
+
+        // FXAA works on the pixels of the drawing buffer
+        const pixelRatio = this.app.renderer.getPixelRatio();
+        this.passes.fxaa.uniforms.resolution.value.set(1 / (width * pixelRatio), 1 / (height * pixelRatio));
+    }
+
+    /**
+     * Disposes of the composer and its passes. They are created again when an effect is next rendered.
+     */
+    dispose() {
+        if (!this.composer) return;
+
+        for (const pass of Object.values(this.passes)) {
+            pass.dispose();
+        }
+        this.composer.dispose();
+
+        this.composer = null;
+        this.passes = null;
+        this.camera = null;
+    }
+}
+
+export { MyEffectComposer };
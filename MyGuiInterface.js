@@ -1,4 +1,16 @@
+import * as THREE from 'three';
 import { GUI } from 'three/addons/libs/lil-gui.module.min.js';
+import { logDiagnostics } from './parser/MySceneValidator.js';
+import { MyGltfExporter } from './exporters/MyGltfExporter.js';
+import { MyFileWriter } from './parser/MyFileWriter.js';
+import { VIEW_DIRECTIONS } from './MyCameraControls.js';
+import { FOG_TYPES } from './parser/customClasses/01_MyGlobals.js';
+import { EASINGS } from './parser/customClasses/02_MyCamera.js';
+import { ANTIALIAS_TYPES, TONE_MAPPINGS } from './parser/customClasses/07_MyPostprocessing.js';
+import { setMaterialTexlength, setMaterialTexture, syncMaterialCopies } from './parser/utils/MyMaterialUtils.js';
+
+// Shadow map sizes offered in the light editor
+const SHADOW_MAP_SIZES = [128, 256, 512, 1024, 2048, 4096];
 
 /**
  * This class customizes the GUI interface for the app.
@@ -35,9 +47,146 @@ class MyGuiInterface  {
      * Initialize the GUI interface.
      */
     init() {
+        this.setupSceneGUI();
         this.setupCamerasGUI();
+        this.setupFogGUI();
+        this.setupPostprocessingGUI();
         this.setupLightsGUI();
         this.setupMaterialsGUI();
+        this.setupAnimationsGUI();
+        this.setupSelectionGUI();
+    }
+
+    /**
+     * Removes the GUI from the page. Used when a new scene replaces the current one.
+     */
+    dispose() {
+        this.datgui.destroy();
+    }
+
+    /**
+     * Gets which folders are closed, to restore them in a new GUI (see setFolderStates).
+     * @returns {Map<String, Boolean>} - Whether each folder is closed, by the titles from the root to the folder.
+     */
+    getFolderStates() {
+        return new Map(this.datgui.foldersRecursive().map((folder) => [getFolderPath(folder), folder._closed]));
+    }
+
+    /**
+     * Opens or closes the folders of the GUI as they were in a previous one.
+     * Folders that were not in the previous GUI keep their default state.
+     * @param {Map<String, Boolean>} folderStates - Whether each folder is closed, by the titles from the root to the folder.
+     */
+    setFolderStates(folderStates) {
+        this.datgui.foldersRecursive().forEach((folder) => {
+            const path = getFolderPath(folder);
+            if (folderStates.has(path)) {
+                folder.open(!folderStates.get(path));
+            }
+        });
+    }
+
+    /**
+     * Sets up the scene GUI, showing the loaded file and allowing another YASF file to be picked.
+     */
+    setupSceneGUI() {
+        const sceneFolder = this.datgui.addFolder('Scene');
+
+        const sceneName = this.contents.sceneName || "None";
+        const nameController = sceneFolder
+            .add({ file: truncateString(sceneName, 30) }, 'file')
+            .name('Current Scene')
+            .disable();
+
+        // Add tooltip with the full name to the element controller
+        addTooltip(nameController.domElement, sceneName);
+
+        sceneFolder
+            .add({ load: () => this.openSceneFilePicker() }, 'load')
+            .name('Load Scene File...');
+
+        // Apply the changes of the scene file as it is edited, without reloading the page
+        const watchController = sceneFolder
+            .add({ watch: this.contents.isWatching() }, 'watch')
+            .name('Watch File (Hot Reload)')
+            .onChange((value) => this.contents.watchScene(value));
+
+        if (!this.contents.scenePath) {
+            watchController.disable();
+            addTooltip(watchController.domElement, "Only scenes loaded from a path can be watched");
+        }
+
+        // Save the current scene, with the changes made in the GUI, as a YASF file
+        const save = () => {
+            try {
+                new MyFileWriter(this.contents).download();
+            } catch (error) {
+                console.error("Unable to save the scene:", error);
+            }
+        };
+        sceneFolder
+            .add({ save }, 'save')
+            .name('Save Scene (.json)');
+
+        // Export the current scene to glTF/GLB
+        const exporter = new MyGltfExporter(this.app);
+        const exportScene = (binary) => exporter.download(binary)
+            .catch((error) => console.error(`Unable to export the scene to ${binary ? "GLB" : "glTF"}:`, error));
+        sceneFolder
+            .add({ exportGltf: () => exportScene(false) }, 'exportGltf')
+            .name('Export glTF (.gltf)');
+        sceneFolder
+            .add({ exportGlb: () => exportScene(true) }, 'exportGlb')
+            .name('Export GLB (.glb)');
+
+        sceneFolder.close();
+
+        this.setupValidationGUI();
+    }
+
+    /**
+     * Sets up the validation GUI, with the result of the last schema validation and the strict mode toggle.
+     */
+    setupValidationGUI() {
+        const validationFolder = this.datgui.addFolder('Validation');
+        const diagnostics = this.contents.validationDiagnostics;
+
+        const errorCount = diagnostics.filter((d) => d.severity === 'error').length;
+        const warningCount = diagnostics.filter((d) => d.severity === 'warning').length;
+
+        validationFolder.add({ errors: errorCount }, 'errors').name('Errors').disable();
+        validationFolder.add({ warnings: warningCount }, 'warnings').name('Warnings').disable();
+
+        validationFolder
+            .add({ log: () => logDiagnostics(diagnostics) }, 'log')
+            .name('Log Report');
+
+        // Applies to the next scene loaded
+        validationFolder
+            .add(this.contents, 'strictValidation')
+            .name('Strict Mode');
+
+        if (errorCount > 0) {
+            validationFolder.open();
+        } else {
+            validationFolder.close();
+        }
+    }
+
+    /**
+     * Opens the browser file picker and loads the selected YASF file as the new scene.
+     */
+    openSceneFilePicker() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.addEventListener('change', () => {
+            const file = input.files[0];
+            if (file) {
+                this.contents.loadScene(file);
+            }
+        });
+        input.click();
     }
 
     /**
@@ -60,6 +209,10 @@ class MyGuiInterface  {
         // Add a folder for cameras
         const cameraFolder = this.datgui.addFolder('Cameras');
 
+        // Type of controls of a camera, declared in its "controls" block
+        const getControlsType = (camera) => camera?.userData.controls?.type ?? "orbit";
+        const controlsState = { controls: getControlsType(this.app.activeCamera) };
+
         // Dropdown to select the active camera
         this.cameraController = cameraFolder
             .add(
@@ -69,12 +222,132 @@ class MyGuiInterface  {
             )
             .name('Select Camera')
             .onChange((cameraName) => {
-                this.app.setActiveCamera(cameraName);
+                this.app.setActiveCamera(cameraName, true);
+
+                const camera = this.app.cameras[cameraName];
+                controlsController.setValue(getControlsType(camera));
+                showViews(camera);
             });
 
+        const controlsController = cameraFolder.add(controlsState, 'controls').name('Controls').disable();
+
+        // Animation of the camera switches, instant with a duration of 0 seconds
+        const transition = this.contents.cameraTransition;
+        cameraFolder.add(transition, 'duration', 0, 5, 0.1).name('Transition (s)');
+        cameraFolder.add(transition, 'easing', Object.keys(EASINGS)).name('Easing');
+
+        // Camera tours, played with the active camera
+        const tourIds = Object.keys(this.contents.cameraTours);
+        if (tourIds.length > 0) {
+            const toursFolder = cameraFolder.addFolder('Tours');
+            for (const tourId of tourIds) {
+                toursFolder.add({ play: () => this.app.playTour(tourId) }, 'play').name(`Play '${tourId}'`);
+            }
+            toursFolder.add({ stop: () => this.app.cameraAnimator.stop() }, 'stop').name('Stop Tour');
+        }
+
+        // Axis-aligned views of the orthographic cameras that can be moved
+        const viewsFolder = cameraFolder.addFolder('Views');
+        for (const view in VIEW_DIRECTIONS) {
+            viewsFolder
+                .add({ [view]: () => this.app.setCameraView(view) }, view)
+                .name(view.charAt(0).toUpperCase() + view.slice(1));
+        }
+        const showViews = (camera) => {
+            viewsFolder.show(Boolean(camera?.isOrthographicCamera) && getControlsType(camera) !== "fixed");
+        };
+        showViews(this.app.activeCamera);
+
         cameraFolder.open();
     }
 
+    /**
+     * Sets up the fog GUI: the fog type, and the color and distances (linear) or density (exp2) of the fog.
+     * The settings are kept in the globals and applied with MyGlobals.applyFog, so they are saved with the scene.
+     */
+    setupFogGUI() {
+        const globals = this.contents.globals;
+        if (!globals) return;
+
+        const fogFolder = this.datgui.addFolder("Fog");
+        const applyFog = () => globals.applyFog(this.app.scene);
+
+        // Only the settings of the current type are shown
+        const showTypeControllers = () => {
+            nearController.show(globals.fogType === "linear");
+            farController.show(globals.fogType === "linear");
+            densityController.show(globals.fogType === "exp2");
+        };
+
+        fogFolder
+            .add(globals, "fogType", FOG_TYPES)
+            .name("Type")
+            .onChange(() => {
+                applyFog();
+                showTypeControllers();
+            });
+        fogFolder
+            .addColor({ value: `#${globals.fogColor.getHexString()}` }, "value")
+            .name("Color")
+            .onChange((value) => {
+                globals.fogColor.set(value);
+                applyFog();
+            });
+
+        const nearController = fogFolder.add(globals, "fogNear").min(0).name("Near").onChange(applyFog);
+        const farController = fogFolder.add(globals, "fogFar").min(0).name("Far").onChange(applyFog);
+        const densityController = fogFolder.add(globals, "fogDensity", 0, 0.1, 0.0001).name("Density").onChange(applyFog);
+
+        showTypeControllers();
+        fogFolder.close();
+    }
+
+    /**
+     * Sets up the postprocessing GUI: a folder for each effect, with its toggle and parameters.
+     * The controls edit the settings read from the YASF file, which MyEffectComposer applies on every frame.
+     */
+    setupPostprocessingGUI() {
+        const settings = this.contents.postprocessing;
+        if (!settings) return;
+
+        const postprocessingFolder = this.datgui.addFolder("Postprocessing");
+
+        const ssaoFolder = postprocessingFolder.addFolder("SSAO");
+        ssaoFolder.add(settings.ssao, "enabled").name("Enabled");
+        ssaoFolder.add(settings.ssao, "kernelRadius", 0, 32, 0.1).name("Kernel Radius");
+        ssaoFolder.add(settings.ssao, "minDistance", 0.001, 0.02, 0.001).name("Min Distance");
+        ssaoFolder.add(settings.ssao, "maxDistance", 0.01, 0.3, 0.001).name("Max Distance");
+
+        const bloomFolder = postprocessingFolder.addFolder("Bloom");
+        bloomFolder.add(settings.bloom, "enabled").name("Enabled");
+        bloomFolder.add(settings.bloom, "strength", 0, 3, 0.01).name("Strength");
+        bloomFolder.add(settings.bloom, "radius", 0, 1, 0.01).name("Radius");
+        bloomFolder.add(settings.bloom, "threshold", 0, 1, 0.01).name("Threshold");
+
+        const outlineFolder = postprocessingFolder.addFolder("Selection Outline");
+        outlineFolder.add(settings.outline, "enabled").name("Enabled");
+        outlineFolder
+            .addColor({ value: `#${settings.outline.color.getHexString()}` }, "value")
+            .name("Color")
+            .onChange((value) => settings.outline.color.set(value));
+        outlineFolder.add(settings.outline, "strength", 0, 10, 0.1).name("Strength");
+        outlineFolder.add(settings.outline, "thickness", 1, 4, 0.1).name("Thickness");
+
+        const toneMappingFolder = postprocessingFolder.addFolder("Tone Mapping");
+        toneMappingFolder.add(settings.toneMapping, "type", Object.keys(TONE_MAPPINGS)).name("Type");
+        toneMappingFolder.add(settings.toneMapping, "exposure", 0, 4, 0.01).name("Exposure");
+
+        const vignetteFolder = postprocessingFolder.addFolder("Vignette");
+        vignetteFolder.add(settings.vignette, "enabled").name("Enabled");
+        vignetteFolder.add(settings.vignette, "offset", 0, 2, 0.01).name("Offset");
+        vignetteFolder.add(settings.vignette, "darkness", 0, 2, 0.01).name("Darkness");
+
+        postprocessingFolder.add(settings, "antialias", ANTIALIAS_TYPES).name("Anti-Aliasing");
+
+        postprocessingFolder.foldersRecursive().forEach((folder) => folder.close());
+        postprocessingFolder.close();
+    }
+
     /**
      * Sets up the lights-related GUI.
      */
@@ -99,21 +372,13 @@ class MyGuiInterface  {
         if (lightGroups.size > 0) {
             lightGroups.forEach((lightGroup) => {
                 const lightName = lightGroup.children[0]?.name || "Unnamed Light";
-                const truncatedName = truncateString(lightName, 40); // Truncate to 40 characters
-                
-                const controller = lightFolder
-                    .add(lightGroup, "visible")
-                    .name(truncatedName)
-                    .onChange((value) => {
-                        console.log(`Toggling visibility for ${lightName}:`, value);
-                        // Sync visibility with the parser if the method exists
-                        if (typeof this.parser?.synchronizeLightVisibility === 'function') {
-                            this.parser.synchronizeLightVisibility(lightGroup, value);
-                        }
-                    });
+                const folder = lightFolder.addFolder(truncateString(lightName, 40)); // Truncate to 40 characters
 
-                // Add tooltip with the full name to the element controller
-                addTooltip(controller.domElement, lightName);
+                // Add tooltip with the full name to the folder title
+                addTooltip(folder.$title, lightName);
+
+                this.setupLightEditorGUI(folder, lightGroup, lightName);
+                folder.close();
             });
         } else {
             lightFolder.add({ message: "No lights found" }, "message").name("No Lights");
@@ -122,6 +387,186 @@ class MyGuiInterface  {
         lightFolder.open();
     }
 
+    /**
+     * Sets up the controls to edit a light, with the properties parsed by createLight, and to show its helpers.
+     * @param {GUI} folder - The folder of the light.
+     * @param {THREE.Group} lightGroup - The group containing the light (and its target).
+     * @param {String} lightName - The name of the light, for log messages.
+     */
+    setupLightEditorGUI(folder, lightGroup, lightName) {
+        const light = lightGroup.children.find((child) => child.isLight);
+
+        folder
+            .add(lightGroup, "visible")
+            .name("Enabled")
+            .onChange((value) => {
+                console.log(`Toggling visibility for ${lightName}:`, value);
+                // Sync visibility with the parser if the method exists
+                if (typeof this.parser?.synchronizeLightVisibility === 'function') {
+                    this.parser.synchronizeLightVisibility(lightGroup, value);
+                }
+            });
+
+        // Colors are edited as hex strings, since THREE.Color stores them in linear space
+        folder
+            .addColor({ color: `#${light.color.getHexString()}` }, "color")
+            .name("Color")
+            .onChange((value) => light.color.set(value));
+        folder.add(light, "intensity").min(0).name("Intensity");
+
+        if (light.isPointLight || light.isSpotLight) {
+            folder.add(light, "distance").min(0).name("Distance");
+            folder.add(light, "decay").min(0).name("Decay");
+        }
+        if (light.isSpotLight) {
+            folder
+                .add({ angle: THREE.MathUtils.radToDeg(light.angle) }, "angle", 0, 90, 0.1)
+                .name("Angle (deg)")
+                .onChange((value) => { light.angle = THREE.MathUtils.degToRad(value); });
+            folder.add(light, "penumbra", 0, 1, 0.01).name("Penumbra");
+        }
+
+        const positionFolder = folder.addFolder("Position");
+        ["x", "y", "z"].forEach((axis) => positionFolder.add(light.position, axis).name(axis.toUpperCase()));
+        positionFolder.close();
+
+        if (light.isSpotLight || light.isDirectionalLight) {
+            const targetFolder = folder.addFolder("Target");
+            ["x", "y", "z"].forEach((axis) => targetFolder.add(light.target.position, axis).name(axis.toUpperCase()));
+            targetFolder.close();
+        }
+
+        const shadowFolder = folder.addFolder("Shadows");
+        shadowFolder.add(light, "castShadow").name("Cast Shadow");
+        shadowFolder
+            .add(
+                { size: light.shadow.mapSize.width },
+                "size",
+                [...new Set([...SHADOW_MAP_SIZES, light.shadow.mapSize.width])].sort((a, b) => a - b)
+            )
+            .name("Shadow Map Size")
+            .onChange((value) => {
+                light.shadow.mapSize.set(value, value);
+
+                // The shadow map is created again with the new size on the next render
+                light.shadow.map?.dispose();
+                light.shadow.map = null;
+            });
+
+        if (light.isDirectionalLight) {
+            const shadowCamera = light.shadow.camera;
+            const bounds = [["left", "Shadow Left"], ["right", "Shadow Right"], ["bottom", "Shadow Bottom"], ["top", "Shadow Top"]];
+
+            bounds.forEach(([side, name]) => {
+                shadowFolder
+                    .add(shadowCamera, side)
+                    .name(name)
+                    .onChange(() => shadowCamera.updateProjectionMatrix());
+            });
+        }
+        shadowFolder.close();
+
+        // Overlays showing where the light is and the bounds of its shadow camera
+        const lightHelpers = this.app.lightHelpers;
+        if (lightHelpers) {
+            const helpersFolder = folder.addFolder("Helpers");
+            helpersFolder
+                .add({ visible: lightHelpers.hasHelper(light, "light") }, "visible")
+                .name("Show Light Helper")
+                .onChange((value) => lightHelpers.setHelper(light, "light", value));
+            helpersFolder
+                .add({ visible: lightHelpers.hasHelper(light, "shadow") }, "visible")
+                .name("Show Shadow Camera")
+                .onChange((value) => lightHelpers.setHelper(light, "shadow", value));
+        }
+    }
+
+    /**
+     * Sets up the animations GUI, with a toggle to start or stop each clip.
+     */
+    setupAnimationsGUI() {
+        const animations = this.contents.animations;
+        const clipIds = Object.keys(animations?.actions ?? {});
+        if (clipIds.length === 0) return;
+
+        const animationFolder = this.datgui.addFolder("Animations");
+
+        clipIds.forEach((clipId) => {
+            const controller = animationFolder
+                .add({ playing: animations.isPlaying(clipId) }, "playing")
+                .name(truncateString(clipId, 40))
+                .onChange((value) => {
+                    if (value) {
+                        animations.play(clipId);
+                    } else {
+                        animations.stop(clipId);
+                    }
+                });
+
+            // Add tooltip with the full name to the element controller
+            addTooltip(controller.domElement, clipId);
+        });
+
+        animationFolder.close();
+    }
+
+    /**
+     * Sets up the selection GUI, showing where the mesh picked with the mouse comes from in the YASF file.
+     */
+    setupSelectionGUI() {
+        const picker = this.app.picker;
+        if (!picker) return;
+
+        const selectionFolder = this.datgui.addFolder("Selection");
+
+        this.selectionInfo = {
+            node: "-", primitive: "-", path: "-", parents: "-", material: "-",
+            position: "-", rotation: "-", scale: "-"
+        };
+        this.selectionControllers = {
+            node: selectionFolder.add(this.selectionInfo, "node").name("Node").disable(),
+            primitive: selectionFolder.add(this.selectionInfo, "primitive").name("Primitive").disable(),
+            path: selectionFolder.add(this.selectionInfo, "path").name("JSON Path").disable(),
+            parents: selectionFolder.add(this.selectionInfo, "parents").name("Parent Chain").disable(),
+            material: selectionFolder.add(this.selectionInfo, "material").name("Material").disable(),
+            position: selectionFolder.add(this.selectionInfo, "position").name("Position").disable(),
+            rotation: selectionFolder.add(this.selectionInfo, "rotation").name("Rotation (deg)").disable(),
+            scale: selectionFolder.add(this.selectionInfo, "scale").name("Scale").disable()
+        };
+
+        selectionFolder
+            .add({ clear: () => picker.clearSelection() }, "clear")
+            .name("Clear Selection");
+
+        picker.onSelectionChange = (info) => this.showSelection(info);
+        this.showSelection(picker.selected ? picker.getSelectionInfo(picker.selected) : null);
+    }
+
+    /**
+     * Updates the selection GUI with the info of the picked mesh.
+     * @param {Object|null} info - The selection info from MyPicker, or null if nothing is selected.
+     */
+    showSelection(info) {
+        const formatVector = (vector) => vector.toArray().map((value) => value.toFixed(3)).join(", ");
+
+        Object.assign(this.selectionInfo, {
+            node: info?.nodeId ?? "-",
+            primitive: info?.primitiveId || "-",
+            path: info?.yasfPath ?? "-",
+            parents: info?.parentChain.length ? info.parentChain.join(" > ") : "-",
+            material: info?.materialId ?? "-",
+            position: info ? formatVector(info.position) : "-",
+            rotation: info ? formatVector(info.rotation) : "-",
+            scale: info ? formatVector(info.scale) : "-"
+        });
+
+        for (const key in this.selectionControllers) {
+            this.selectionControllers[key].updateDisplay();
+            // Show the full value when hovering, as long paths do not fit the panel
+            addTooltip(this.selectionControllers[key].domElement, this.selectionInfo[key]);
+        }
+    }
+
     /**
      * Sets up the materials GUI.
      */
@@ -170,31 +615,157 @@ class MyGuiInterface  {
     }
 
     /**
-     * Sets up the specific materials GUI
+     * Sets up the specific materials GUI, with a folder to edit the properties of each material.
      */
     setupSpecificMaterialsGUI() {
-        const materialSpecificFolder = this.datgui.addFolder("Individual Materials Wireframe");
+        const materialSpecificFolder = this.datgui.addFolder("Individual Materials");
 
         Object.keys(this.contents.materials).forEach((id) => {
             const material = this.contents.materials[id];
             if (material.wireframe !== undefined) {
-                const truncatedId = truncateString(id, 25); // Truncate to 25 characters
-                const controller = materialSpecificFolder
-                    .add(material, "wireframe")
-                    .name(`${truncatedId} - Wireframe`)
-                    .onChange((value) => {
-                        console.log(`Material '${id}' wireframe set to:`, value);
-                    });
+                const folder = materialSpecificFolder.addFolder(truncateString(id, 30));
 
-                // Add tooltip with the full name to the element controller
-                addTooltip(controller.domElement, id);
+                // Add tooltip with the full name to the folder title
+                addTooltip(folder.$title, id);
 
-                this.materialSpecificControllers[id] = controller;
+                this.setupMaterialEditorGUI(folder, id, material);
+                folder.close();
             }
         });
 
         materialSpecificFolder.close();
     }
+
+    /**
+     * Sets up the controls to edit the properties of a material, as parsed by MyMaterials.
+     * @param {GUI} folder - The folder of the material.
+     * @param {String} id - The id of the material.
+     * @param {THREE.Material} material - The material to edit.
+     */
+    setupMaterialEditorGUI(folder, id, material) {
+        const rootNode = this.contents.graphParser.rootNode;
+
+        // Meshes with animated material properties use copies of the material, which follow its edits.
+        // The animations are created again when the scene is updated, so the copies are looked up on each edit
+        const getCopies = () => this.contents.animations?.getMaterialCopies(material) ?? [];
+        // The folder is told of a change before the controller applies it, hence the microtask
+        folder.onChange(() => queueMicrotask(() => syncMaterialCopies(material, getCopies())));
+
+        // The model decides which of the controls below the material has
+        folder.add({ type: material.type }, "type").name("Model").disable();
+
+        // Colors are edited as hex strings, since THREE.Color stores them in linear space
+        for (const [property, name] of [["color", "Color"], ["specular", "Specular"], ["emissive", "Emissive"]]) {
+            if (!material[property]?.isColor) continue;
+
+            folder
+                .addColor({ value: `#${material[property].getHexString()}` }, "value")
+                .name(name)
+                .onChange((value) => material[property].set(value));
+        }
+
+        if (material.emissiveIntensity !== undefined) {
+            folder.add(material, "emissiveIntensity").min(0).name("Emissive Intensity");
+        }
+        if (material.shininess !== undefined) {
+            folder.add(material, "shininess").min(0).name("Shininess");
+        }
+
+        // Physically based settings, on "standard" and "physical" materials
+        for (const [property, name, min, max] of [
+            ["roughness", "Roughness", 0, 1],
+            ["metalness", "Metalness", 0, 1],
+            ["clearcoat", "Clearcoat", 0, 1],
+            ["clearcoatRoughness", "Clearcoat Roughness", 0, 1],
+            ["transmission", "Transmission", 0, 1],
+            ["ior", "IOR", 1, 2.333]
+        ]) {
+            if (material[property] !== undefined) {
+                folder.add(material, property, min, max, 0.01).name(name);
+            }
+        }
+
+        // Reflection of the environment map (the reflectivity of physical materials follows their IOR)
+        if (material.envMapIntensity !== undefined) {
+            folder.add(material, "envMapIntensity").min(0).name("Env Map Intensity");
+        }
+        if (material.reflectivity !== undefined && !material.isMeshStandardMaterial) {
+            folder.add(material, "reflectivity", 0, 1, 0.01).name("Reflectivity");
+        }
+
+        folder.add(material, "opacity", 0, 1, 0.01).name("Opacity");
+        folder
+            .add(material, "transparent")
+            .name("Transparent")
+            .onChange(() => { material.needsUpdate = true; });
+        folder
+            .add({ twosided: material.side === THREE.DoubleSide }, "twosided")
+            .name("Two-Sided")
+            .onChange((value) => {
+                material.side = value ? THREE.DoubleSide : THREE.FrontSide;
+                material.needsUpdate = true;
+            });
+        if (material.flatShading !== undefined) {
+            folder
+                .add(material, "flatShading")
+                .name("Flat Shading")
+                .onChange(() => { material.needsUpdate = true; });
+        }
+
+        // Kept so the "Toggle All Wireframes" control can refresh it
+        this.materialSpecificControllers[id] = folder
+            .add(material, "wireframe")
+            .name("Wireframe")
+            .onChange((value) => {
+                console.log(`Material '${id}' wireframe set to:`, value);
+            });
+
+        // Textures are picked among the loaded ones, by id
+        const textureIds = ["none", ...Object.keys(this.contents.textures)];
+        const getTextureId = (texture) => Object.keys(this.contents.textures)
+            .find((textureId) => this.contents.textures[textureId] === texture) ?? "none";
+        const addTextureController = (property, name) => {
+            if (!(property in material)) return;
+
+            folder
+                .add({ texture: getTextureId(material[property]) }, "texture", textureIds)
+                .name(name)
+                .onChange((textureId) => {
+                    setMaterialTexture(rootNode, material, property, this.contents.textures[textureId] ?? null, getCopies());
+                });
+        };
+
+        addTextureController("map", "Texture");
+
+        // Changing the texture lengths adjusts the UVs of the meshes using the material
+        if (material.texlength_s !== undefined && material.texlength_t !== undefined) {
+            const texlength = { s: material.texlength_s, t: material.texlength_t };
+            const onTexlengthChange = () => {
+                if (texlength.s > 0 && texlength.t > 0) {
+                    setMaterialTexlength(rootNode, material, texlength.s, texlength.t, getCopies());
+                }
+            };
+
+            folder.add(texlength, "s").min(0.01).name("Texture Length S").onFinishChange(onTexlengthChange);
+            folder.add(texlength, "t").min(0.01).name("Texture Length T").onFinishChange(onTexlengthChange);
+        }
+
+        addTextureController("bumpMap", "Bump Map");
+        if (material.bumpScale !== undefined) {
+            folder.add(material, "bumpScale").min(0).name("Bump Scale");
+        }
+        addTextureController("specularMap", "Specular Map");
+        addTextureController("normalMap", "Normal Map");
+        addTextureController("roughnessMap", "Roughness Map");
+        addTextureController("metalnessMap", "Metalness Map");
+        addTextureController("aoMap", "AO Map");
+        addTextureController("emissiveMap", "Emissive Map");
+        addTextureController("displacementMap", "Displacement Map");
+        if (material.displacementScale !== undefined) {
+            folder.add(material, "displacementScale").name("Displacement Scale");
+        }
+        addTextureController("alphaMap", "Alpha Map");
+    }
 }
 
 /**
@@ -211,6 +782,19 @@ function truncateString(str, maxLength) {
     }
 }
 
+/**
+ * Gets the titles of a GUI folder and its parent folders, from the root down (e.g. "Lights/spotlight/Position").
+ * @param {GUI} folder - The folder.
+ * @returns {String} - The path of the folder.
+ */
+function getFolderPath(folder) {
+    const titles = [];
+    for (let current = folder; current.parent; current = current.parent) {
+        titles.unshift(current._title);
+    }
+    return titles.join("/");
+}
+
 /**
  * Adds a tooltip to the specified DOM element.
  * @param {HTMLElement} element - The DOM element to add the tooltip to.
@@ -224,7 +808,11 @@ function addTooltip(element, text) {
  * Injects custom CSS styles to handle text overflow in the GUI.
  */
 function injectCustomStyles() {
+    // Only inject once, even if the GUI is recreated for a new scene
+    if (document.getElementById('custom-gui-styles')) return;
+
     const style = document.createElement('style');
+    style.id = 'custom-gui-styles';
     style.innerHTML = `
         /* Ensure labels do not overflow and display ellipsis */
         .lil-gui .controller > label {
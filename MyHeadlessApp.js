@@ -0,0 +1,198 @@
+import * as THREE from 'three';
+import { FontLoader } from 'three/addons/loaders/FontLoader.js';
+import { MyContents } from './MyContents.js';
+import { MySceneValidator } from './parser/MySceneValidator.js';
+
+/**
+ * DOM-free counterpart of MyApp, used to parse YASF files outside the browser (e.g. in Node.js).
+ * It holds the scene and cameras like MyApp, but has no renderer, controls or GUI.
+ */
+class MyHeadlessApp {
+    /**
+     * The constructor.
+     */
+    constructor() {
+        this.scene = new THREE.Scene();
+
+        // Camera-related attributes
+        this.activeCamera = null;
+        this.activeCameraName = null;
+        this.cameras = {};
+
+        this.contents = null;
+    }
+
+    /**
+     * Sets the active camera by name.
+     * @param {String} cameraName
+     */
+    setActiveCamera(cameraName) {
+        this.activeCameraName = cameraName;
+        this.activeCamera = this.cameras[cameraName];
+    }
+
+    /**
+     * Removes all scene cameras. Used when a scene is unloaded.
+     */
+    resetCameras() {
+        this.cameras = {};
+        this.activeCamera = null;
+        this.activeCameraName = null;
+    }
+}
+
+/**
+ * MyContents with stubbed resource loading: textures, videos, skybox images and environment maps are replaced by
+ * empty THREE.Texture placeholders, and model assets by empty groups, so no browser, network or GPU is needed.
+ * The binary buffers of meshes and the fonts of texts are read from the disk, since the geometry is built from them,
+ * and texts drawn on a canvas get placeholder textures.
+ */
+class MyHeadlessContents extends MyContents {
+    /**
+     * @param {MyHeadlessApp} app - The headless application object.
+     * @param {Boolean} strictValidation - Whether to refuse scenes with schema errors.
+     */
+    constructor(app, strictValidation = false) {
+        super(app, {
+            autoLoad: false,
+            strictValidation: strictValidation,
+            watch: false,
+            textureLoader: new MyStubTextureLoader(),
+            environmentLoaders: { hdr: new MyStubTextureLoader(), exr: new MyStubTextureLoader() }
+        });
+    }
+
+    /**
+     * Creates a placeholder instead of loading the image or video of a texture.
+     * @param {MyTextures} myTexture - The parsed texture data.
+     * @returns {Promise<THREE.Texture>} - The placeholder texture.
+     */
+    loadTexture(myTexture) {
+        const texture = createPlaceholderTexture(myTexture.filepath);
+        texture.userData.isVideo = myTexture.isVideo;
+        texture.userData.mipmaps = myTexture.mipmaps;
+        return Promise.resolve(texture);
+    }
+
+    /**
+     * Creates an empty group instead of loading the asset of a "model" primitive.
+     * @param {MyModels} myModel - The parsed model data.
+     * @returns {Promise<THREE.Object3D>} - The placeholder group.
+     */
+    loadModel(myModel) {
+        const model = new THREE.Group();
+        model.name = myModel.filepath;
+        model.userData.filepath = myModel.filepath;
+        return Promise.resolve(model);
+    }
+
+    /**
+     * Reads the binary buffer of a "mesh" primitive from the disk, relative to the working directory.
+     * @param {String} filepath - The path of the buffer file.
+     * @returns {Promise<ArrayBuffer|null>} - The content of the file, or null if failed.
+     */
+    async loadBuffer(filepath) {
+        try {
+            const { readFile } = await import('node:fs/promises');
+            const data = await readFile(filepath);
+            return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+        } catch (error) {
+            console.error(`Failed to load buffer at path: ${filepath}`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Reads the typeface font of a "text" primitive from the disk, relative to the working directory.
+     * @param {String} filepath - The path of the font file.
+     * @returns {Promise<Font|null>} - The loaded font, or null if failed.
+     */
+    async loadFont(filepath) {
+        try {
+            const { readFile } = await import('node:fs/promises');
+            return new FontLoader().parse(JSON.parse(await readFile(filepath, 'utf8')));
+        } catch (error) {
+            console.error(`Failed to load font at path: ${filepath}`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Creates a placeholder instead of drawing a text on a canvas, sized as the text would roughly be.
+     * @param {String} text - The text.
+     * @returns {THREE.Texture} - The placeholder texture.
+     */
+    createTextTexture(text) {
+        const texture = createPlaceholderTexture(text);
+        texture.image = { width: text.length * 64, height: 160 };
+        return texture;
+    }
+}
+
+/**
+ * Minimal stand-in for THREE.TextureLoader that never touches the DOM.
+ */
+class MyStubTextureLoader {
+    /**
+     * "Loads" a texture by immediately returning a placeholder.
+     * @param {String} url - The path of the texture file.
+     * @param {Function} onLoad - Called with the placeholder texture.
+     * @returns {THREE.Texture} - The placeholder texture.
+     */
+    load(url, onLoad) {
+        const texture = createPlaceholderTexture(url);
+        if (onLoad) onLoad(texture);
+        return texture;
+    }
+}
+
+/**
+ * Creates an empty texture that remembers the file it stands for.
+ * @param {String} filepath - The path of the texture file.
+ * @returns {THREE.Texture} - The placeholder texture.
+ */
+function createPlaceholderTexture(filepath) {
+    const texture = new THREE.Texture();
+    texture.name = filepath;
+    texture.userData.filepath = filepath;
+    return texture;
+}
+
+/**
+ * Validates a YASF scene object without building it.
+ * @param {Object} data - The entire scene object data (the parsed JSON file).
+ * @returns {Array<Object>} - The diagnostics reported by MySceneValidator.
+ */
+function lintScene(data) {
+    return new MySceneValidator().validate(data);
+}
+
+/**
+ * Builds a YASF scene object into a THREE.Scene without a browser.
+ * @async
+ * @param {Object} data - The entire scene object data (the parsed JSON file).
+ * @param {Object} options - Optional settings.
+ * @param {Boolean} options.strict - Whether to refuse to build scenes with schema errors (default false).
+ * @param {String} options.name - The name of the scene, used in log messages.
+ * @returns {Promise<Object>} - { scene, cameras, activeCameraName, textures, materials, diagnostics }.
+ * In strict mode, "scene" is null when errors were found.
+ */
+async function parseScene(data, options = {}) {
+    const app = new MyHeadlessApp();
+    const contents = new MyHeadlessContents(app, options.strict ?? false);
+    app.contents = contents;
+
+    contents.pendingSceneName = options.name ?? "scene";
+    await contents.onSceneLoaded(data);
+
+    return {
+        scene: contents.sceneLoaded ? app.scene : null,
+        cameras: app.cameras,
+        activeCameraName: app.activeCameraName,
+        textures: contents.textures,
+        materials: contents.materials,
+        diagnostics: contents.validationDiagnostics
+    };
+}
+
+export { MyHeadlessApp, MyHeadlessContents, lintScene, parseScene };
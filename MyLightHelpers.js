@@ -0,0 +1,117 @@
+import * as THREE from 'three';
+
+/**
+ * This class manages the helper overlays of the lights: a helper showing where each light is and where it
+ * points (THREE.PointLightHelper, THREE.SpotLightHelper or THREE.DirectionalLightHelper), and a
+ * THREE.CameraHelper showing the bounds of its shadow camera.
+ * The helpers are added to the scene, outside the parsed graph, so they are not picked, saved or exported.
+ */
+class MyLightHelpers {
+
+    /**
+     * @param {THREE.Scene} scene - The scene to add the helpers to.
+     */
+    constructor(scene) {
+        this.scene = scene;
+
+        // Helpers of each light, by kind ("light" or "shadow")
+        this.helpers = new Map();
+    }
+
+    /**
+     * Shows or hides the helper of a light.
+     * @param {THREE.Light} light - The light.
+     * @param {String} kind - "light" for the light helper, "shadow" for the shadow camera helper.
+     * @param {Boolean} visible - Whether to show the helper.
+     */
+    setHelper(light, kind, visible) {
+        const lightHelpers = this.helpers.get(light) ?? {};
+
+        if (visible && !lightHelpers[kind]) {
+            const helper = kind === "shadow" ? new THREE.CameraHelper(light.shadow.camera) : createLightHelper(light);
+            if (!helper) return;
+
+            helper.name = `${light.name}_${kind}_helper`;
+            this.scene.add(helper);
+            lightHelpers[kind] = helper;
+            this.helpers.set(light, lightHelpers);
+        } else if (!visible && lightHelpers[kind]) {
+            disposeHelper(lightHelpers[kind]);
+            delete lightHelpers[kind];
+        }
+    }
+
+    /**
+     * Checks if a helper of a light is shown.
+     * @param {THREE.Light} light - The light.
+     * @param {String} kind - "light" or "shadow".
+     * @returns {Boolean} - True if the helper is shown.
+     */
+    hasHelper(light, kind) {
+        return Boolean(this.helpers.get(light)?.[kind]);
+    }
+
+    /**
+     * Updates the helpers to follow their lights. Called on every frame, since lights can be edited and animated.
+     */
+    update() {
+        this.helpers.forEach((lightHelpers, light) => {
+            for (const kind in lightHelpers) {
+                const helper = lightHelpers[kind];
+
+                // The shadow camera only follows the light when its shadow is rendered
+                if (kind === "shadow") {
+                    light.shadow.updateMatrices(light);
+                }
+
+                helper.visible = isVisible(light);
+                helper.update();
+            }
+        });
+    }
+
+    /**
+     * Removes every helper. Used when the lights are replaced (a scene is loaded or updated).
+     */
+    clear() {
+        this.helpers.forEach((lightHelpers) => {
+            Object.values(lightHelpers).forEach((helper) => disposeHelper(helper));
+        });
+        this.helpers.clear();
+    }
+}
+
+/**
+ * Creates the helper matching the type of a light.
+ * @param {THREE.Light} light - The light.
+ * @returns {THREE.Object3D|null} - The helper, or null for unsupported lights.
+ */
+function createLightHelper(light) {
+    if (light.isPointLight) return new THREE.PointLightHelper(light, 0.25);
+    if (light.isSpotLight) return new THREE.SpotLightHelper(light);
+    if (light.isDirectionalLight) return new THREE.DirectionalLightHelper(light, 0.5);
+    return null;
+}
+
+/**
+ * Removes a helper from the scene and disposes of it.
+ * @param {THREE.Object3D} helper - The helper.
+ */
+function disposeHelper(helper) {
+    helper.removeFromParent();
+    helper.dispose();
+}
+
+/**
+ * Checks if an object and all of its ancestors are visible (e.g. the light is switched on).
+ * @param {THREE.Object3D} object - The object to check.
+ * @returns {Boolean} - True if the object is rendered.
+ */
+function isVisible(object) {
+    for (let current = object; current; current = current.parent) {
+        if (!current.visible) return false;
+    }
+    return true;
+}
+
+export { MyLightHelpers };
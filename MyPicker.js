@@ -0,0 +1,217 @@
+import * as THREE from 'three';
+
+// Maximum pointer movement (in pixels) between press and release for a click,
+// so rotating the camera with OrbitControls does not change the selection
+const CLICK_TOLERANCE = 4;
+
+/**
+ * This class handles mouse picking: clicking on the canvas selects the mesh under the pointer,
+ * highlights it with an outline and reports which YASF node produced it.
+ */
+class MyPicker {
+
+    /**
+     * @param {MyApp} app - The application object.
+     */
+    constructor(app) {
+        this.app = app;
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        this.pointerDownPosition = null;
+
+        this.selected = null;
+        this.outline = null;
+
+        // Callback function for selection changes, receives the selection info (or null)
+        this.onSelectionChange = function() {};
+
+        const canvas = this.app.renderer.domElement;
+        canvas.addEventListener('pointerdown', this.onPointerDown.bind(this), false);
+        canvas.addEventListener('pointerup', this.onPointerUp.bind(this), false);
+    }
+
+    /**
+     * The pointer press handler. Remembers where the press started.
+     * @param {PointerEvent} event - The pointer event.
+     */
+    onPointerDown(event) {
+        this.pointerDownPosition = { x: event.clientX, y: event.clientY };
+    }
+
+    /**
+     * The pointer release handler. Picks the mesh under the pointer if it was a click with the main button.
+     * @param {PointerEvent} event - The pointer event.
+     */
+    onPointerUp(event) {
+        if (event.button !== 0 || !this.pointerDownPosition) return;
+
+        // While the fly and first person controls lock the pointer, clicks do not point at anything
+        if (document.pointerLockElement) return;
+
+        const moved = Math.hypot(
+            event.clientX - this.pointerDownPosition.x,
+            event.clientY - this.pointerDownPosition.y
+        );
+        this.pointerDownPosition = null;
+
+        if (moved <= CLICK_TOLERANCE) {
+            this.pick(event.clientX, event.clientY);
+        }
+    }
+
+    /**
+     * Selects the closest visible mesh of the parsed graph under a point of the canvas,
+     * or clears the selection if there is none.
+     * @param {Number} clientX - The horizontal position of the point, in window pixels.
+     * @param {Number} clientY - The vertical position of the point, in window pixels.
+     */
+    pick(clientX, clientY) {
+        const rootNode = this.app.contents?.graphParser.rootNode;
+        if (!rootNode || !this.app.activeCamera) return;
+
+        const rect = this.app.renderer.domElement.getBoundingClientRect();
+        this.pointer.set(
+            ((clientX - rect.left) / rect.width) * 2 - 1,
+            -((clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(this.pointer, this.app.activeCamera);
+
+        const hit = this.raycaster
+            .intersectObject(rootNode, true)
+            .find((intersection) => intersection.object.isMesh && isVisible(intersection.object));
+
+        this.select(hit?.object ?? null);
+    }
+
+    /**
+     * Selects a mesh, replacing the outline of the previous selection.
+     * @param {THREE.Mesh|null} mesh - The mesh to select, or null to clear the selection.
+     */
+    select(mesh) {
+        this.removeOutline();
+        this.selected = mesh;
+
+        if (mesh) {
+            this.outline = createOutline(mesh);
+            this.app.scene.add(this.outline);
+        }
+
+        this.onSelectionChange(mesh ? this.getSelectionInfo(mesh) : null);
+    }
+
+    /**
+     * Clears the selection. Used when a scene is unloaded.
+     */
+    clearSelection() {
+        this.select(null);
+    }
+
+    /**
+     * Updates the selection after the scene changed: it is cleared if the selected mesh was removed,
+     * otherwise its outline and info are updated.
+     */
+    refreshSelection() {
+        let attached = false;
+        this.selected?.traverseAncestors((ancestor) => {
+            attached = attached || ancestor === this.app.scene;
+        });
+
+        this.select(attached ? this.selected : null);
+    }
+
+    /**
+     * Removes the outline of the current selection from the scene and disposes of it.
+     */
+    removeOutline() {
+        if (!this.outline) return;
+
+        this.outline.removeFromParent();
+        this.outline.geometry.dispose();
+        this.outline.material.dispose();
+        this.outline = null;
+    }
+
+    /**
+     * Gathers where a mesh comes from in the YASF file and its world transform.
+     * @param {THREE.Mesh} mesh - The selected mesh.
+     * @returns {Object} - { nodeId, primitiveId, yasfPath, parentChain, materialId, position, rotation, scale },
+     * with the parent chain as node ids from the root down and the rotation in degrees.
+     */
+    getSelectionInfo(mesh) {
+        const nodeId = mesh.userData.nodeId ?? null;
+
+        // Node ids of the groups above the mesh's node, tagged by GraphParser, from the root down
+        const parentChain = [];
+        for (let object = mesh.parent; object; object = object.parent) {
+            const groupNodeId = object.userData.nodeId;
+            if (groupNodeId && object.name === groupNodeId) {
+                parentChain.unshift(groupNodeId);
+            }
+        }
+        if (parentChain[parentChain.length - 1] === nodeId) {
+            parentChain.pop();
+        }
+
+        const materials = this.app.contents?.materials ?? {};
+        const materialId = Object.keys(materials).find((id) => materials[id] === mesh.material) ?? null;
+
+        const position = new THREE.Vector3();
+        const quaternion = new THREE.Quaternion();
+        const scale = new THREE.Vector3();
+        mesh.matrixWorld.decompose(position, quaternion, scale);
+        const rotation = new THREE.Euler().setFromQuaternion(quaternion);
+
+        return {
+            nodeId: nodeId,
+            primitiveId: mesh.name,
+            yasfPath: mesh.userData.yasfPath ?? null,
+            parentChain: parentChain,
+            materialId: materialId,
+            position: position,
+            rotation: new THREE.Vector3(
+                THREE.MathUtils.radToDeg(rotation.x),
+                THREE.MathUtils.radToDeg(rotation.y),
+                THREE.MathUtils.radToDeg(rotation.z)
+            ),
+            scale: scale
+        };
+    }
+}
+
+/**
+ * Checks if an object and all of its ancestors are visible (e.g. not a hidden LOD level).
+ * @param {THREE.Object3D} object - The object to check.
+ * @returns {Boolean} - True if the object is rendered.
+ */
+function isVisible(object) {
+    for (let current = object; current; current = current.parent) {
+        if (!current.visible) return false;
+    }
+    return true;
+}
+
+/**
+ * Creates the outline of a mesh: its edges, drawn on top of the scene.
+ * The outline is not added to the graph, so it follows the mesh by copying its world matrix before rendering.
+ * @param {THREE.Mesh} mesh - The mesh to outline.
+ * @returns {THREE.LineSegments} - The outline.
+ */
+function createOutline(mesh) {
+    const outline = new THREE.LineSegments(
+        new THREE.EdgesGeometry(mesh.geometry, 30),
+        new THREE.LineBasicMaterial({ color: "#ffff00", depthTest: false, transparent: true })
+    );
+
+    outline.name = "selection_outline";
+    outline.renderOrder = 999;
+    outline.frustumCulled = false;
+    outline.matrixAutoUpdate = false;
+    outline.matrixWorldAutoUpdate = false;
+    outline.onBeforeRender = () => {
+        outline.matrixWorld.copy(mesh.matrixWorld);
+    };
+
+    return outline;
+}
+
+export { MyPicker };
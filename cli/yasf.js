@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+import { readFile } from 'node:fs/promises';
+import { lintScene, parseScene } from '../MyHeadlessApp.js';
+
+/**
+ * Command-line interface for checking YASF files without a browser.
+ *
+ *  yasf lint <scene.json>... [--json]    Validates the files against the YASF schema.
+ *  yasf build <scene.json> [--strict]    Builds the scene headlessly and prints a summary.
+ *
+ * Exits with 1 when errors are found and 2 on usage or file errors.
+ */
+
+const USAGE = `Usage:
+  yasf lint <scene.json>... [--json]
+  yasf build <scene.json> [--strict]`;
+
+/**
+ * Reads and parses a JSON scene file.
+ * @param {String} filepath - The path of the YASF file.
+ * @returns {Promise<Object>} - The scene object data.
+ */
+async function readScene(filepath) {
+    const text = await readFile(filepath, 'utf8');
+    return JSON.parse(text);
+}
+
+/**
+ * Validates every given file and prints the diagnostics.
+ * @param {Array<String>} files - The paths of the YASF files.
+ * @param {Boolean} asJson - Whether to print machine-readable JSON instead of text.
+ * @returns {Promise<Number>} - The exit code.
+ */
+async function lint(files, asJson) {
+    const results = [];
+    let exitCode = 0;
+
+    for (const file of files) {
+        let diagnostics;
+        try {
+            diagnostics = lintScene(await readScene(file));
+        } catch (error) {
+            diagnostics = [{ severity: 'error', code: 'unreadable-file', path: '$', message: error.message }];
+        }
+
+        if (diagnostics.some((d) => d.severity === 'error')) {
+            exitCode = 1;
+        }
+        results.push({ file, diagnostics });
+    }
+
+    if (asJson) {
+        console.log(JSON.stringify(results, null, 2));
+        return exitCode;
+    }
+
+    for (const { file, diagnostics } of results) {
+        for (const d of diagnostics) {
+            console.log(`${file}: ${d.severity}: ${d.path}: ${d.message} [${d.code}]`);
+        }
+        const errorCount = diagnostics.filter((d) => d.severity === 'error').length;
+        const warningCount = diagnostics.length - errorCount;
+        console.log(`${file}: ${errorCount} error(s), ${warningCount} warning(s).`);
+    }
+
+    return exitCode;
+}
+
+/**
+ * Builds a scene headlessly and prints a summary of what was created.
+ * @param {String} file - The path of the YASF file.
+ * @param {Boolean} strict - Whether to refuse scenes with schema errors.
+ * @returns {Promise<Number>} - The exit code.
+ */
+async function build(file, strict) {
+    const data = await readScene(file);
+
+    // The parser logs every step to the console; keep only warnings and errors
+    const { log, info } = console;
+    console.log = console.info = () => {};
+    let result;
+    try {
+        result = await parseScene(data, { strict, name: file });
+    } finally {
+        console.log = log;
+        console.info = info;
+    }
+
+    const errorCount = result.diagnostics.filter((d) => d.severity === 'error').length;
+    if (!result.scene) {
+        console.error(`${file}: ${errorCount} schema error(s), scene not built (strict mode).`);
+        return 1;
+    }
+
+    const counts = { meshes: 0, lights: 0, lods: 0, groups: 0 };
+    result.scene.traverse((object) => {
+        if (object.isMesh) counts.meshes++;
+        else if (object.isLight) counts.lights++;
+        else if (object.isLOD) counts.lods++;
+        else if (object.isGroup) counts.groups++;
+    });
+
+    console.log(`${file}: built with ${errorCount} schema error(s).`);
+    console.log(`  cameras:   ${Object.keys(result.cameras).length} (active: ${result.activeCameraName})`);
+    console.log(`  textures:  ${Object.keys(result.textures).length}`);
+    console.log(`  materials: ${Object.keys(result.materials).length}`);
+    console.log(`  groups:    ${counts.groups}`);
+    console.log(`  meshes:    ${counts.meshes}`);
+    console.log(`  lights:    ${counts.lights}`);
+    console.log(`  lods:      ${counts.lods}`);
+
+    return errorCount > 0 ? 1 : 0;
+}
+
+/**
+ * Entry point: dispatches the command given on the command line.
+ * @param {Array<String>} args - The command-line arguments (without node and the script path).
+ * @returns {Promise<Number>} - The exit code.
+ */
+async function main(args) {
+    const [command, ...rest] = args;
+    const flags = rest.filter((arg) => arg.startsWith('--'));
+    const files = rest.filter((arg) => !arg.startsWith('--'));
+
+    if (command === 'lint' && files.length > 0) {
+        return lint(files, flags.includes('--json'));
+    }
+    if (command === 'build' && files.length === 1) {
+        return build(files[0], flags.includes('--strict'));
+    }
+
+    console.error(USAGE);
+    return 2;
+}
+
+main(process.argv.slice(2))
+    .then((exitCode) => {
+        process.exitCode = exitCode;
+    })
+    .catch((error) => {
+        console.error(error.message);
+        process.exitCode = 2;
+    });
@@ -0,0 +1,306 @@
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+
+// Texture properties of the materials that glTF can represent
+const TEXTURE_PROPERTIES = ["map", "normalMap", "roughnessMap", "metalnessMap", "aoMap", "emissiveMap", "alphaMap"];
+
+/**
+ * Exports the scene built from a YASF file to glTF 2.0 (.gltf) or GLB (.glb), so it can be opened in
+ * other tools such as Blender.
+ *
+ * The export works on a copy of the graph, so the live scene is not modified:
+ *  - node hierarchy and names (the YASF node ids) are kept;
+ *  - Phong/Lambert/Toon materials are converted to PBR (MeshStandardMaterial);
+ *  - video textures are exported as a snapshot of their current frame;
+ *  - custom mipmaps are kept with the "YASF_texture_mipmaps" extension;
+ *  - the cameras in app.cameras are exported at their current position;
+ *  - lights are exported with KHR_lights_punctual;
+ *  - LODs are exported with the MSFT_lod extension.
+ */
+class MyGltfExporter {
+    /**
+     * @param {MyApp} app - The application object.
+     */
+    constructor(app) {
+        this.app = app;
+    }
+
+    /**
+     * Exports the current scene.
+     * @async
+     * @param {Object} options - Optional settings.
+     * @param {Boolean} options.binary - Whether to export GLB instead of glTF JSON (default false).
+     * @returns {Promise<Object|ArrayBuffer>} - The glTF JSON object, or the GLB ArrayBuffer.
+     */
+    async export(options = {}) {
+        const exportScene = this.createExportScene();
+
+        const exporter = new GLTFExporter();
+        exporter.register((writer) => new MyMipmapsExtension(writer));
+        exporter.register((writer) => new MyLodExtension(writer));
+
+        return exporter.parseAsync(exportScene, {
+            binary: options.binary ?? false,
+            // Keep disabled lights and every LOD level, their visibility is stored in the node extras
+            onlyVisible: false
+        });
+    }
+
+    /**
+     * Exports the current scene and saves it as a file in the browser.
+     * @async
+     * @param {Boolean} binary - Whether to export GLB instead of glTF JSON.
+     * @returns {Promise<void>} - A promise that resolves when the download starts.
+     */
+    async download(binary = false) {
+        const result = await this.export({ binary });
+        const sceneName = getBaseName(this.app.contents?.sceneName) || "scene";
+
+        const blob = binary
+            ? new Blob([result], { type: "model/gltf-binary" })
+            : new Blob([JSON.stringify(result, null, 2)], { type: "model/gltf+json" });
+
+        saveBlob(blob, `${sceneName}.${binary ? "glb" : "gltf"}`);
+    }
+
+    /**
+     * Creates the scene that is handed to GLTFExporter: a copy of the graph with exportable
+     * materials and lights, plus a copy of every camera.
+     * @returns {THREE.Scene} - The scene to export.
+     */
+    createExportScene() {
+        const exportScene = new THREE.Scene();
+        exportScene.name = getBaseName(this.app.contents?.sceneName) || "scene";
+
+        const rootNode = this.app.contents?.graphParser.rootNode;
+        if (rootNode) {
+            exportScene.add(rootNode.clone(true));
+        } else {
+            console.warn("No parsed graph to export.");
+        }
+
+        for (const cameraId in this.app.cameras) {
+            const camera = this.app.cameras[cameraId].clone();
+            camera.name = cameraId;
+            exportScene.add(camera);
+        }
+
+        exportScene.updateMatrixWorld(true);
+
+        const materialCache = new Map();
+        const textureCache = new Map();
+        const lightGroups = [];
+
+        exportScene.traverse((object) => {
+            // userData holds parser references (e.g. the inherited material) that must not end up in the extras
+            object.userData = object.visible ? {} : { visible: false };
+
+            if (object.isMesh) {
+                object.material = convertMaterial(object.material, materialCache, textureCache);
+            } else if (object.isLight && object.target) {
+                lightGroups.push(object);
+            }
+        });
+
+        lightGroups.forEach(orientLightToTarget);
+
+        return exportScene;
+    }
+}
+
+/**
+ * glTF lights point down their local -Z axis, so spot and directional lights are rotated towards their
+ * target, and the target is moved under the light (as GLTFExporter expects).
+ * @param {THREE.SpotLight|THREE.DirectionalLight} light - The light to orient.
+ */
+function orientLightToTarget(light) {
+    // In YASF the target is a sibling of the light, so its position is in the same (parent) space
+    const targetWorldPosition = light.parent
+        ? light.parent.localToWorld(light.target.position.clone())
+        : light.target.position.clone();
+    light.lookAt(targetWorldPosition);
+
+    // Remove the copy of the target that was cloned with the light group
+    light.parent?.children
+        .filter((child) => !child.isLight && child.type === "Object3D" && child.children.length === 0)
+        .forEach((child) => child.removeFromParent());
+
+    light.target = new THREE.Object3D();
+    light.target.name = `${light.name}_target`;
+    light.target.position.set(0, 0, -1);
+    light.add(light.target);
+}
+
+/**
+ * Converts a material to one GLTFExporter can represent. Phong, Lambert and Toon materials become
+ * MeshStandardMaterial, with the roughness approximated from the Phong shininess.
+ * @param {THREE.Material} material - The material to convert.
+ * @param {Map} materialCache - Already converted materials, so shared materials stay shared.
+ * @param {Map} textureCache - Already converted textures.
+ * @returns {THREE.Material} - The exportable material.
+ */
+function convertMaterial(material, materialCache, textureCache) {
+    if (Array.isArray(material)) {
+        return material.map((entry) => convertMaterial(entry, materialCache, textureCache));
+    }
+    if (materialCache.has(material)) {
+        return materialCache.get(material);
+    }
+
+    let converted;
+    if (material.isMeshStandardMaterial || material.isMeshBasicMaterial) {
+        converted = material.clone();
+    } else {
+        // Blinn-Phong exponent to roughness: the usual sqrt(2 / (n + 2)) approximation
+        const shininess = material.shininess ?? 0;
+        const roughness = material.isMeshPhongMaterial ? Math.sqrt(2 / (shininess + 2)) : 1;
+
+        converted = new THREE.MeshStandardMaterial({
+            name: material.name,
+            color: material.color,
+            emissive: material.emissive,
+            emissiveIntensity: material.emissiveIntensity,
+            map: material.map,
+            normalMap: material.normalMap,
+            normalScale: material.normalScale,
+            aoMap: material.aoMap,
+            aoMapIntensity: material.aoMapIntensity,
+            emissiveMap: material.emissiveMap,
+            alphaMap: material.alphaMap,
+            roughness: roughness,
+            metalness: 0,
+            opacity: material.opacity,
+            transparent: material.transparent,
+            side: material.side,
+            vertexColors: material.vertexColors,
+            wireframe: material.wireframe,
+            flatShading: material.flatShading
+        });
+    }
+
+    for (const property of TEXTURE_PROPERTIES) {
+        if (converted[property]) {
+            converted[property] = convertTexture(converted[property], textureCache);
+        }
+    }
+
+    materialCache.set(material, converted);
+    return converted;
+}
+
+/**
+ * Converts video textures to a still texture with their current frame, which GLTFExporter can write.
+ * Other textures are returned as they are.
+ * @param {THREE.Texture} texture - The texture to convert.
+ * @param {Map} textureCache - Already converted textures.
+ * @returns {THREE.Texture} - The exportable texture.
+ */
+function convertTexture(texture, textureCache) {
+    if (!texture.isVideoTexture) return texture;
+    if (textureCache.has(texture)) return textureCache.get(texture);
+
+    const video = texture.image;
+    const canvas = document.createElement("canvas");
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext("2d").drawImage(video, 0, 0);
+
+    const snapshot = new THREE.CanvasTexture(canvas);
+    snapshot.name = texture.name;
+    snapshot.wrapS = texture.wrapS;
+    snapshot.wrapT = texture.wrapT;
+    snapshot.repeat.copy(texture.repeat);
+    snapshot.offset.copy(texture.offset);
+
+    textureCache.set(texture, snapshot);
+    return snapshot;
+}
+
+/**
+ * GLTFExporter plugin that keeps the custom mipmap images loaded by MyTextures.
+ * glTF has no core support for them, so the images of each level are listed in the
+ * "YASF_texture_mipmaps" texture extension (viewers that do not know it will generate their own).
+ */
+class MyMipmapsExtension {
+    constructor(writer) {
+        this.writer = writer;
+        this.name = "YASF_texture_mipmaps";
+    }
+
+    writeTexture(texture, textureDef) {
+        if (!Array.isArray(texture.mipmaps) || texture.mipmaps.length === 0) return;
+
+        const sources = texture.mipmaps.map((image) =>
+            this.writer.processImage(image, texture.format, texture.flipY)
+        );
+
+        textureDef.extensions = textureDef.extensions || {};
+        textureDef.extensions[this.name] = { sources };
+        this.writer.extensionsUsed[this.name] = true;
+    }
+}
+
+/**
+ * GLTFExporter plugin that writes THREE.LOD objects with the MSFT_lod extension.
+ * The closest level stays in the hierarchy and lists the other levels (ordered by distance) in its
+ * MSFT_lod "ids"; the YASF "mindist" of each level is kept in its "extras".
+ */
+class MyLodExtension {
+    constructor(writer) {
+        this.writer = writer;
+        this.name = "MSFT_lod";
+    }
+
+    afterParse(input) {
+        const { json, nodeMap } = this.writer;
+
+        input.forEach((root) => root.traverse((object) => {
+            if (!object.isLOD || object.levels.length < 2) return;
+
+            const lodNode = json.nodes[nodeMap.get(object)];
+            const levelIndices = object.levels.map((level) => nodeMap.get(level.object));
+            if (!lodNode || levelIndices.includes(undefined)) return;
+
+            // Lower levels replace the closest one, so they are no longer children of the LOD node
+            const lowerLevels = levelIndices.slice(1);
+            lodNode.children = lodNode.children.filter((index) => !lowerLevels.includes(index));
+
+            object.levels.forEach((level, i) => {
+                const levelNode = json.nodes[levelIndices[i]];
+                levelNode.extras = { ...levelNode.extras, mindist: level.distance };
+            });
+
+            const baseNode = json.nodes[levelIndices[0]];
+            baseNode.extensions = baseNode.extensions || {};
+            baseNode.extensions[this.name] = { ids: lowerLevels };
+            this.writer.extensionsUsed[this.name] = true;
+        }));
+    }
+}
+
+/**
+ * Gets the file name of a path, without folders and extension.
+ * @param {String|null} path - The file path.
+ * @returns {String|null} - The base name.
+ */
+function getBaseName(path) {
+    if (!path) return null;
+    return path.split(/[\\/]/).pop().replace(/\.[^.]*$/, "");
+}
+
+/**
+ * Saves a blob as a file through a temporary download link.
+ * @param {Blob} blob - The file contents.
+ * @param {String} filename - The name of the file.
+ */
+function saveBlob(blob, filename) {
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+
+    // Release the blob once the download has started
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+export { MyGltfExporter };
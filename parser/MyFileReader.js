@@ -24,6 +24,9 @@ class MyFileReader {
 	constructor(onSceneLoadedCallback) {
 		this.errorMessage = null;
 		this.onSceneLoadedCallback = onSceneLoadedCallback;
+
+		// Timer of the file being watched for changes, if any
+		this.watchTimer = null;
 	}
 
 	open(jsonfile) {
@@ -35,10 +38,94 @@ class MyFileReader {
 				return res.json();
 			})
 			.then((data) => {
-				this.onSceneLoadedCallback(data);
+				// Returned, so errors while the scene is built are reported too
+				return this.onSceneLoadedCallback(data);
 			})
 			.catch((error) =>
-				console.error("Unable to fetch data:", error));
+				console.error("Unable to load the scene:", error));
+	};
+
+	/**
+	 * Reads a scene from a local File object (file picker or drag-and-drop).
+	 * @param {File} file - The JSON file selected by the user.
+	 */
+	openFile(file) {
+		file.text()
+			.then((text) => JSON.parse(text))
+			.then((data) => {
+				return this.onSceneLoadedCallback(data);
+			})
+			.catch((error) =>
+				console.error(`Unable to load file '${file.name}':`, error));
+	};
+
+	/**
+	 * Watches a scene file for changes by polling its ETag/Last-Modified headers.
+	 * When they change, the file is fetched again and passed to the callback.
+	 * The next poll only starts once the callback has finished, so updates never overlap.
+	 * @param {String} jsonfile - The path/URL of the scene file.
+	 * @param {Function} onSceneChangedCallback - Called with the new scene data. May return a Promise.
+	 * @param {Number} interval - The time between polls, in milliseconds.
+	 */
+	watch(jsonfile, onSceneChangedCallback, interval = 1000) {
+		this.unwatch();
+
+		let version = null;
+		const timer = {};
+		this.watchTimer = timer;
+
+		const poll = () => {
+			fetch(jsonfile, { method: "HEAD", cache: "no-store" })
+				.then((res) => {
+					if (!res.ok) {
+						throw new Error(`HTTP error! Status: ${res.status}`);
+					}
+
+					const newVersion = res.headers.get("ETag") ?? res.headers.get("Last-Modified");
+					if (newVersion === null) {
+						console.error(`Unable to watch '${jsonfile}': the server sends neither ETag nor Last-Modified headers.`);
+						this.unwatch();
+						return;
+					}
+
+					const changed = version !== null && newVersion !== version;
+					version = newVersion;
+					if (!changed) return;
+
+					// A file saved halfway may not parse: it is read again on its next change
+					return fetch(jsonfile, { cache: "no-store" })
+						.then((res) => res.json())
+						.then((data) => onSceneChangedCallback(data));
+				})
+				.catch((error) =>
+					console.error(`Unable to reload '${jsonfile}':`, error))
+				.then(() => {
+					// Schedule the next poll, unless the watch was stopped or replaced meanwhile
+					if (this.watchTimer === timer) {
+						timer.id = setTimeout(poll, interval);
+					}
+				});
+		};
+
+		poll();
+	};
+
+	/**
+	 * Stops watching the scene file, if any.
+	 */
+	unwatch() {
+		if (this.watchTimer) {
+			clearTimeout(this.watchTimer.id);
+			this.watchTimer = null;
+		}
+	};
+
+	/**
+	 * Checks if a scene file is being watched.
+	 * @returns {Boolean} - True if watching.
+	 */
+	isWatching() {
+		return this.watchTimer !== null;
 	};
 
 }
@@ -0,0 +1,590 @@
+import * as THREE from 'three';
+import { MyValidationUtils } from './utils/MyValidationUtils.js';
+import { MyGlobals } from './customClasses/01_MyGlobals.js';
+import { CAMERA_SETTINGS_KEYS, parseTransition } from './customClasses/02_MyCamera.js';
+import { MyPostprocessing } from './customClasses/07_MyPostprocessing.js';
+import { createLight } from './utils/MyLightUtils.js';
+
+/**
+ * Serializes the live scene back to YASF JSON, the counterpart of MyFileReader.
+ *
+ * The writer starts from the YASF data the scene was built from, so textures, the graph structure
+ * (shared nodes and LODs stay references) and any value the parser does not keep are written as they
+ * were read. The values that can change while the scene is running are then read back from the live
+ * objects: globals, cameras (including their current orbit position), materials, lights and postprocessing settings.
+ *
+ * A value is only rewritten when the live value differs from what its YASF value parses to, so
+ * untouched entries keep their original form and saving a loaded output again gives identical JSON.
+ */
+class MyFileWriter {
+    /**
+     * @param {MyContents} contents - The contents object holding the loaded scene.
+     */
+    constructor(contents) {
+        this.contents = contents;
+        this.app = contents.app;
+        this.validator = new MyValidationUtils();
+    }
+
+    /**
+     * Builds the YASF object of the current scene.
+     * @returns {Object|null} - The scene object data, or null if no scene is loaded.
+     */
+    serialize() {
+        if (!this.contents.sceneData) {
+            console.warn("No scene loaded. Nothing to serialize.");
+            return null;
+        }
+
+        const data = structuredClone(this.contents.sceneData);
+        const yasf = data.yasf ?? {};
+
+        if (yasf.globals) this.serializeGlobals(yasf.globals);
+        if (yasf.cameras) this.serializeCameras(yasf.cameras);
+        if (yasf.materials) this.serializeMaterials(yasf.materials);
+        if (yasf.graph) this.serializeGraph(yasf.graph);
+        this.serializePostprocessing(yasf);
+
+        return data;
+    }
+
+    /**
+     * Serializes the current scene as YASF JSON text.
+     * @returns {String|null} - The JSON text, or null if no scene is loaded.
+     */
+    stringify() {
+        const data = this.serialize();
+        return data ? JSON.stringify(data, null, 4) + "\n" : null;
+    }
+
+    /**
+     * Saves the current scene as a YASF file in the browser.
+     */
+    download() {
+        const text = this.stringify();
+        if (!text) return;
+
+        const fileName = (this.contents.sceneName ?? "scene").split(/[\\/]/).pop();
+        const link = document.createElement("a");
+        link.href = URL.createObjectURL(new Blob([text], { type: "application/json" }));
+        link.download = fileName.toLowerCase().endsWith(".json") ? fileName : `${fileName}.json`;
+        link.click();
+
+        // Release the blob once the download has started
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    /**
+     * Updates the "globals" block with the background color, ambient light and fog of the scene.
+     * @param {Object} globalsData - The "globals" data to update in place.
+     */
+    serializeGlobals(globalsData) {
+        const scene = this.app.scene;
+        const parsed = new MyGlobals(globalsData);
+
+        const live = {
+            "background": scene.background?.isColor ? scene.background : undefined,
+            "ambient": scene.ambientLight?.color,
+            "ambient.intensity": scene.ambientLight?.intensity,
+            "fog.type": scene.fog ? (scene.fog.isFogExp2 ? "exp2" : "linear") : "none",
+            "fog.color": scene.fog?.color,
+            "fog.near": scene.fog?.near,
+            "fog.far": scene.fog?.far,
+            "fog.density": scene.fog?.density
+        };
+
+        patchValues(globalsData, live, {
+            "background": parsed.backgroundColor,
+            "ambient": parsed.ambientColor,
+            "ambient.intensity": parsed.ambientIntensity,
+            "fog.type": parsed.fogType,
+            "fog.color": parsed.fogColor,
+            "fog.near": parsed.fogNear,
+            "fog.far": parsed.fogFar,
+            "fog.density": parsed.fogDensity
+        });
+    }
+
+    /**
+     * Updates the "cameras" block with the current projection, position and target of each camera.
+     * The target of the active camera is the current target of its controls (see MyCameraControls).
+     * @param {Object} camerasData - The "cameras" data to update in place.
+     */
+    serializeCameras(camerasData) {
+        for (const cameraId in camerasData) {
+            if (CAMERA_SETTINGS_KEYS.includes(cameraId)) continue;
+
+            const camera = this.app.cameras[cameraId];
+            if (!camera) continue;
+
+            const target = camera === this.app.activeCamera && this.app.controls
+                ? this.app.controls.target
+                : camera.target;
+
+            patchValues(
+                camerasData[cameraId],
+                readCamera(camera, target),
+                this.parseCamera(camerasData[cameraId])
+            );
+        }
+
+        // The camera being viewed becomes the initial one
+        if (camerasData[this.app.activeCameraName]) {
+            camerasData.initial = this.app.activeCameraName;
+        }
+
+        this.serializeTransition(camerasData);
+    }
+
+    /**
+     * Updates the "transition" of the cameras with the current duration and easing,
+     * adding it if a transition was set up in the GUI for a scene without one.
+     * @param {Object} camerasData - The "cameras" data to update in place.
+     */
+    serializeTransition(camerasData) {
+        const transition = this.contents.cameraTransition;
+        if (!transition) return;
+
+        const transitionData = camerasData.transition ?? {};
+        patchValues(
+            transitionData,
+            { duration: transition.duration, easing: transition.easing },
+            parseTransition(camerasData.transition, this.validator)
+        );
+
+        if (!camerasData.transition && Object.keys(transitionData).length > 0) {
+            // A block without a duration lasts 1 second, so the duration is always written
+            transitionData.duration = transition.duration;
+            camerasData.transition = transitionData;
+        }
+    }
+
+    /**
+     * Gets the camera values a YASF camera entry is parsed to (see MyCamera).
+     * @param {Object} cameraData - The YASF camera data.
+     * @returns {Object} - The parsed values, keyed like readCamera.
+     */
+    parseCamera(cameraData) {
+        const near = this.validator.validateNear(cameraData.near);
+        const [left, right] = this.validator.validateLeftRight(
+            this.validator.toValidFloat(cameraData.left, -5),
+            this.validator.toValidFloat(cameraData.right, 5)
+        );
+        const [bottom, top] = this.validator.validateBottomTop(
+            this.validator.toValidFloat(cameraData.bottom, -5),
+            this.validator.toValidFloat(cameraData.top, 5)
+        );
+
+        return {
+            angle: this.validator.validateAngle(cameraData.angle) || 50,
+            near: near,
+            far: this.validator.validateFar(cameraData.far, near),
+            left: left,
+            right: right,
+            bottom: bottom,
+            top: top,
+            zoom: this.validator.validateZoom(cameraData.zoom),
+            location: this.parseVector(cameraData.location, 10),
+            target: this.parseVector(cameraData.target, 0)
+        };
+    }
+
+    /**
+     * Updates the "materials" block with the current values of each material.
+     * @param {Object} materialsData - The "materials" data to update in place.
+     */
+    serializeMaterials(materialsData) {
+        for (const materialId in materialsData) {
+            const material = this.contents.materials[materialId];
+            if (!material) continue;
+
+            patchValues(
+                materialsData[materialId],
+                readMaterial(material, (texture) => this.getTextureId(texture)),
+                this.parseMaterial(materialsData[materialId])
+            );
+        }
+    }
+
+    /**
+     * Gets the material values a YASF material entry is parsed to (see MyMaterials).
+     * @param {Object} materialData - The YASF material data.
+     * @returns {Object} - The parsed values, keyed like readMaterial.
+     */
+    parseMaterial(materialData) {
+        const white = { r: 255, g: 255, b: 255 };
+
+        return {
+            color: this.validator.parseColor(materialData.color || white),
+            specular: this.validator.parseColor(materialData.specular || white),
+            emissive: this.validator.parseColor(materialData.emissive || { r: 0, g: 0, b: 0 }),
+            shininess: this.validator.toValidFloat(materialData.shininess, 30),
+            transparent: this.validator.parseBoolean(materialData.transparent),
+            opacity: this.validator.toValidOpacity(materialData.opacity, 1.0),
+            wireframe: this.validator.parseBoolean(materialData.wireframe),
+            shading: this.validator.parseBoolean(materialData.shading),
+            twosided: this.validator.parseBoolean(materialData.twosided),
+            textureref: this.getTextureId(this.getTexture(materialData.textureref)),
+            texlength_s: this.validator.toValidFloat(materialData.texlength_s, 1),
+            texlength_t: this.validator.toValidFloat(materialData.texlength_t, 1),
+            bumpref: this.getTextureId(this.getTexture(materialData.bumpref)),
+            bumpscale: this.validator.toValidFloat(materialData.bumpscale, 1.0),
+            specularref: this.getTextureId(this.getTexture(materialData.specularref)),
+            roughness: this.validator.toValidFloat(materialData.roughness, 1.0),
+            metalness: this.validator.toValidFloat(materialData.metalness, 0.0),
+            roughnessref: this.getTextureId(this.getTexture(materialData.roughnessref)),
+            metalnessref: this.getTextureId(this.getTexture(materialData.metalnessref)),
+            normalref: this.getTextureId(this.getTexture(materialData.normalref)),
+            normalscale: this.validator.toValidFloat(materialData.normalscale, 1.0),
+            aoref: this.getTextureId(this.getTexture(materialData.aoref)),
+            aointensity: this.validator.toValidFloat(materialData.aointensity, 1.0),
+            emissiveref: this.getTextureId(this.getTexture(materialData.emissiveref)),
+            emissiveintensity: this.validator.toValidFloat(materialData.emissiveintensity, 1.0),
+            displacementref: this.getTextureId(this.getTexture(materialData.displacementref)),
+            displacementscale: this.validator.toValidFloat(materialData.displacementscale, 1.0),
+            displacementbias: this.validator.toValidFloat(materialData.displacementbias, 0.0),
+            alpharef: this.getTextureId(this.getTexture(materialData.alpharef)),
+            reflectivity: this.validator.toValidFloat(materialData.reflectivity, 0.0),
+            envmapintensity: this.validator.toValidFloat(materialData.envmapintensity, 1.0),
+            clearcoat: this.validator.toValidFloat(materialData.clearcoat, 0.0),
+            clearcoatroughness: this.validator.toValidFloat(materialData.clearcoatroughness, 0.0),
+            transmission: this.validator.toValidFloat(materialData.transmission, 0.0),
+            ior: this.validator.toValidFloat(materialData.ior, 1.5),
+            thickness: this.validator.toValidFloat(materialData.thickness, 0.0)
+        };
+    }
+
+    /**
+     * Updates the "postprocessing" block with the current settings of the effects,
+     * adding the block if effects were set up in the GUI for a scene without one.
+     * @param {Object} yasf - The "yasf" data to update in place.
+     */
+    serializePostprocessing(yasf) {
+        const settings = this.contents.postprocessing;
+        if (!settings) return;
+
+        const postprocessingData = yasf.postprocessing ?? {};
+        patchValues(
+            postprocessingData,
+            readPostprocessing(settings),
+            readPostprocessing(new MyPostprocessing(postprocessingData))
+        );
+
+        if (Object.keys(postprocessingData).length > 0) {
+            yasf.postprocessing = postprocessingData;
+        }
+    }
+
+    /**
+     * Updates the lights of the "graph" block with the current values of the live lights.
+     * Everything else in the graph is written as it was read, so references are not expanded.
+     * When a node is instanced more than once, the first instance in the scene is used.
+     * @param {Object} graphData - The "graph" data to update in place.
+     */
+    serializeGraph(graphData) {
+        const rootNode = this.contents.graphParser.rootNode;
+        if (!rootNode) return;
+
+        for (const nodeId in graphData) {
+            const children = graphData[nodeId]?.children;
+            if (!children || typeof children !== "object") continue;
+
+            for (const childId in children) {
+                const childData = children[childId];
+                if (!["pointlight", "spotlight", "directionallight"].includes(childData?.type)) continue;
+
+                const lightGroup = findLightGroup(rootNode, nodeId, childId);
+                const parsedGroup = createLight(childData, childId);
+                if (!lightGroup || !parsedGroup) continue;
+
+                patchValues(childData, readLight(lightGroup), readLight(parsedGroup));
+                parsedGroup.children[0].dispose();
+            }
+        }
+    }
+
+    /**
+     * Parses a YASF vector the way the parser does, with the same default for every component.
+     * @param {Object} vectorData - The YASF vector data.
+     * @param {Number} defaultValue - The default value of each component.
+     * @returns {THREE.Vector3} - The parsed vector.
+     */
+    parseVector(vectorData, defaultValue) {
+        return new THREE.Vector3(
+            this.validator.toValidFloat(vectorData?.x, defaultValue),
+            this.validator.toValidFloat(vectorData?.y, defaultValue),
+            this.validator.toValidFloat(vectorData?.z, defaultValue)
+        );
+    }
+
+    /**
+     * Gets the loaded texture a YASF texture reference resolves to.
+     * @param {String} textureId - The texture reference.
+     * @returns {THREE.Texture|null} - The texture, or null for empty or undefined references.
+     */
+    getTexture(textureId) {
+        if (!textureId || textureId === "null") return null;
+        return this.contents.textures[textureId] ?? null;
+    }
+
+    /**
+     * Gets the YASF id of a loaded texture.
+     * @param {THREE.Texture|null} texture - The texture.
+     * @returns {String|null} - The texture id, or null if there is no texture.
+     */
+    getTextureId(texture) {
+        if (!texture) return null;
+        return Object.keys(this.contents.textures).find((id) => this.contents.textures[id] === texture) ?? null;
+    }
+}
+
+/**
+ * Reads the current values of a camera, keyed by their YASF names.
+ * @param {THREE.Camera} camera - The camera.
+ * @param {THREE.Vector3} target - The point the camera looks at.
+ * @returns {Object} - The camera values.
+ */
+function readCamera(camera, target) {
+    // Orthographic cameras keep the frustum they were declared with, and show more to fit the window
+    const frustum = camera.isOrthographicCamera ? camera.userData.frustum ?? camera : {};
+
+    return {
+        angle: camera.isPerspectiveCamera ? camera.fov : undefined,
+        near: camera.near,
+        far: camera.far,
+        left: frustum.left,
+        right: frustum.right,
+        bottom: frustum.bottom,
+        top: frustum.top,
+        zoom: camera.isOrthographicCamera ? camera.zoom : undefined,
+        location: camera.position,
+        target: target
+    };
+}
+
+/**
+ * Reads the current values of a material, keyed by their YASF names.
+ * @param {THREE.Material} material - The material.
+ * @param {Function} getTextureId - Gets the YASF id of a texture.
+ * @returns {Object} - The material values.
+ */
+function readMaterial(material, getTextureId) {
+    return {
+        color: material.color,
+        specular: material.specular,
+        emissive: material.emissive,
+        shininess: material.shininess,
+        transparent: material.transparent,
+        opacity: material.opacity,
+        wireframe: material.wireframe,
+        shading: material.flatShading,
+        twosided: material.side === THREE.DoubleSide,
+        textureref: textureValue(material.map, getTextureId),
+        texlength_s: material.texlength_s,
+        texlength_t: material.texlength_t,
+        bumpref: textureValue(material.bumpMap, getTextureId),
+        bumpscale: material.bumpScale,
+        specularref: textureValue(material.specularMap, getTextureId),
+        roughness: material.roughness,
+        metalness: material.metalness,
+        roughnessref: textureValue(material.roughnessMap, getTextureId),
+        metalnessref: textureValue(material.metalnessMap, getTextureId),
+        normalref: textureValue(material.normalMap, getTextureId),
+        normalscale: material.normalScale?.x,
+        aoref: textureValue(material.aoMap, getTextureId),
+        aointensity: material.aoMapIntensity,
+        emissiveref: textureValue(material.emissiveMap, getTextureId),
+        emissiveintensity: material.emissiveIntensity,
+        displacementref: textureValue(material.displacementMap, getTextureId),
+        displacementscale: material.displacementScale,
+        displacementbias: material.displacementBias,
+        alpharef: textureValue(material.alphaMap, getTextureId),
+        reflectivity: material.isMeshStandardMaterial ? undefined : material.reflectivity,
+        envmapintensity: material.envMapIntensity,
+        clearcoat: material.clearcoat,
+        clearcoatroughness: material.clearcoatRoughness,
+        transmission: material.transmission,
+        ior: material.ior,
+        thickness: material.thickness
+    };
+}
+
+/**
+ * Reads the settings of the postprocessing effects, keyed by their YASF paths.
+ * @param {MyPostprocessing} settings - The postprocessing settings.
+ * @returns {Object} - The settings values.
+ */
+function readPostprocessing(settings) {
+    return {
+        "ssao.enabled": settings.ssao.enabled,
+        "ssao.kernelradius": settings.ssao.kernelRadius,
+        "ssao.mindistance": settings.ssao.minDistance,
+        "ssao.maxdistance": settings.ssao.maxDistance,
+        "bloom.enabled": settings.bloom.enabled,
+        "bloom.strength": settings.bloom.strength,
+        "bloom.radius": settings.bloom.radius,
+        "bloom.threshold": settings.bloom.threshold,
+        "outline.enabled": settings.outline.enabled,
+        "outline.color": settings.outline.color,
+        "outline.strength": settings.outline.strength,
+        "outline.thickness": settings.outline.thickness,
+        "antialias": settings.antialias,
+        "tonemapping.type": settings.toneMapping.type,
+        "tonemapping.exposure": settings.toneMapping.exposure,
+        "vignette.enabled": settings.vignette.enabled,
+        "vignette.offset": settings.vignette.offset,
+        "vignette.darkness": settings.vignette.darkness
+    };
+}
+
+/**
+ * Reads the current values of a light group created by createLight, keyed by their YASF names.
+ * @param {THREE.Group} lightGroup - The group containing the light (and its target).
+ * @returns {Object} - The light values.
+ */
+function readLight(lightGroup) {
+    const light = lightGroup.children.find((child) => child.isLight);
+    const hasTarget = light.isSpotLight || light.isDirectionalLight;
+    const shadowCamera = light.isDirectionalLight ? light.shadow.camera : null;
+
+    return {
+        enabled: lightGroup.visible,
+        color: light.color,
+        intensity: light.intensity,
+        distance: light.isDirectionalLight ? undefined : light.distance,
+        decay: light.isDirectionalLight ? undefined : light.decay,
+        angle: light.isSpotLight ? roundNumber(THREE.MathUtils.radToDeg(light.angle), 6) : undefined,
+        penumbra: light.isSpotLight ? light.penumbra : undefined,
+        castshadow: light.castShadow,
+        shadowmapsize: light.shadow.mapSize.width,
+        shadowleft: shadowCamera?.left,
+        shadowright: shadowCamera?.right,
+        shadowbottom: shadowCamera?.bottom,
+        shadowtop: shadowCamera?.top,
+        position: light.position,
+        target: hasTarget ? light.target.position : undefined
+    };
+}
+
+/**
+ * Finds the light group created for a light child of a node, in the first instance of the node.
+ * @param {THREE.Object3D} rootNode - The root of the parsed graph.
+ * @param {String} nodeId - The id of the node containing the light.
+ * @param {String} childId - The id of the light in the node's children.
+ * @returns {THREE.Group|null} - The light group, or null if the node is not in the scene.
+ */
+function findLightGroup(rootNode, nodeId, childId) {
+    let lightGroup = null;
+
+    rootNode.traverse((object) => {
+        if (lightGroup || object.name !== nodeId) return;
+
+        lightGroup = object.children.find(
+            (child) => child.name === childId && child.children.some((light) => light.isLight)
+        ) ?? null;
+    });
+
+    return lightGroup;
+}
+
+/**
+ * Writes the live values that differ from the parsed ones into the YASF data.
+ * Values that are unchanged keep their original YASF form (or stay absent).
+ * @param {Object} target - The YASF data to update in place.
+ * @param {Object} liveValues - The current values, keyed by YASF path (e.g. "fog.near").
+ * @param {Object} parsedValues - The values the YASF data is parsed to, with the same keys.
+ */
+function patchValues(target, liveValues, parsedValues) {
+    for (const path in liveValues) {
+        const liveValue = liveValues[path];
+        if (liveValue === undefined || valuesEqual(liveValue, parsedValues[path])) continue;
+
+        setPath(target, path, toYasfValue(liveValue));
+    }
+}
+
+/**
+ * Compares two values read from the scene: numbers, booleans, strings, textures, colors or vectors.
+ * @param {*} a - The first value.
+ * @param {*} b - The second value.
+ * @returns {Boolean} - True if the values are equal.
+ */
+function valuesEqual(a, b) {
+    if (a?.isColor || a?.isVector3) {
+        return Boolean(b) && a.equals(b);
+    }
+    return a === b;
+}
+
+/**
+ * Converts a value read from the scene to its YASF form. Colors become { r, g, b } in [0, 255].
+ * @param {*} value - The value.
+ * @returns {*} - The YASF value.
+ */
+function toYasfValue(value) {
+    if (value?.isColor) {
+        return {
+            r: roundNumber(value.r * 255, 3),
+            g: roundNumber(value.g * 255, 3),
+            b: roundNumber(value.b * 255, 3)
+        };
+    }
+    if (value?.isVector3) {
+        return { x: value.x, y: value.y, z: value.z };
+    }
+    return value;
+}
+
+/**
+ * Sets a value at a dotted path (e.g. "fog.near"), creating missing objects.
+ * Object values are merged into existing objects, so other keys (e.g. the intensity of "ambient") are kept.
+ * @param {Object} target - The object to update.
+ * @param {String} path - The dotted path.
+ * @param {*} value - The value to set.
+ */
+function setPath(target, path, value) {
+    const keys = path.split(".");
+    const lastKey = keys.pop();
+
+    let parent = target;
+    for (const key of keys) {
+        if (typeof parent[key] !== "object" || parent[key] === null) {
+            parent[key] = {};
+        }
+        parent = parent[key];
+    }
+
+    const current = parent[lastKey];
+    if (typeof value === "object" && value !== null && typeof current === "object" && current !== null) {
+        Object.assign(current, value);
+    } else {
+        parent[lastKey] = value;
+    }
+}
+
+/**
+ * Maps a material texture to its YASF reference. Textures that are not in the scene's
+ * textures (e.g. generated ones) are ignored.
+ * @param {THREE.Texture|null} texture - The texture of the material.
+ * @param {Function} getTextureId - Gets the YASF id of a texture.
+ * @returns {String|null|undefined} - The texture id, null if there is no texture, or undefined if it has no id
+ * or the material does not have that texture property.
+ */
+function textureValue(texture, getTextureId) {
+    if (texture === undefined) return undefined;
+    if (!texture) return null;
+    return getTextureId(texture) ?? undefined;
+}
+
+/**
+ * Rounds a number to the given decimal places, to keep converted values readable.
+ * @param {Number} value - The number.
+ * @param {Number} digits - The number of decimal places.
+ * @returns {Number} - The rounded number.
+ */
+function roundNumber(value, digits) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+export { MyFileWriter };
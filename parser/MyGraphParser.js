@@ -1,9 +1,21 @@
 import * as THREE from 'three';
+import * as SkeletonUtils from 'three/addons/utils/SkeletonUtils.js';
 import { MyValidationUtils } from './utils/MyValidationUtils.js';
 import { applyMaterialToNode } from './utils/MyMaterialUtils.js';
 import { applyTransformations } from './utils/MyTransformUtils.js';
-import { createPrimitive } from './utils/MyPrimitiveUtils.js';
+import { createPrimitive, PRIMITIVE_TYPES } from './utils/MyPrimitiveUtils.js';
 import { createLight } from './utils/MyLightUtils.js';
+import { createModel } from './utils/MyModelUtils.js';
+import { joinPath } from './MySceneValidator.js';
+import {
+    buildReferenceGraph,
+    findReferenceCycles,
+    findUnresolvedReferences,
+    formatCycle
+} from './utils/MyReferenceUtils.js';
+
+// JSON path of the "graph" block in a YASF file
+const GRAPH_PATH = "$.yasf.graph";
 
 class GraphParser {
     constructor(materials, textures, appMyContents) {
@@ -13,6 +25,12 @@ class GraphParser {
         // Track processed node IDs and parent materials
         this.processedNodes = new Map();
 
+        // The group created for the root node, once the graph is parsed
+        this.rootNode = null;
+
+        // Ids of the nodes currently being created, from the root down (used to stop on reference cycles)
+        this.nodePath = [];
+
         // Reference to MyContents to get default material
         this.appMyContents = appMyContents;
 
@@ -41,16 +59,38 @@ class GraphParser {
 
         this.rootNodeId = graphData.rootid;
         console.info("Processing graph structure...");
+
+        // Report cycles and undefined ids before following any reference
+        this.checkReferences(graphData);
         
         // Process the root node
         const rootNode = this.createNode(graphData, this.rootNodeId);
         if (rootNode) {
+            this.rootNode = rootNode;
             this.scene.add(rootNode);
         } else {
             console.warn(`Root node '${this.rootNodeId}' could not be created.`);
         }
     }
 
+    /**
+     * Builds the reference graph of the nodes and reports reference cycles (with their full path)
+     * and references to undefined nodes or materials (with the id of the node that references them).
+     * @param {Object} graphData - The graph data from YASF.
+     */
+    checkReferences(graphData) {
+        const referenceGraph = buildReferenceGraph(graphData);
+
+        for (const cycle of findReferenceCycles(referenceGraph, this.rootNodeId)) {
+            console.warn(`Reference cycle in graph: ${formatCycle(cycle)}. The repeated reference is ignored.`);
+        }
+
+        const materialIds = new Set(Object.keys(this.materials));
+        for (const { kind, id, referencedBy } of findUnresolvedReferences(graphData, referenceGraph, materialIds)) {
+            console.warn(`Node '${referencedBy}' references undefined ${kind} '${id}'.`);
+        }
+    }
+
     /**
      * Recursive function to create nodes, including applying transformations,
      * setting materials, handling shadows, and creating/cloning groups.
@@ -89,8 +129,17 @@ class GraphParser {
             return null;
         }
 
-        // Create a group for the node
+        // Stop if the node is one of its own ancestors, instead of recursing forever
+        if (this.nodePath.includes(nodeId)) {
+            console.warn(`Skipping cyclic reference: ${formatCycle([...this.nodePath, nodeId])}.`);
+            return null;
+        }
+        this.nodePath.push(nodeId);
+
+        // Create a group for the node, tagged with where it comes from in the YASF file
         const group = new THREE.Group();
+        group.name = nodeId;
+        tagSource(group, nodeId, joinPath(GRAPH_PATH, nodeId));
 
         /**
          * IF THERE IS EVER THE NEED TO GET THE TRANSFORM EXPLICITLY SHOWN
@@ -200,12 +249,16 @@ class GraphParser {
                         nodeReceiveShadow
                     );
                     if (lod) {
+                        lod.name = lodNodeId;
+                        tagSource(lod, lodNodeId, joinPath(GRAPH_PATH, lodNodeId));
                         group.add(lod);
                     }
                 }
             }
         }
 
+        this.nodePath.pop();
+
         // Cache the group for this node ID and parentMaterial
         this.processedNodes.set(cacheKey, true);
         this.nodes[cacheKey] = group;
@@ -284,10 +337,15 @@ class GraphParser {
         /*parentTransform - IF THERE IS EVER THE NEED TO GET THE TRANSFORM EXPLICITLY SHOWN */
     ) {
         const type = childData.type;
+
+        // JSON path of the child, for the source tags of the objects created for it
+        const childPath = joinPath(joinPath(group.userData.yasfPath, "children"), childData.nodeId);
     
         if (type === "lod") {
             const lod = this.createLOD(graphData, childData, parentMaterial, parentCastShadow, parentReceiveShadow);
             if (lod) {
+                lod.name = childData.nodeId;
+                tagSource(lod, group.userData.nodeId, childPath);
                 group.add(lod);
             }
         } else if (type === "noderef") {
@@ -300,7 +358,7 @@ class GraphParser {
              * Retrieving the Node: createNode retrieves or creates the referenced node, like box, 
              * from the graph. The node from the example is referenced multiple times in the YASF graph.
              * 
-             * Deep Clone for Independence: By using referencedNode.clone(true), a new copy of the 
+             * Deep Clone for Independence: By using SkeletonUtils.clone(referencedNode), a new copy of the 
              * node and all its children is created. This makes sure that GTs, materials, and other 
              * properties can be modified independently on each copy.
              */
@@ -330,8 +388,9 @@ class GraphParser {
             );
 
             if (referencedNode) {
-                // Clone the node for independent usage in this context
-                const clonedNode = referencedNode.clone(true); // `true` to deep clone
+                // Clone the node for independent usage in this context, with the skinned meshes
+                // of its models bound to the bones of the clone
+                const clonedNode = SkeletonUtils.clone(referencedNode);
 
                 // Apply parent material if specified
                 if (parentMaterial) {
@@ -340,7 +399,7 @@ class GraphParser {
 
                 group.add(clonedNode);
             }
-        } else if (["rectangle", "triangle", "box", "cylinder", "sphere", "nurbs", "polygon"].includes(type)) {
+        } else if (PRIMITIVE_TYPES.includes(type)) {
             /**
              * IF THERE IS EVER THE NEED TO GET THE TRANSFORM EXPLICITLY SHOWN:
             
@@ -350,14 +409,32 @@ class GraphParser {
 
             const primitive = createPrimitive(childData, parentMaterial, this.appMyContents);
             if (primitive) {
+                primitive.name = childData.nodeId;
+                tagSource(primitive, group.userData.nodeId, childPath);
                 primitive.castShadow = parentCastShadow || primitive.castShadow;
                 primitive.receiveShadow = parentReceiveShadow || primitive.receiveShadow;
 
                 group.add(primitive);
             }
+        } else if (type === "model") {
+            // External assets are loaded by MyContents before the graph is parsed
+            const model = createModel(
+                childData,
+                parentMaterial,
+                parentCastShadow,
+                parentReceiveShadow,
+                this.appMyContents
+            );
+            if (model) {
+                model.name = childData.nodeId;
+                model.traverse((object) => tagSource(object, group.userData.nodeId, childPath));
+                group.add(model);
+            }
         } else if (["pointlight", "spotlight", "directionallight"].includes(type)) {
             const lightGroup = createLight(childData, childData.nodeId || '');
             if (lightGroup) {
+                lightGroup.name = childData.nodeId || '';
+                tagSource(lightGroup, group.userData.nodeId, childPath);
                 group.add(lightGroup);
             }
         } else {
@@ -365,6 +442,118 @@ class GraphParser {
         }
     }
 
+    /**
+     * Rebuilds the instances of some nodes in the parsed graph after their data changed (hot reload),
+     * leaving the rest of the graph untouched. Each instance is rebuilt with the material and shadows it
+     * inherits where it is, so the result is the same as parsing the whole graph again.
+     * The whole graph is parsed again if the root node changed.
+     * @param {Object} graphData - The new graph data from YASF.
+     * @param {Set<String>} nodeIds - The ids of the nodes (or LODs) whose data changed.
+     */
+    rebuildNodes(graphData, nodeIds) {
+        if (!this.rootNode || !graphData?.rootid || graphData.rootid !== this.rootNodeId || nodeIds.has(this.rootNodeId)) {
+            const scene = this.scene;
+            this.clear();
+            this.parseGraph(graphData, scene);
+            return;
+        }
+
+        this.checkReferences(graphData);
+
+        for (const instance of findNodeInstances(this.rootNode, nodeIds)) {
+            // The cached groups may hold the old version of the nodes, and levels of LODs
+            // are not cloned, so each instance is built from scratch
+            this.nodes = {};
+            this.processedNodes.clear();
+
+            const replacement = this.rebuildInstance(graphData, instance);
+
+            // Keep the lights of the rebuilt subtree switched on or off as they were
+            restoreLightVisibility(instance, replacement);
+
+            replaceObject(instance, replacement);
+            disposeObject(instance);
+        }
+
+        console.info("Graph nodes rebuilt:", [...nodeIds]);
+    }
+
+    /**
+     * Creates a new version of a node instance, as createNode/createLOD would where the instance is.
+     * @param {Object} graphData - The new graph data from YASF.
+     * @param {THREE.Object3D} instance - The group (or LOD) created for the node.
+     * @returns {THREE.Object3D|null} - The new object, or null if the node can no longer be created.
+     */
+    rebuildInstance(graphData, instance) {
+        const nodeId = instance.name;
+
+        // Node instances from the root down to the parent of the instance
+        const ancestors = [];
+        for (let object = instance.parent; object; object = object.parent) {
+            if (isNodeInstance(object)) ancestors.unshift(object);
+        }
+
+        // Follow the inheritance of createNode along the ancestors. The material applied to a cloned
+        // node reference replaces the materials below it, so the outermost one wins.
+        let material = null;
+        let castShadow = false;
+        let receiveShadow = false;
+        let override = null;
+        for (const object of [...ancestors, instance]) {
+            if (!override && material && isClonedReference(object, this.rootNode)) {
+                override = { material, castShadow, receiveShadow };
+            }
+            if (object === instance || object.isLOD) continue;
+
+            const nodeData = graphData[object.name];
+            material = this.materials[nodeData?.materialref?.materialId] || material;
+            castShadow = castShadow || this.validator.parseBoolean(nodeData?.castshadow);
+            receiveShadow = receiveShadow || this.validator.parseBoolean(nodeData?.receiveshadow);
+        }
+
+        // Ancestors count as nodes being created, so reference cycles stop where they would in parseGraph
+        this.nodePath = ancestors.filter((object) => !object.isLOD).map((object) => object.name);
+
+        let replacement = null;
+        if (instance.isLOD) {
+            replacement = this.createLOD(graphData, graphData[nodeId], material, castShadow, receiveShadow);
+            if (replacement) {
+                replacement.name = nodeId;
+                tagSource(replacement, nodeId, joinPath(GRAPH_PATH, nodeId));
+            }
+        } else {
+            const node = this.createNode(graphData, nodeId, material, castShadow, receiveShadow);
+            // Levels of LODs are used as created, node references are cloned
+            replacement = node && isClonedReference(instance, this.rootNode) ? SkeletonUtils.clone(node) : node;
+        }
+
+        this.nodePath = [];
+
+        if (replacement && override) {
+            applyMaterialToNode(replacement, override.material, override.castShadow, override.receiveShadow);
+        }
+
+        return replacement;
+    }
+
+    /**
+     * Removes the parsed graph from the scene, disposes of its geometries and
+     * clears the node caches so a new graph can be parsed.
+     * Materials and textures are owned by MyContents and are not disposed here.
+     */
+    clear() {
+        if (this.rootNode) {
+            disposeObject(this.rootNode);
+            this.rootNode.removeFromParent();
+            this.rootNode = null;
+        }
+
+        this.nodes = {};
+        this.processedNodes.clear();
+        this.nodePath = [];
+        this.rootNodeId = null;
+    }
+
     /**
      * Synchronize the visibility of a light group with its children.
      * Ensures that toggling the group visibility applies to the light and its target.
@@ -384,4 +573,127 @@ class GraphParser {
     }
 }
 
+/**
+ * Tags an object created by the parser with the YASF node it comes from, so it can be traced
+ * back to the file (e.g. when picking). The tags are kept by clones of the object.
+ * @param {THREE.Object3D} object - The created group, LOD, mesh or light group.
+ * @param {String} nodeId - The id of the node that produced the object.
+ * @param {String} yasfPath - The JSON path of the object's data (e.g. "$.yasf.graph.chair.children.seat").
+ */
+function tagSource(object, nodeId, yasfPath) {
+    object.userData.nodeId = nodeId;
+    object.userData.yasfPath = yasfPath;
+}
+
+/**
+ * Checks if an object is the group (or LOD) created for a graph node, rather than for one of its children.
+ * @param {THREE.Object3D} object - The object to check.
+ * @returns {Boolean} - True if the object is a node instance.
+ */
+function isNodeInstance(object) {
+    const nodeId = object.userData.nodeId;
+    return nodeId !== undefined && object.name === nodeId && object.userData.yasfPath === joinPath(GRAPH_PATH, nodeId);
+}
+
+/**
+ * Checks if a node instance was added to its parent as a clone of a node reference
+ * (as opposed to the root node, a level of a LOD or a LOD of "lodsList").
+ * @param {THREE.Object3D} object - The node instance.
+ * @param {THREE.Object3D} rootNode - The root node of the parsed graph.
+ * @returns {Boolean} - True if the instance is a cloned node reference.
+ */
+function isClonedReference(object, rootNode) {
+    return object !== rootNode && !object.isLOD && !object.parent?.isLOD;
+}
+
+/**
+ * Finds the outermost instances of some nodes in the graph (those inside another one are rebuilt with it).
+ * @param {THREE.Object3D} object - The object to search from.
+ * @param {Set<String>} nodeIds - The ids of the nodes.
+ * @param {Array<THREE.Object3D>} instances - Collects the instances found.
+ * @returns {Array<THREE.Object3D>} - The instances found.
+ */
+function findNodeInstances(object, nodeIds, instances = []) {
+    if (isNodeInstance(object) && nodeIds.has(object.name)) {
+        instances.push(object);
+        return instances;
+    }
+
+    for (const child of object.children) {
+        findNodeInstances(child, nodeIds, instances);
+    }
+    return instances;
+}
+
+/**
+ * Puts an object in the place of another one, in the children of its parent and in the levels of a LOD,
+ * or removes the old object if there is no new one.
+ * @param {THREE.Object3D} oldObject - The object to replace.
+ * @param {THREE.Object3D|null} newObject - The object that takes its place.
+ */
+function replaceObject(oldObject, newObject) {
+    const parent = oldObject.parent;
+
+    if (parent.isLOD) {
+        const index = parent.levels.findIndex((level) => level.object === oldObject);
+        if (newObject) {
+            parent.levels[index].object = newObject;
+        } else {
+            parent.levels.splice(index, 1);
+        }
+    }
+
+    if (newObject) {
+        newObject.removeFromParent();
+        parent.children[parent.children.indexOf(oldObject)] = newObject;
+        newObject.parent = parent;
+        oldObject.parent = null;
+    } else {
+        oldObject.removeFromParent();
+    }
+}
+
+/**
+ * Gives the lights of a rebuilt subtree the visibility of the lights they replace (toggled in the GUI),
+ * matching them by their JSON path.
+ * @param {THREE.Object3D} oldObject - The replaced subtree.
+ * @param {THREE.Object3D|null} newObject - The rebuilt subtree.
+ */
+function restoreLightVisibility(oldObject, newObject) {
+    if (!newObject) return;
+
+    const visibility = new Map();
+    oldObject.traverse((child) => {
+        if (child.isLight && child.parent?.isGroup) {
+            const path = child.parent.userData.yasfPath;
+            visibility.set(path, [...(visibility.get(path) ?? []), child.parent.visible]);
+        }
+    });
+
+    newObject.traverse((child) => {
+        if (child.isLight && child.parent?.isGroup && visibility.get(child.parent.userData.yasfPath)?.length) {
+            const visible = visibility.get(child.parent.userData.yasfPath).shift();
+            if (child.parent.visible !== visible) {
+                child.parent.traverse((object) => { object.visible = visible; });
+            }
+        }
+    });
+}
+
+/**
+ * Disposes of the geometries and lights of a parsed subtree.
+ * Materials and textures are owned by MyContents and are not disposed here.
+ * @param {THREE.Object3D} object - The root of the subtree.
+ */
+function disposeObject(object) {
+    object.traverse((child) => {
+        if (child.isMesh || child.isLine) {
+            child.geometry.dispose();
+        }
+        if (child.isLight) {
+            child.dispose();
+        }
+    });
+}
+
 export { GraphParser };
@@ -0,0 +1,692 @@
+import { YASF_SCHEMA } from './schema/MyYasfSchema.js';
+import { buildReferenceGraph, findReferenceCycles, formatCycle } from './utils/MyReferenceUtils.js';
+import { getModelFormat } from './utils/MyModelUtils.js';
+import { getNurbsDegree, getNurbsOrderKey, getNurbsPointCount, isValidKnotVector } from './utils/MyNurbsBuilder.js';
+import { checkMeshArrays, MESH_ATTRIBUTES } from './utils/MyMeshUtils.js';
+import { CAMERA_SETTINGS_KEYS } from './customClasses/02_MyCamera.js';
+import { hasShear } from './utils/MyTransformUtils.js';
+
+/**
+ * Validates a YASF scene object against the schema in MyYasfSchema.js.
+ *
+ * Unlike MyValidationUtils, which silently replaces bad values by defaults while the scene is built,
+ * this class walks the whole file beforehand and reports every problem it finds with its JSON path,
+ * so the scene author can fix the file.
+ *
+ * Each diagnostic is an object: { severity: "error" | "warning", code, path, message }, where code is one of
+ * "unknown-key", "missing-key", "wrong-type", "out-of-range", "invalid-value", "dangling-reference" or "reference-cycle".
+ */
+class MySceneValidator {
+    /**
+     * @param {Object} schema - The schema to validate against. Defaults to the YASF schema.
+     */
+    constructor(schema = YASF_SCHEMA) {
+        this.schema = schema;
+        this.diagnostics = [];
+        this.collections = {};
+        this.graph = {};
+    }
+
+    /**
+     * Validates the entire scene object.
+     * @param {Object} data - The entire scene object data loaded from the JSON file.
+     * @returns {Array<Object>} - The list of diagnostics (empty if the scene is valid).
+     */
+    validate(data) {
+        this.diagnostics = [];
+        this.collections = this.collectIds(data?.yasf);
+        this.graph = isPlainObject(data?.yasf?.graph) ? data.yasf.graph : {};
+
+        this.validateValue(data, this.schema, "$");
+        this.validateReferenceCycles(data?.yasf?.graph);
+
+        return this.diagnostics;
+    }
+
+    /**
+     * Reports nodes that end up referencing one of their ancestors, which the schema alone cannot describe.
+     * @param {Object} graphData - The graph data from YASF.
+     */
+    validateReferenceCycles(graphData) {
+        if (!isPlainObject(graphData)) return;
+
+        const referenceGraph = buildReferenceGraph(graphData);
+        for (const cycle of findReferenceCycles(referenceGraph, graphData.rootid)) {
+            // Report it on the node holding the reference that closes the cycle
+            const referencingId = cycle[cycle.length - 2];
+            this.report("reference-cycle", joinPath("$.yasf.graph", referencingId), `Reference cycle: ${formatCycle(cycle)}.`);
+        }
+    }
+
+    /**
+     * Gathers the ids that references in the file may point to, per collection.
+     * @param {Object} yasf - The "yasf" object of the scene.
+     * @returns {Object} - A map from collection name to a Set of ids.
+     */
+    collectIds(yasf) {
+        const keysOf = (object) => (isPlainObject(object) ? Object.keys(object) : []);
+        const graph = isPlainObject(yasf?.graph) ? yasf.graph : {};
+        const graphIdsOfType = (type) =>
+            Object.keys(graph).filter((id) => id !== "rootid" && graph[id]?.type === type);
+        const childIds = (predicate) =>
+            Object.values(graph).flatMap((entry) =>
+                Object.keys(isPlainObject(entry?.children) ? entry.children : {})
+                    .filter((id) => id !== "nodesList" && id !== "lodsList" && predicate(entry.children[id]))
+            );
+
+        return {
+            textures: new Set(keysOf(yasf?.textures)),
+            materials: new Set(keysOf(yasf?.materials)),
+            cameras: new Set(keysOf(yasf?.cameras).filter((id) => !CAMERA_SETTINGS_KEYS.includes(id))),
+            nodes: new Set(graphIdsOfType("node")),
+            lods: new Set(graphIdsOfType("lod")),
+            children: new Set(childIds(() => true)),
+            lights: new Set(childIds((child) => typeof child?.type === "string" && child.type.endsWith("light")))
+        };
+    }
+
+    /**
+     * Adds a diagnostic to the report.
+     * @param {String} code - The diagnostic code.
+     * @param {String} path - The JSON path of the offending value.
+     * @param {String} message - A human-readable description.
+     * @param {String} severity - "error" or "warning".
+     */
+    report(code, path, message, severity = "error") {
+        this.diagnostics.push({ severity, code, path, message });
+    }
+
+    /**
+     * Resolves "$ref" schemas to their definition.
+     * @param {Object} schema - The schema that may be a reference.
+     * @returns {Object} - The resolved schema.
+     */
+    resolve(schema) {
+        while (schema?.$ref) {
+            schema = this.schema.definitions[schema.$ref];
+        }
+        return schema;
+    }
+
+    /**
+     * Recursively validates a value against a schema.
+     * @param {*} value - The value to validate.
+     * @param {Object} schema - The schema describing the value.
+     * @param {String} path - The JSON path of the value.
+     */
+    validateValue(value, schema, path) {
+        schema = this.resolve(schema);
+        if (!schema) return;
+
+        // Optional references may be explicitly left empty
+        if (schema.nullable && (value === null || value === "null")) return;
+
+        if (schema.discriminator) {
+            this.validateDiscriminated(value, schema, path);
+            return;
+        }
+
+        if (!this.checkType(value, schema.type, path)) return;
+
+        switch (schema.type) {
+            case "object":
+                this.validateObject(value, schema, path);
+                break;
+            case "array":
+                this.validateArray(value, schema, path);
+                break;
+            case "number":
+            case "integer":
+                this.validateRange(value, schema, path);
+                break;
+            case "string":
+                this.validateString(value, schema, path);
+                break;
+        }
+
+        for (const checkName of schema.checks || []) {
+            CROSS_FIELD_CHECKS[checkName](value, path, this);
+        }
+    }
+
+    /**
+     * Checks that a value has the expected JSON type.
+     * @param {*} value - The value to check.
+     * @param {String} type - The expected type.
+     * @param {String} path - The JSON path of the value.
+     * @returns {Boolean} - True if the type matches (or no type is expected).
+     */
+    checkType(value, type, path) {
+        if (!type) return true;
+
+        let valid;
+        switch (type) {
+            case "object": valid = isPlainObject(value); break;
+            case "array": valid = Array.isArray(value); break;
+            case "number": valid = typeof value === "number" && Number.isFinite(value); break;
+            case "integer": valid = Number.isInteger(value); break;
+            default: valid = typeof value === type;
+        }
+
+        if (!valid) {
+            this.report("wrong-type", path, `Expected ${type}, got ${describeType(value)}.`);
+        }
+        return valid;
+    }
+
+    /**
+     * Validates the keys of an object: required keys, known keys and their values.
+     * @param {Object} value - The object to validate.
+     * @param {Object} schema - The object schema.
+     * @param {String} path - The JSON path of the object.
+     */
+    validateObject(value, schema, path) {
+        const properties = schema.properties || {};
+
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                this.report("missing-key", joinPath(path, key), `Missing required key '${key}'.`);
+            }
+        }
+
+        for (const key in value) {
+            const childPath = joinPath(path, key);
+            if (properties[key]) {
+                this.validateValue(value[key], properties[key], childPath);
+            } else if (schema.additionalProperties) {
+                this.validateValue(value[key], schema.additionalProperties, childPath);
+            } else if (schema.additionalProperties === false) {
+                const suggestion = findSimilarKey(key, Object.keys(properties));
+                this.report(
+                    "unknown-key",
+                    childPath,
+                    `Unknown key '${key}'.` + (suggestion ? ` Did you mean '${suggestion}'?` : "")
+                );
+            }
+        }
+    }
+
+    /**
+     * Validates the length and the items of an array.
+     * @param {Array} value - The array to validate.
+     * @param {Object} schema - The array schema.
+     * @param {String} path - The JSON path of the array.
+     */
+    validateArray(value, schema, path) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            this.report("out-of-range", path, `Expected at least ${schema.minItems} item(s), got ${value.length}.`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            this.report("out-of-range", path, `Expected at most ${schema.maxItems} item(s), got ${value.length}.`);
+        }
+
+        if (schema.items) {
+            value.forEach((item, index) => this.validateValue(item, schema.items, `${path}[${index}]`));
+        }
+    }
+
+    /**
+     * Validates that a number is within the bounds declared in the schema.
+     * @param {Number} value - The number to validate.
+     * @param {Object} schema - The number schema.
+     * @param {String} path - The JSON path of the number.
+     */
+    validateRange(value, schema, path) {
+        const { minimum, maximum, exclusiveMinimum, exclusiveMaximum } = schema;
+
+        if ((minimum !== undefined && value < minimum)
+            || (maximum !== undefined && value > maximum)
+            || (exclusiveMinimum !== undefined && value <= exclusiveMinimum)
+            || (exclusiveMaximum !== undefined && value >= exclusiveMaximum)) {
+            const lower = minimum !== undefined ? `[${minimum}` : exclusiveMinimum !== undefined ? `(${exclusiveMinimum}` : "(-∞";
+            const upper = maximum !== undefined ? `${maximum}]` : exclusiveMaximum !== undefined ? `${exclusiveMaximum})` : "+∞)";
+            this.report("out-of-range", path, `Value ${value} is outside the range ${lower}, ${upper}.`);
+        }
+    }
+
+    /**
+     * Validates string enumerations and references to other entries of the file.
+     * @param {String} value - The string to validate.
+     * @param {Object} schema - The string schema.
+     * @param {String} path - The JSON path of the string.
+     */
+    validateString(value, schema, path) {
+        if (schema.enum && !schema.enum.includes(value)) {
+            this.report("invalid-value", path, `Value '${value}' is not one of: ${schema.enum.join(", ")}.`);
+        }
+
+        if (schema.reference && !this.collections[schema.reference]?.has(value)) {
+            this.report("dangling-reference", path, `Reference '${value}' not found in ${schema.reference}.`);
+        }
+    }
+
+    /**
+     * Validates an object whose schema depends on its "type" property.
+     * @param {*} value - The value to validate.
+     * @param {Object} schema - The schema with the "discriminator" mapping.
+     * @param {String} path - The JSON path of the value.
+     */
+    validateDiscriminated(value, schema, path) {
+        if (!this.checkType(value, "object", path)) return;
+
+        const type = value.type ?? schema.defaultType;
+        if (type === undefined) {
+            this.report("missing-key", joinPath(path, "type"), `Missing required key 'type'.`);
+            return;
+        }
+
+        const definition = schema.discriminator[type];
+        if (!definition) {
+            this.report(
+                "invalid-value",
+                joinPath(path, "type"),
+                `Unknown type '${type}'. Expected one of: ${Object.keys(schema.discriminator).join(", ")}.`
+            );
+            return;
+        }
+
+        this.validateValue(value, { $ref: definition }, path);
+    }
+}
+
+// Material models, and the material keys that only some of them use (the other keys apply to every model)
+const MATERIAL_MODELS = ["phong", "lambert", "standard", "physical", "basic", "toon"];
+const SHADED_MODELS = ["phong", "lambert", "standard", "physical", "toon"];
+const PBR_MODELS = ["standard", "physical"];
+const MATERIAL_MODEL_KEYS = {
+    specular: ["phong"],
+    shininess: ["phong"],
+    emissive: SHADED_MODELS,
+    emissiveref: SHADED_MODELS,
+    emissiveintensity: SHADED_MODELS,
+    shading: ["phong", "lambert", "standard", "physical"],
+    bumpref: SHADED_MODELS,
+    bumpscale: SHADED_MODELS,
+    specularref: ["phong", "lambert", "basic"],
+    normalref: SHADED_MODELS,
+    normalscale: SHADED_MODELS,
+    displacementref: SHADED_MODELS,
+    displacementscale: SHADED_MODELS,
+    displacementbias: SHADED_MODELS,
+    roughness: PBR_MODELS,
+    metalness: PBR_MODELS,
+    roughnessref: PBR_MODELS,
+    metalnessref: PBR_MODELS,
+    reflectivity: ["phong", "lambert", "basic"],
+    envmapintensity: PBR_MODELS,
+    clearcoat: ["physical"],
+    clearcoatroughness: ["physical"],
+    transmission: ["physical"],
+    ior: ["physical"],
+    thickness: ["physical"]
+};
+
+/**
+ * Checks involving more than one key of the same object, referenced by name in the schema "checks" lists.
+ */
+const CROSS_FIELD_CHECKS = {
+    nearLessThanFar(value, path, validator) {
+        if (typeof value.near === "number" && typeof value.far === "number" && value.far <= value.near) {
+            validator.report("out-of-range", joinPath(path, "far"), `'far' (${value.far}) must be greater than 'near' (${value.near}).`);
+        }
+    },
+
+    controlsLimits(value, path, validator) {
+        for (const [low, high] of [["mindistance", "maxdistance"], ["minpolarangle", "maxpolarangle"], ["minzoom", "maxzoom"]]) {
+            if (typeof value[low] === "number" && typeof value[high] === "number" && value[high] < value[low]) {
+                validator.report("out-of-range", joinPath(path, high), `'${high}' (${value[high]}) must not be less than '${low}' (${value[low]}).`);
+            }
+        }
+    },
+
+    orthographicBounds(value, path, validator) {
+        for (const [low, high] of [["left", "right"], ["bottom", "top"]]) {
+            if (typeof value[low] === "number" && value[low] >= 0) {
+                validator.report("out-of-range", joinPath(path, low), `'${low}' (${value[low]}) must be negative.`);
+            }
+            if (typeof value[high] === "number" && value[high] <= 0) {
+                validator.report("out-of-range", joinPath(path, high), `'${high}' (${value[high]}) must be positive.`);
+            }
+        }
+    },
+
+    shadowBounds(value, path, validator) {
+        for (const [low, high] of [["shadowleft", "shadowright"], ["shadowbottom", "shadowtop"]]) {
+            if (typeof value[low] === "number" && value[low] > 0) {
+                validator.report("out-of-range", joinPath(path, low), `'${low}' (${value[low]}) must not be positive.`);
+            }
+            if (typeof value[high] === "number" && value[high] < 0) {
+                validator.report("out-of-range", joinPath(path, high), `'${high}' (${value[high]}) must not be negative.`);
+            }
+        }
+    },
+
+    nonZeroQuaternion(value, path, validator) {
+        const { x, y, z, w } = value.amount ?? {};
+        if ([x, y, z, w].every((component) => component === 0)) {
+            validator.report("out-of-range", joinPath(path, "amount"), "Quaternion must not have zero length.");
+        }
+    },
+
+    ringRadii(value, path, validator) {
+        const innerRadius = typeof value.innerradius === "number" ? value.innerradius : 0.5;
+        const outerRadius = typeof value.outerradius === "number" ? value.outerradius : 1;
+
+        if (innerRadius >= outerRadius) {
+            validator.report(
+                "out-of-range",
+                joinPath(path, "innerradius"),
+                `'innerradius' (${innerRadius}) must be less than 'outerradius' (${outerRadius}).`
+            );
+        }
+    },
+
+    nurbsControlPointCount(value, path, validator) {
+        if (!Array.isArray(value.controlpoints)) return;
+
+        const degreeU = getNurbsDegree(value, "_u");
+        const degreeV = getNurbsDegree(value, "_v");
+        const pointsU = getNurbsPointCount(value, "_u", degreeU);
+        const pointsV = getNurbsPointCount(value, "_v", degreeV);
+        const expected = pointsU * pointsV;
+
+        if (value.controlpoints.length !== expected) {
+            validator.report(
+                "out-of-range",
+                joinPath(path, "controlpoints"),
+                `Expected ${expected} control points (${pointsU}x${pointsV}) for degrees ${degreeU}x${degreeV}, got ${value.controlpoints.length}.`
+            );
+        }
+
+        checkDegreeAndOrder(value, "_u", path, validator);
+        checkDegreeAndOrder(value, "_v", path, validator);
+        checkKnots(value.knots_u, pointsU, degreeU, joinPath(path, "knots_u"), validator);
+        checkKnots(value.knots_v, pointsV, degreeV, joinPath(path, "knots_v"), validator);
+    },
+
+    nurbsCurveKnots(value, path, validator) {
+        if (!Array.isArray(value.controlpoints)) return;
+
+        const pointCount = value.controlpoints.length;
+        const degree = getNurbsDegree(value, "");
+        if (pointCount > 1 && degree >= pointCount) {
+            validator.report(
+                "out-of-range",
+                joinPath(path, "controlpoints"),
+                `Expected at least ${degree + 1} control points for degree ${degree}, got ${pointCount}.`
+            );
+        }
+
+        checkDegreeAndOrder(value, "", path, validator);
+        checkKnots(value.knots, pointCount, degree, joinPath(path, "knots"), validator);
+    },
+
+    meshArrays(value, path, validator) {
+        const keys = [...Object.keys(MESH_ATTRIBUTES), "indices"];
+
+        if (isPlainObject(value.buffer)) {
+            const arrayKey = keys.find((key) => key in value);
+            if (arrayKey) {
+                validator.report("invalid-value", joinPath(path, arrayKey), `'${arrayKey}' cannot be given along with a 'buffer'.`);
+            }
+
+            // The buffer is not loaded yet, so only the counts of its arrays are compared
+            const bufferPath = joinPath(path, "buffer");
+            const vertexCount = value.buffer.positions?.count;
+            for (const key in MESH_ATTRIBUTES) {
+                const count = value.buffer[key]?.count;
+                if (Number.isInteger(count) && Number.isInteger(vertexCount) && count !== vertexCount) {
+                    validator.report("out-of-range", joinPath(joinPath(bufferPath, key), "count"),
+                        `Expected ${vertexCount} vertices, as in 'positions', got ${count}.`);
+                }
+            }
+            const indexCount = value.buffer.indices?.count;
+            if (Number.isInteger(indexCount) && indexCount % 3 !== 0) {
+                validator.report("out-of-range", joinPath(joinPath(bufferPath, "indices"), "count"),
+                    `${indexCount} indices do not make whole triangles.`);
+            }
+            return;
+        }
+
+        if (!("positions" in value)) {
+            validator.report("missing-key", joinPath(path, "positions"), "Missing required key 'positions' (or 'buffer').");
+            return;
+        }
+
+        // Wrong types are already reported by the schema
+        if (!keys.every((key) => value[key] === undefined || Array.isArray(value[key]))) return;
+
+        const problem = checkMeshArrays(value);
+        if (problem) {
+            validator.report("out-of-range", joinPath(path, problem.key), problem.message);
+        }
+    },
+
+    textFont(value, path, validator) {
+        if (value.render === "geometry" && value.font === undefined) {
+            validator.report("missing-key", joinPath(path, "font"), "Text rendered as 'geometry' needs a typeface 'font'.");
+        }
+    },
+
+    animationTrack(value, path, validator) {
+        if (typeof value.property !== "string" || typeof value.target !== "string") return;
+
+        // Light properties target lights; the others target nodes, LODs or primitives
+        const isLightProperty = value.property.startsWith("light.");
+        const { nodes, lods, children, lights } = validator.collections;
+        const found = isLightProperty
+            ? lights.has(value.target)
+            : nodes.has(value.target) || lods.has(value.target) || (children.has(value.target) && !lights.has(value.target));
+        if (!found) {
+            validator.report(
+                "dangling-reference",
+                joinPath(path, "target"),
+                `Reference '${value.target}' not found in ${isLightProperty ? "lights" : "nodes, LODs or primitives"}.`
+            );
+        }
+
+        // Sheared nodes keep their exact matrix, which the animation of their transforms would not change
+        const targetData = validator.graph?.[value.target];
+        if (["translate", "rotate", "scale"].includes(value.property) && Array.isArray(targetData?.transforms)
+            && targetData.transforms.every(isPlainObject) && hasShear(targetData.transforms)) {
+            validator.report(
+                "invalid-value",
+                joinPath(path, "target"),
+                `Node '${value.target}' has sheared transforms (a non-uniform scale followed by a rotation), so its '${value.property}' cannot be animated.`,
+                "warning"
+            );
+        }
+
+        if (!Array.isArray(value.keyframes)) return;
+
+        const valueSchema = ["translate", "rotate", "scale", "light.position"].includes(value.property)
+            ? { $ref: "vector3" }
+            : value.property.endsWith("color") || value.property.endsWith("emissive") || value.property.endsWith("specular")
+                ? { $ref: "color" }
+                : { type: "number" };
+
+        let previousTime = -Infinity;
+        value.keyframes.forEach((keyframe, i) => {
+            const keyframePath = `${path}.keyframes[${i}]`;
+            if (!isPlainObject(keyframe)) return;
+
+            if (keyframe.value !== undefined) {
+                validator.validateValue(keyframe.value, valueSchema, joinPath(keyframePath, "value"));
+            }
+            if (typeof keyframe.time === "number") {
+                if (keyframe.time < previousTime) {
+                    validator.report("out-of-range", joinPath(keyframePath, "time"), `Keyframe times must be in increasing order (${keyframe.time} < ${previousTime}).`);
+                }
+                previousTime = keyframe.time;
+            }
+        });
+    },
+
+    environmentSource(value, path, validator) {
+        const faces = ["front", "back", "up", "down", "left", "right"];
+        const givenFaces = faces.filter((face) => value[face] !== undefined);
+
+        if (typeof value.filepath === "string") {
+            if (!/\.(hdr|exr)$/i.test(value.filepath.split(/[?#]/)[0])) {
+                validator.report("invalid-value", joinPath(path, "filepath"), `Unsupported environment map '${value.filepath}'. Expected .hdr or .exr.`);
+            }
+            givenFaces.forEach((face) => {
+                validator.report("invalid-value", joinPath(path, face), `'${face}' cannot be used with 'filepath'.`);
+            });
+        } else if (givenFaces.length > 0) {
+            faces.filter((face) => value[face] === undefined).forEach((face) => {
+                validator.report("missing-key", joinPath(path, face), `Missing required key '${face}' (cube maps need the six faces).`);
+            });
+        }
+    },
+
+    materialModelProperties(value, path, validator) {
+        // Unknown models are reported by the schema
+        const model = value.model ?? "phong";
+        if (!MATERIAL_MODELS.includes(model)) return;
+
+        for (const key in value) {
+            if (MATERIAL_MODEL_KEYS[key] && !MATERIAL_MODEL_KEYS[key].includes(model)) {
+                validator.report("unknown-key", joinPath(path, key), `Key '${key}' is ignored by material model '${model}'.`, "warning");
+            }
+        }
+    },
+
+    modelFileFormat(value, path, validator) {
+        if (typeof value.filepath === "string" && !getModelFormat(value.filepath)) {
+            validator.report("invalid-value", joinPath(path, "filepath"), `Unsupported model file '${value.filepath}'. Expected .gltf, .glb or .obj.`);
+        }
+    }
+};
+
+/**
+ * Reports a NURBS that gives both the degree and the order along a direction, when they disagree.
+ * @param {Object} value - The data of the primitive.
+ * @param {String} suffix - "_u" or "_v" for surfaces, "" for curves.
+ * @param {String} path - The path of the primitive.
+ * @param {MySceneValidator} validator - The validator collecting the diagnostics.
+ */
+function checkDegreeAndOrder(value, suffix, path, validator) {
+    const degree = value[`degree${suffix}`];
+    const orderKey = getNurbsOrderKey(value, suffix);
+    const order = value[orderKey];
+
+    if (Number.isInteger(degree) && Number.isInteger(order) && order !== degree + 1) {
+        validator.report(
+            "invalid-value",
+            joinPath(path, orderKey),
+            `'${orderKey}' (${order}) must be 'degree${suffix}' + 1 (${degree + 1}).`
+        );
+    }
+}
+
+/**
+ * Reports a knot vector that does not fit the control points of a NURBS.
+ * @param {Array} knots - The knot vector, if any.
+ * @param {Number} pointCount - The number of control points along its direction.
+ * @param {Number} degree - The degree along its direction.
+ * @param {String} path - The path of the knot vector.
+ * @param {MySceneValidator} validator - The validator collecting the diagnostics.
+ */
+function checkKnots(knots, pointCount, degree, path, validator) {
+    if (!Array.isArray(knots) || isValidKnotVector(knots, pointCount, degree)) return;
+
+    const expected = pointCount + degree + 1;
+    const message = knots.length !== expected
+        ? `Expected ${expected} knots for ${pointCount} control points of degree ${degree}, got ${knots.length}.`
+        : `Knots must not decrease, and knot ${pointCount} must be greater than knot ${degree}, the range where it is defined.`;
+    validator.report("invalid-value", path, message);
+}
+
+/**
+ * Prints the diagnostics of a validation to the console, grouped by severity.
+ * @param {Array<Object>} diagnostics - The diagnostics returned by MySceneValidator.validate.
+ */
+function logDiagnostics(diagnostics) {
+    const errors = diagnostics.filter((d) => d.severity === "error");
+    const warnings = diagnostics.filter((d) => d.severity === "warning");
+
+    if (diagnostics.length === 0) {
+        console.info("YASF validation: no problems found.");
+        return;
+    }
+
+    console.groupCollapsed(`YASF validation: ${errors.length} error(s), ${warnings.length} warning(s).`);
+    errors.forEach((d) => console.error(`${d.path}: ${d.message} [${d.code}]`));
+    warnings.forEach((d) => console.warn(`${d.path}: ${d.message} [${d.code}]`));
+    console.groupEnd();
+}
+
+/**
+ * Appends a key to a JSON path, using bracket notation when the key is not a valid identifier.
+ * @param {String} path - The parent path.
+ * @param {String} key - The key to append.
+ * @returns {String} - The new path.
+ */
+function joinPath(path, key) {
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * @param {*} value - Any value.
+ * @returns {Boolean} - True if the value is a non-null, non-array object.
+ */
+function isPlainObject(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Describes the JSON type of a value for error messages.
+ * @param {*} value - Any value.
+ * @returns {String} - The type name.
+ */
+function describeType(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    return typeof value;
+}
+
+/**
+ * Finds a known key that is likely what a misspelled key meant (e.g. "transform" for "transforms").
+ * @param {String} key - The unknown key.
+ * @param {Array<String>} knownKeys - The keys allowed at that position.
+ * @returns {String|null} - The closest known key, or null if none is close enough.
+ */
+function findSimilarKey(key, knownKeys) {
+    let best = null;
+    let bestDistance = 3;
+
+    for (const known of knownKeys) {
+        const distance = levenshtein(key.toLowerCase(), known.toLowerCase());
+        if (distance < bestDistance) {
+            best = known;
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
+
+/**
+ * Computes the edit distance between two strings.
+ * @param {String} a - The first string.
+ * @param {String} b - The second string.
+ * @returns {Number} - The number of single-character edits to turn a into b.
+ */
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+export { MySceneValidator, logDiagnostics, joinPath };
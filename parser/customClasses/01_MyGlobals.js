@@ -1,8 +1,21 @@
 import * as THREE from 'three';
+import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
+import { EXRLoader } from 'three/addons/loaders/EXRLoader.js';
 import { MyValidationUtils } from '../utils/MyValidationUtils.js';
 
+// Types of fog: THREE.Fog, THREE.FogExp2 or no fog
+const FOG_TYPES = ["linear", "exp2", "none"];
+
+// Faces of the skybox and of cube environment maps, in the order of the BoxGeometry groups and the CubeTexture images
+const CUBE_FACES = ["front", "back", "up", "down", "left", "right"];
+
 class MyGlobals {
-    constructor(globalsData = {}) {
+    /**
+     * @param {Object} globalsData - The data regarding "globals" in YASF.
+     * @param {THREE.Loader} textureLoader - The loader used for the skybox textures and cube environment maps.
+     * @param {Object} environmentLoaders - The loaders used for equirectangular environment maps, by file extension ("hdr", "exr").
+     */
+    constructor(globalsData = {}, textureLoader = new THREE.TextureLoader(), environmentLoaders = null) {
         this.validator = new MyValidationUtils();
 
         // Set default values for when the values are not specified
@@ -14,11 +27,17 @@ class MyGlobals {
         this.ambientIntensity = this.validator.toValidFloat(ambientData.intensity, 1);
 
 
-        // Check if fog data exists, if not use default values
+        // Check if fog data exists: without it there is no fog, and missing values use defaults
+        this.fogType = globalsData.fog ? (globalsData.fog.type ?? "linear") : "none";
+        if (!FOG_TYPES.includes(this.fogType)) {
+            console.warn(`Invalid fog type '${this.fogType}'. Using 'linear'.`);
+            this.fogType = "linear";
+        }
         const fogColorData = globalsData.fog?.color || {};
         this.fogColor = this.validator.parseColor(fogColorData);
         this.fogNear = this.validator.toValidFloat(globalsData.fog?.near, 1);
         this.fogFar = this.validator.toValidFloat(globalsData.fog?.far, 1000);
+        this.fogDensity = this.validator.toValidFloat(globalsData.fog?.density, 0.00025);
 
 
         // Setup skybox data
@@ -46,25 +65,54 @@ class MyGlobals {
             right: globalsData.skybox?.right || null,
         };
 
-        this.textureLoader = new THREE.TextureLoader();
+        // Setup environment map data: an equirectangular HDR/EXR file, or six cube faces
+        // (the skybox ones when none are given)
+        const environmentData = globalsData.environment;
+        if (environmentData) {
+            const hasFaces = CUBE_FACES.some((face) => environmentData[face]);
+            this.environment = {
+                filepath: this.validator.validateString(environmentData.filepath),
+                faces: CUBE_FACES.map((face) => (hasFaces ? environmentData[face] : this.skyboxTextures[face]) || null),
+                background: this.validator.parseBoolean(environmentData.background),
+                blurriness: this.validator.toValidFloat(environmentData.blurriness, 0)
+            };
+        } else {
+            this.environment = null;
+        }
+
+        this.textureLoader = textureLoader;
+        this.environmentLoaders = environmentLoaders;
+
+        // Reference to the skybox mesh, kept so it can be removed when the scene is unloaded
+        this.skybox = null;
+        // The environment map as loaded (given to the materials that do not use scene.environment),
+        // and its PMREM-processed version (assigned to scene.environment)
+        this.environmentMap = null;
+        this.environmentTarget = null;
+        this.removed = false;
     }
 
     /**
      * Applies the global variables to the scene.
      * @param {Object} scene - The scene object to apply the globals to.
+     * @param {THREE.WebGLRenderer|null} renderer - The renderer, used to process the environment map with PMREM.
+     * @returns {Promise<void>} - A promise that resolves when the skybox and the environment map have been added.
      */
-    applyToScene(scene) {
+    applyToScene(scene, renderer = null) {
         console.log("Globals - Background Color:", this.backgroundColor);
         console.log("Globals - Ambient Color:", this.ambientColor);
         console.log("Globals - Ambient Intensity:", this.ambientIntensity);
+        console.log("Globals - Fog Type:", this.fogType);
         console.log("Globals - Fog Color:", this.fogColor);
         console.log("Globals - Fog Near:", this.fogNear);
         console.log("Globals - Fog Far:", this.fogFar);
+        console.log("Globals - Fog Density:", this.fogDensity);
         console.log("Globals - Skybox Size:", this.skyboxSize);
         console.log("Globals - Skybox Center:", this.skyboxCenter);
         console.log("Globals - Skybox Emissive:", this.skyboxEmissive);
         console.log("Globals - Skybox Intensity:", this.skyboxIntensity);
         console.log("Globals - Skybox Textures:", this.skyboxTextures);
+        console.log("Globals - Environment:", this.environment);
 
         // Set background color
         scene.background = new THREE.Color(this.backgroundColor.r, this.backgroundColor.g, this.backgroundColor.b);
@@ -83,14 +131,36 @@ class MyGlobals {
         }
 
         // Set fog (to see the effects you can just zoom out)
-        scene.fog = new THREE.Fog(
-            new THREE.Color(this.fogColor.r, this.fogColor.g, this.fogColor.b),
-            this.fogNear,
-            this.fogFar
-        );
-
-        // Set skybox
-        this.createSkybox(scene);
+        this.applyFog(scene);
+
+        // Set skybox and environment map
+        return Promise.all([this.createSkybox(scene), this.createEnvironment(scene, renderer)]);
+    }
+
+    /**
+     * Sets the fog of the scene from the fog settings: a THREE.Fog for "linear", a THREE.FogExp2 for "exp2",
+     * or no fog for "none". The current fog is updated in place when its type does not change,
+     * so the settings can be tuned at runtime (e.g. from the GUI) by changing them and calling this again.
+     * @param {THREE.Scene} scene - The scene to set the fog of.
+     */
+    applyFog(scene) {
+        if (this.fogType === "none") {
+            scene.fog = null;
+            return;
+        }
+
+        const isExp2 = this.fogType === "exp2";
+        if (!scene.fog || Boolean(scene.fog.isFogExp2) !== isExp2) {
+            scene.fog = isExp2 ? new THREE.FogExp2(this.fogColor) : new THREE.Fog(this.fogColor);
+        }
+
+        scene.fog.color.setRGB(this.fogColor.r, this.fogColor.g, this.fogColor.b);
+        if (isExp2) {
+            scene.fog.density = this.fogDensity;
+        } else {
+            scene.fog.near = this.fogNear;
+            scene.fog.far = this.fogFar;
+        }
     }
 
     /**
@@ -124,10 +194,109 @@ class MyGlobals {
 
         // Set skybox position
         skybox.position.set(this.skyboxCenter.x, this.skyboxCenter.y, this.skyboxCenter.z);
-        
+
+        // The scene may have been unloaded while the skybox textures were loading
+        if (this.removed) {
+            disposeSkybox(skybox);
+            return;
+        }
+
+        this.skybox = skybox;
         scene.add(skybox);
     }
 
+    /**
+     * Asynchronously loads the environment map and assigns it to scene.environment, and to scene.background
+     * if requested. With a renderer, the map is prefiltered with THREE.PMREMGenerator for physically based
+     * materials; otherwise (e.g. headless parsing) THREE.js does it when the scene is first rendered.
+     * @param {THREE.Scene} scene - The scene to which the environment map will be applied.
+     * @param {THREE.WebGLRenderer|null} renderer - The renderer used by PMREMGenerator.
+     */
+    async createEnvironment(scene, renderer) {
+        if (!this.environment) return;
+
+        const environmentMap = this.environment.filepath
+            ? await this.loadEquirectangularTexture(this.environment.filepath)
+            : await this.loadCubeTexture(this.environment.faces);
+        if (!environmentMap) return;
+
+        // The scene may have been unloaded while the environment map was loading
+        if (this.removed) {
+            environmentMap.dispose();
+            return;
+        }
+
+        this.environmentMap = environmentMap;
+
+        if (renderer) {
+            const generator = new THREE.PMREMGenerator(renderer);
+            this.environmentTarget = environmentMap.isCubeTexture
+                ? generator.fromCubemap(environmentMap)
+                : generator.fromEquirectangular(environmentMap);
+            generator.dispose();
+        }
+        scene.environment = this.environmentTarget?.texture ?? environmentMap;
+
+        if (this.environment.background) {
+            scene.background = environmentMap;
+            scene.backgroundBlurriness = this.environment.blurriness;
+        }
+    }
+
+    /**
+     * Gives the environment map to materials that do not use scene.environment (Phong, Lambert and basic
+     * materials), which reflect it according to their "reflectivity". Physically based materials are skipped.
+     * Should be called when the environment map has been loaded, and again when the materials are replaced.
+     * @param {Array<THREE.Material>} materials - The materials of the scene.
+     */
+    applyEnvironmentToMaterials(materials) {
+        for (const material of materials) {
+            if (material.isMeshStandardMaterial || material.envMap === undefined || material.reflectivity === undefined) continue;
+
+            if (material.envMap !== this.environmentMap) {
+                material.envMap = this.environmentMap;
+                // Adding or removing the environment map changes the shader program
+                material.needsUpdate = true;
+            }
+        }
+    }
+
+    /**
+     * Removes everything added by "applyToScene" (ambient light, fog and skybox) from the scene,
+     * disposing of the skybox GPU resources.
+     * @param {THREE.Scene} scene - The scene the globals were applied to.
+     */
+    removeFromScene(scene) {
+        this.removed = true;
+
+        if (scene.ambientLight) {
+            scene.remove(scene.ambientLight);
+            scene.ambientLight.dispose();
+            scene.ambientLight = null;
+        }
+
+        scene.fog = null;
+
+        if (this.skybox) {
+            scene.remove(this.skybox);
+            disposeSkybox(this.skybox);
+            this.skybox = null;
+        }
+
+        if (this.environmentMap) {
+            if (scene.background === this.environmentMap) {
+                scene.background = new THREE.Color(this.backgroundColor.r, this.backgroundColor.g, this.backgroundColor.b);
+                scene.backgroundBlurriness = 0;
+            }
+            scene.environment = null;
+
+            this.environmentMap.dispose();
+            this.environmentTarget?.dispose();
+            this.environmentMap = null;
+            this.environmentTarget = null;
+        }
+    }
+
     /**
      * Dynamically loads a texture from the specified path.
      * If the texture path is invalid or the loading fails, it returns null.
@@ -154,6 +323,67 @@ class MyGlobals {
             );
         });
     }
+
+    /**
+     * Loads the six faces of a cube environment map into a THREE.CubeTexture.
+     * @param {Array<String|null>} facePaths - The paths of the faces, in CUBE_FACES order.
+     * @returns {Promise<THREE.CubeTexture|null>} - The cube texture, or null if a face is missing or fails to load.
+     */
+    async loadCubeTexture(facePaths) {
+        const textures = await Promise.all(facePaths.map((path) => this.loadTexture(path)));
+
+        if (textures.some((texture) => !texture)) {
+            console.warn("Environment map needs the six cube faces. Environment not loaded.");
+            textures.forEach((texture) => texture?.dispose());
+            return null;
+        }
+
+        const cubeTexture = new THREE.CubeTexture(textures.map((texture) => texture.image));
+        cubeTexture.needsUpdate = true;
+        return cubeTexture;
+    }
+
+    /**
+     * Loads an equirectangular environment map from an HDR (.hdr) or OpenEXR (.exr) file.
+     * @param {String} texturePath - The path of the file.
+     * @returns {Promise<THREE.Texture|null>} - The texture, or null if the format is unsupported or loading fails.
+     */
+    loadEquirectangularTexture(texturePath) {
+        return new Promise((resolve) => {
+            const extension = texturePath.split(/[?#]/)[0].split(".").pop().toLowerCase();
+            if (extension !== "hdr" && extension !== "exr") {
+                console.warn(`Unsupported environment map '${texturePath}'. Expected .hdr or .exr.`);
+                resolve(null);
+                return;
+            }
+
+            const loader = this.environmentLoaders?.[extension] ?? (extension === "hdr" ? new RGBELoader() : new EXRLoader());
+            loader.load(
+                texturePath,
+                (texture) => {
+                    texture.mapping = THREE.EquirectangularReflectionMapping;
+                    resolve(texture);
+                },
+                undefined,
+                (err) => {
+                    console.error(`Failed to load environment map at path: ${texturePath}`, err);
+                    resolve(null);
+                }
+            );
+        });
+    }
+}
+
+/**
+ * Disposes of the geometry, materials and textures of a skybox mesh.
+ * @param {THREE.Mesh} skybox - The skybox mesh.
+ */
+function disposeSkybox(skybox) {
+    skybox.geometry.dispose();
+    skybox.material.forEach((material) => {
+        material.map?.dispose();
+        material.dispose();
+    });
 }
 
-export { MyGlobals }
+export { MyGlobals, FOG_TYPES }
@@ -1,6 +1,21 @@
 import * as THREE from 'three';
 import { MyValidationUtils } from '../utils/MyValidationUtils.js';
 
+// Controls moving a camera: OrbitControls, pointer lock flight (along the view direction) or walk
+// (on the horizontal plane) with WASD, TrackballControls, or none
+const CONTROLS_TYPES = ["orbit", "fly", "firstperson", "trackball", "fixed"];
+
+// Keys of the "cameras" block that hold settings instead of a camera
+const CAMERA_SETTINGS_KEYS = ["initial", "transition", "tours"];
+
+// Easing curves of the camera transitions and tours, mapping the progress in [0, 1] to the blend in [0, 1]
+const EASINGS = {
+    linear: (t) => t,
+    easein: (t) => t * t * t,
+    easeout: (t) => 1 - Math.pow(1 - t, 3),
+    easeinout: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(2 - 2 * t, 3) / 2)
+};
+
 class MyCamera {
     constructor(app, id, cameraData = {}) {
         // Reference to the MyApp instance
@@ -26,7 +41,7 @@ class MyCamera {
 
             this.camera = new THREE.PerspectiveCamera(
                 angle || 50,                            // Field of view
-                window.innerWidth / window.innerHeight, // Aspect ratio
+                getAspectRatio(),                       // Aspect ratio
                 near,                                   // Near clipping plane
                 far                                     // Far clipping plane
             );
@@ -49,12 +64,17 @@ class MyCamera {
                 near,       // Near clipping plane
                 far         // Far clipping plane
             );
+            this.camera.zoom = this.validator.validateZoom(cameraData.zoom);
+
+            // The declared frustum, which is widened or heightened to the aspect ratio of the window
+            this.camera.userData.frustum = { left: left, right: right, top: top, bottom: bottom };
+            updateCameraAspect(this.camera, getAspectRatio());
         } else {
             console.warn('Camera type not specified or unsupported. Defaulting to Perspective Camera.');
             // Perspective camera with default values
             this.camera = new THREE.PerspectiveCamera(
                 50,
-                window.innerWidth / window.innerHeight,
+                getAspectRatio(),
                 0.1,
                 2000
             );
@@ -73,18 +93,18 @@ class MyCamera {
         this.camera.target = new THREE.Vector3(targetX, targetY, targetZ);
         this.camera.lookAt(this.camera.target);
 
+        // Controls of the camera, created by MyCameraControls when it is first viewed
+        this.camera.userData.controls = parseControls(cameraData.controls, this.validator);
+
         // Add camera to MyApp's camera list
         this.app.cameras[id] = this.camera;
 
         console.log(`Camera '${id}' created with data:`, cameraData);
 
-        // Listen for resize events to update aspect ratio
-        window.addEventListener('resize', () => {
-            if (this.camera.isPerspectiveCamera) {
-                this.camera.aspect = window.innerWidth / window.innerHeight;
-                this.camera.updateProjectionMatrix();
-            }
-        });
+        // Listen for resize events to update aspect ratio (not available when running headless)
+        if (typeof window !== 'undefined') {
+            window.addEventListener('resize', () => updateCameraAspect(this.camera, getAspectRatio()));
+        }
     }
 
     /**
@@ -97,4 +117,139 @@ class MyCamera {
     }
 }
 
-export { MyCamera };
+/**
+ * Parses the "controls" block of a camera.
+ * Settings of other controls types are parsed too, but only the ones of its type are used.
+ * @param {Object} controlsData - The data regarding "controls" in a YASF camera.
+ * @param {MyValidationUtils} validator - The validator to parse the values with.
+ * @returns {Object} - The controls type and settings, with the angles in radians.
+ */
+function parseControls(controlsData, validator = new MyValidationUtils()) {
+    let type = controlsData?.type ?? "orbit";
+    if (!CONTROLS_TYPES.includes(type)) {
+        console.warn(`Invalid controls type '${type}'. Using 'orbit'.`);
+        type = "orbit";
+    }
+
+    return {
+        type: type,
+        // Orbit
+        minDistance: validator.toValidFloat(controlsData?.mindistance, 0),
+        maxDistance: validator.toValidFloat(controlsData?.maxdistance, Infinity),
+        damping: validator.parseBoolean(controlsData?.damping, false),
+        dampingFactor: validator.toValidFloat(controlsData?.dampingfactor, 0.05),
+        // Zoom of orthographic cameras with the mouse wheel (orbit, trackball, fly and first person)
+        minZoom: validator.toValidFloat(controlsData?.minzoom, 0),
+        maxZoom: validator.toValidFloat(controlsData?.maxzoom, Infinity),
+        // Orbit, fly and first person
+        minPolarAngle: THREE.MathUtils.degToRad(validator.toValidFloat(controlsData?.minpolarangle, 0)),
+        maxPolarAngle: THREE.MathUtils.degToRad(validator.toValidFloat(controlsData?.maxpolarangle, 180)),
+        // Fly and first person
+        movementSpeed: validator.toValidFloat(controlsData?.movementspeed, 5),
+        lookSpeed: validator.toValidFloat(controlsData?.lookspeed, 1),
+        // Trackball
+        rotateSpeed: validator.toValidFloat(controlsData?.rotatespeed, 1),
+        zoomSpeed: validator.toValidFloat(controlsData?.zoomspeed, 1.2),
+        panSpeed: validator.toValidFloat(controlsData?.panspeed, 0.3)
+    };
+}
+
+/**
+ * Parses the "transition" block of the cameras: how switching cameras in the GUI is animated.
+ * Without it, the duration is 0 and the switch is instant.
+ * @param {Object} transitionData - The data regarding "transition" in YASF cameras.
+ * @param {MyValidationUtils} validator - The validator to parse the values with.
+ * @returns {Object} - { duration, easing }, with the duration in seconds.
+ */
+function parseTransition(transitionData, validator = new MyValidationUtils()) {
+    return {
+        duration: Math.max(0, validator.toValidFloat(transitionData?.duration, transitionData ? 1 : 0)),
+        easing: parseEasing(transitionData?.easing)
+    };
+}
+
+/**
+ * Parses a camera tour: a path through waypoints that the active camera follows when the tour is played.
+ * @param {String} tourId - The id of the tour, for log messages.
+ * @param {Object} tourData - The data regarding the tour in YASF cameras "tours".
+ * @param {MyValidationUtils} validator - The validator to parse the values with.
+ * @returns {Object|null} - { duration, easing, loop, positions, targets }, with the locations and targets
+ * of the waypoints as THREE.CatmullRomCurve3 curves, or null if the tour has less than two waypoints.
+ */
+function parseTour(tourId, tourData, validator = new MyValidationUtils()) {
+    const waypoints = Array.isArray(tourData?.waypoints) ? tourData.waypoints : [];
+    if (waypoints.length < 2) {
+        console.warn(`Camera tour '${tourId}' needs at least two waypoints. Skipping tour.`);
+        return null;
+    }
+
+    const toVector = (value, defaultValue) => new THREE.Vector3(
+        validator.toValidFloat(value?.x, defaultValue),
+        validator.toValidFloat(value?.y, defaultValue),
+        validator.toValidFloat(value?.z, defaultValue)
+    );
+
+    // Looping tours go back to the first waypoint
+    const loop = validator.parseBoolean(tourData.loop, false);
+
+    return {
+        duration: Math.max(0.01, validator.toValidFloat(tourData.duration, 10)),
+        easing: parseEasing(tourData.easing, loop ? "linear" : "easeinout"),
+        loop: loop,
+        positions: new THREE.CatmullRomCurve3(waypoints.map((waypoint) => toVector(waypoint?.location, 10)), loop),
+        targets: new THREE.CatmullRomCurve3(waypoints.map((waypoint) => toVector(waypoint?.target, 0)), loop)
+    };
+}
+
+/**
+ * Parses the name of an easing curve.
+ * @param {String} easing - The name of the easing curve, one of EASINGS.
+ * @param {String} defaultEasing - The easing curve used when none is given.
+ * @returns {String} - The name of a valid easing curve.
+ */
+function parseEasing(easing, defaultEasing = "easeinout") {
+    if (easing === undefined) return defaultEasing;
+    if (!Object.prototype.hasOwnProperty.call(EASINGS, easing)) {
+        console.warn(`Invalid easing '${easing}'. Using '${defaultEasing}'.`);
+        return defaultEasing;
+    }
+    return easing;
+}
+
+/**
+ * Adapts a camera to the aspect ratio of the window. A perspective camera takes the aspect ratio, and the
+ * frustum declared for an orthographic camera is widened or heightened, so it is shown whole and not stretched.
+ * @param {THREE.Camera} camera - The camera.
+ * @param {Number} aspect - The aspect ratio (width / height) of the window.
+ */
+function updateCameraAspect(camera, aspect) {
+    if (camera.isPerspectiveCamera) {
+        camera.aspect = aspect;
+    } else if (camera.isOrthographicCamera && camera.userData.frustum) {
+        const { left, right, top, bottom } = camera.userData.frustum;
+        const frustumAspect = (right - left) / (top - bottom);
+
+        // Scaled about its center, so an off-center frustum stays where it was declared
+        const scaleX = Math.max(aspect / frustumAspect, 1);
+        const scaleY = Math.max(frustumAspect / aspect, 1);
+        const centerX = (left + right) / 2;
+        const centerY = (top + bottom) / 2;
+        camera.left = centerX + (left - centerX) * scaleX;
+        camera.right = centerX + (right - centerX) * scaleX;
+        camera.top = centerY + (top - centerY) * scaleY;
+        camera.bottom = centerY + (bottom - centerY) * scaleY;
+    }
+
+    camera.updateProjectionMatrix();
+}
+
+/**
+ * Gets the aspect ratio of the browser window, or 1 when there is no window (headless mode).
+ * @returns {Number} - The aspect ratio.
+ */
+function getAspectRatio() {
+    if (typeof window === 'undefined') return 1;
+    return window.innerWidth / window.innerHeight;
+}
+
+export { MyCamera, updateCameraAspect, CONTROLS_TYPES, CAMERA_SETTINGS_KEYS, EASINGS, parseControls, parseTransition, parseTour };
@@ -1,11 +1,28 @@
 import * as THREE from 'three';
 import { MyValidationUtils } from '../utils/MyValidationUtils.js';
+import { REPEATED_MAPS } from '../utils/MyPrimitiveUtils.js';
+
+// Material models of YASF and the THREE.js material class each one creates
+const MATERIAL_MODELS = {
+    phong: THREE.MeshPhongMaterial,
+    lambert: THREE.MeshLambertMaterial,
+    standard: THREE.MeshStandardMaterial,
+    physical: THREE.MeshPhysicalMaterial,
+    basic: THREE.MeshBasicMaterial,
+    toon: THREE.MeshToonMaterial
+};
 
 class MyMaterials {
     constructor(materialId, materialData = {}, textures = {}) {
         this.validator = new MyValidationUtils();
         this.materialId = materialId;
 
+        this.model = materialData.model ?? "phong";
+        if (!Object.prototype.hasOwnProperty.call(MATERIAL_MODELS, this.model)) {
+            console.warn(`Material '${materialId}' has invalid model '${this.model}'. Using 'phong'.`);
+            this.model = "phong";
+        }
+
         this.color = this.validator.parseColor(materialData.color || { r: 255, g: 255, b: 255 });
         this.specular = this.validator.parseColor(materialData.specular || { r: 255, g: 255, b: 255 });
         this.emissive = this.validator.parseColor(materialData.emissive || { r: 0, g: 0, b: 0 });
@@ -28,6 +45,36 @@ class MyMaterials {
 
         // Optional specular map
         this.specularref = this.getTexture(textures, materialData.specularref);
+
+        // Physically based settings ("standard" and "physical" models)
+        this.roughness = this.validator.toValidFloat(materialData.roughness, 1.0);
+        this.metalness = this.validator.toValidFloat(materialData.metalness, 0.0);
+        this.roughnessref = this.getTexture(textures, materialData.roughnessref);
+        this.metalnessref = this.getTexture(textures, materialData.metalnessref);
+
+        // Optional normal, ambient occlusion, emissive, displacement and alpha maps
+        this.normalref = this.getTexture(textures, materialData.normalref);
+        this.normalscale = this.validator.toValidFloat(materialData.normalscale, 1.0);
+        this.aoref = this.getTexture(textures, materialData.aoref);
+        this.aointensity = this.validator.toValidFloat(materialData.aointensity, 1.0);
+        this.emissiveref = this.getTexture(textures, materialData.emissiveref);
+        this.emissiveintensity = this.validator.toValidFloat(materialData.emissiveintensity, 1.0);
+        this.displacementref = this.getTexture(textures, materialData.displacementref);
+        this.displacementscale = this.validator.toValidFloat(materialData.displacementscale, 1.0);
+        this.displacementbias = this.validator.toValidFloat(materialData.displacementbias, 0.0);
+        this.alpharef = this.getTexture(textures, materialData.alpharef);
+
+        // Reflection of the environment map of the globals: "reflectivity" for the "phong", "lambert" and "basic"
+        // models (none by default), "envmapintensity" for the "standard" and "physical" models
+        this.reflectivity = this.validator.toValidFloat(materialData.reflectivity, 0.0);
+        this.envmapintensity = this.validator.toValidFloat(materialData.envmapintensity, 1.0);
+
+        // Clearcoat and transmission settings ("physical" model)
+        this.clearcoat = this.validator.toValidFloat(materialData.clearcoat, 0.0);
+        this.clearcoatroughness = this.validator.toValidFloat(materialData.clearcoatroughness, 0.0);
+        this.transmission = this.validator.toValidFloat(materialData.transmission, 0.0);
+        this.ior = this.validator.toValidFloat(materialData.ior, 1.5);
+        this.thickness = this.validator.toValidFloat(materialData.thickness, 0.0);
     }
 
     /**
@@ -37,7 +84,12 @@ class MyMaterials {
      * @returns {Promise<THREE.Texture|null>} - The texture or null if invalid.
      */
     async getTexture(textures, ref) {
-        if (!ref || !textures[ref]) return null;
+        if (!ref || ref === "null") return null;
+
+        if (!textures[ref]) {
+            console.warn(`Material '${this.materialId}' references undefined texture '${ref}'.`);
+            return null;
+        }
 
         // Ensure the texture is fully loaded (if it uses an async loader)
         return textures[ref] instanceof Promise
@@ -55,46 +107,77 @@ class MyMaterials {
 
     /**
      * Asynchronously creates and returns a THREE.Material based on this configuration.
+     * The THREE.js class depends on the model; settings the model does not have (e.g. shininess
+     * for "standard") are ignored.
      * @returns {Promise<THREE.Material>} - The created material.
      */
     async createThreeMaterialAsync() {
-        const mapTexture = await this.textureref;
-        const bumpTexture = await this.bumpref;
-        const specularTexture = await this.specularref;
-
         const materialConfig = {
             color: this.color,
             specular: this.specular,
             shininess: this.shininess,
             emissive: this.emissive,
+            emissiveIntensity: this.emissiveintensity,
             transparent: this.transparent,
             opacity: this.opacity,
             wireframe: this.wireframe,
             side: this.twosided ? THREE.DoubleSide : THREE.FrontSide,
-            map: mapTexture,
-            bumpMap: bumpTexture,
+            map: await this.textureref,
+            bumpMap: await this.bumpref,
             bumpScale: this.bumpscale,
-            specularMap: specularTexture,
-            flatShading: this.shading
+            specularMap: await this.specularref,
+            flatShading: this.shading,
+            roughness: this.roughness,
+            metalness: this.metalness,
+            roughnessMap: await this.roughnessref,
+            metalnessMap: await this.metalnessref,
+            normalMap: await this.normalref,
+            normalScale: new THREE.Vector2(this.normalscale, this.normalscale),
+            aoMap: await this.aoref,
+            aoMapIntensity: this.aointensity,
+            emissiveMap: await this.emissiveref,
+            displacementMap: await this.displacementref,
+            displacementScale: this.displacementscale,
+            displacementBias: this.displacementbias,
+            alphaMap: await this.alpharef,
+            reflectivity: this.reflectivity,
+            envMapIntensity: this.envmapintensity,
+            clearcoat: this.clearcoat,
+            clearcoatRoughness: this.clearcoatroughness,
+            transmission: this.transmission,
+            ior: this.ior,
+            thickness: this.thickness
         };
 
-        const material = new THREE.MeshPhongMaterial(materialConfig);
+        const material = new MATERIAL_MODELS[this.model]();
+
+        // Only set what the model supports, since THREE.js warns about unknown properties.
+        // The reflectivity of physical materials is derived from their IOR, so it is not set either.
+        for (const key in materialConfig) {
+            if (material[key] === undefined || (key === "reflectivity" && material.isMeshStandardMaterial)) {
+                delete materialConfig[key];
+            }
+        }
+        material.setValues(materialConfig);
 
         // Attach texlength_s and texlength_t to the material for later use
         material.texlength_s = this.texlength_s;
         material.texlength_t = this.texlength_t;
 
         // Apply texture repeat settings based on scale factors
-        if (material.map) {
-            material.map.wrapS = THREE.RepeatWrapping;
-            material.map.wrapT = THREE.RepeatWrapping;
+        for (const property of REPEATED_MAPS) {
+            const texture = material[property];
+            if (!texture) continue;
+
+            texture.wrapS = THREE.RepeatWrapping;
+            texture.wrapT = THREE.RepeatWrapping;
 
             // Set initial repeat to 1 (this will be adjusted later)
-            material.map.repeat.set(1, 1);
+            texture.repeat.set(1, 1);
         }
 
         return material;
     }
 }
 
-export { MyMaterials };
+export { MyMaterials, MATERIAL_MODELS };
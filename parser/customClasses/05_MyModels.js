@@ -0,0 +1,67 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
+import { MyValidationUtils } from '../utils/MyValidationUtils.js';
+import { getModelFormat } from '../utils/MyModelUtils.js';
+
+/**
+ * Class representing an external 3D asset used by "model" primitives.
+ * Handles loading of glTF (.gltf/.glb) and Wavefront OBJ (.obj) files.
+ */
+class MyModels {
+    /**
+     * Creates an instance of MyModels.
+     * @param {String} filepath - The path of the asset file.
+     */
+    constructor(filepath) {
+        this.validator = new MyValidationUtils();
+
+        this.filepath = this.validator.validateString(filepath);
+        this.format = getModelFormat(this.filepath);
+    }
+
+    /**
+     * Asynchronously loads the asset based on its file extension.
+     * @async
+     * @returns {Promise<THREE.Object3D|null>} - The root object of the loaded asset, or null if failed.
+     */
+    async loadModelAsync() {
+        if (!this.filepath || !this.format) {
+            console.warn(`Unsupported model file '${this.filepath}'. Expected .gltf, .glb or .obj.`);
+            return null;
+        }
+
+        try {
+            const model = this.format === "obj"
+                ? await new OBJLoader().loadAsync(this.filepath)
+                : (await new GLTFLoader().loadAsync(this.filepath)).scene;
+
+            model.name = this.filepath;
+            return model;
+        } catch (error) {
+            console.error(`Failed to load model at path: ${this.filepath}`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Disposes of the geometries, materials and textures of a loaded asset.
+     * @param {THREE.Object3D} model - The root object of the asset.
+     */
+    static dispose(model) {
+        model.traverse((child) => {
+            if (!child.isMesh) return;
+
+            child.geometry.dispose();
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+            for (const material of materials) {
+                for (const value of Object.values(material)) {
+                    if (value instanceof THREE.Texture) value.dispose();
+                }
+                material.dispose();
+            }
+        });
+    }
+}
+
+export { MyModels };
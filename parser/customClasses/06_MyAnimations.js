@@ -0,0 +1,351 @@
+import * as THREE from 'three';
+import { MyValidationUtils } from '../utils/MyValidationUtils.js';
+
+// Interpolation modes of the keyframe tracks
+const INTERPOLATIONS = {
+    linear: THREE.InterpolateLinear,
+    step: THREE.InterpolateDiscrete,
+    cubic: THREE.InterpolateSmooth
+};
+
+// Loop modes of the clips
+const LOOPS = {
+    repeat: THREE.LoopRepeat,
+    pingpong: THREE.LoopPingPong,
+    once: THREE.LoopOnce
+};
+
+// Animatable material and light properties: the THREE.js property and the kind of value
+const MATERIAL_PROPERTIES = {
+    "material.color": { property: "color", kind: "color" },
+    "material.emissive": { property: "emissive", kind: "color" },
+    "material.specular": { property: "specular", kind: "color" },
+    "material.opacity": { property: "opacity", kind: "number" },
+    "material.shininess": { property: "shininess", kind: "number" }
+};
+const LIGHT_PROPERTIES = {
+    "light.color": { property: "color", kind: "color" },
+    "light.intensity": { property: "intensity", kind: "number" },
+    "light.distance": { property: "distance", kind: "number" },
+    "light.decay": { property: "decay", kind: "number" },
+    "light.angle": { property: "angle", kind: "angle" },
+    "light.penumbra": { property: "penumbra", kind: "number" },
+    "light.position": { property: "position", kind: "vector" }
+};
+
+/**
+ * Class representing the "animations" block of YASF: named clips of keyframe tracks that animate
+ * the transformations of graph nodes and the properties of their materials and lights.
+ * The clips are played by a THREE.AnimationMixer, advanced by MyContents.update() on every frame.
+ */
+class MyAnimations {
+    /**
+     * Creates an instance of MyAnimations.
+     * @param {Object} animationsData - The data regarding "animations" in YASF.
+     */
+    constructor(animationsData = {}) {
+        this.validator = new MyValidationUtils();
+
+        this.clipsData = {};
+        for (const clipId in animationsData) {
+            const clipData = animationsData[clipId] || {};
+
+            this.clipsData[clipId] = {
+                autoplay: this.validator.parseBoolean(clipData.autoplay, true),
+                loop: LOOPS[clipData.loop] !== undefined ? clipData.loop : "repeat",
+                timescale: this.validator.toValidFloat(clipData.timescale, 1),
+                duration: this.validator.toValidFloat(clipData.duration, -1),
+                tracks: Array.isArray(clipData.tracks) ? clipData.tracks : []
+            };
+        }
+
+        this.mixer = null;
+        this.root = null;
+        this.actions = {};
+        // Materials copied for material tracks, by source material, disposed with the animations,
+        // and the materials they replaced on each mesh, restored with them
+        this.materialCopies = new Map();
+        this.originalMaterials = new Map();
+    }
+
+    /**
+     * Creates the clips for the parsed graph and starts the ones marked to play on load.
+     * @param {THREE.Object3D} root - The root node of the parsed graph.
+     */
+    build(root) {
+        this.root = root;
+        this.mixer = new THREE.AnimationMixer(root);
+
+        for (const clipId in this.clipsData) {
+            const clipData = this.clipsData[clipId];
+            const tracks = clipData.tracks.flatMap((trackData) => this.createTracks(clipId, trackData));
+
+            if (tracks.length === 0) {
+                console.warn(`Animation '${clipId}' has no valid tracks. Skipping animation.`);
+                continue;
+            }
+
+            const clip = new THREE.AnimationClip(clipId, clipData.duration, tracks);
+            const action = this.mixer.clipAction(clip);
+
+            action.setLoop(LOOPS[clipData.loop], Infinity);
+            action.clampWhenFinished = clipData.loop === "once";
+            action.timeScale = clipData.timescale;
+
+            this.actions[clipId] = action;
+
+            if (clipData.autoplay) {
+                action.play();
+            }
+        }
+
+        console.log("Animations created:", Object.keys(this.actions));
+    }
+
+    /**
+     * Creates the THREE.js keyframe tracks of a YASF track, for every instance of its target.
+     * @param {String} clipId - The id of the clip, for log messages.
+     * @param {Object} trackData - The YASF track data.
+     * @returns {Array<THREE.KeyframeTrack>} - The keyframe tracks.
+     */
+    createTracks(clipId, trackData) {
+        const property = trackData?.property;
+        const targetId = this.validator.validateString(trackData?.target);
+        const keyframes = Array.isArray(trackData?.keyframes) ? trackData.keyframes : [];
+
+        if (!targetId || keyframes.length === 0) {
+            console.warn(`Animation '${clipId}': invalid track ${JSON.stringify(trackData)}.`);
+            return [];
+        }
+
+        const interpolation = INTERPOLATIONS[trackData.interpolation] ?? THREE.InterpolateLinear;
+        const times = keyframes.map((keyframe) => this.validator.toValidFloat(keyframe?.time, 0));
+        const values = keyframes.map((keyframe) => keyframe?.value);
+
+        const isLightProperty = property in LIGHT_PROPERTIES;
+        const targets = findTargets(this.root, targetId, isLightProperty);
+        if (targets.length === 0) {
+            console.warn(`Animation '${clipId}' targets undefined ${isLightProperty ? "light" : "node"} '${targetId}'.`);
+            return [];
+        }
+
+        const tracks = [];
+        for (const target of targets) {
+            // Sheared nodes keep their exact matrix (see MyTransformUtils), which these tracks would not change
+            if (["translate", "rotate", "scale"].includes(property) && !target.matrixAutoUpdate) {
+                console.warn(`Animation '${clipId}': node '${targetId}' has sheared transforms, so its '${property}' cannot be animated.`);
+                return [];
+            }
+
+            if (property === "translate" || property === "scale") {
+                const defaultValue = property === "scale" ? 1 : 0;
+                tracks.push(new THREE.VectorKeyframeTrack(
+                    `${target.uuid}.${property === "scale" ? "scale" : "position"}`,
+                    times,
+                    values.flatMap((value) => this.toVector(value, defaultValue)),
+                    interpolation
+                ));
+            } else if (property === "rotate") {
+                // One track per axis, in radians, so turns of 360° or more are kept
+                for (const axis of ["x", "y", "z"]) {
+                    tracks.push(new THREE.NumberKeyframeTrack(
+                        `${target.uuid}.rotation[${axis}]`,
+                        times,
+                        values.map((value) => THREE.MathUtils.degToRad(this.validator.toValidFloat(value?.[axis], 0))),
+                        interpolation
+                    ));
+                }
+            } else if (isLightProperty) {
+                tracks.push(this.createPropertyTrack(`${target.uuid}`, LIGHT_PROPERTIES[property], times, values, interpolation));
+            } else if (property in MATERIAL_PROPERTIES) {
+                // Materials are shared between nodes, so the target gets its own copies to animate
+                for (const mesh of getAnimatedMeshes(target, this.materialCopies, this.originalMaterials)) {
+                    tracks.push(this.createPropertyTrack(`${mesh.uuid}.material`, MATERIAL_PROPERTIES[property], times, values, interpolation));
+                }
+            } else {
+                console.warn(`Animation '${clipId}': unsupported property '${property}'.`);
+                return [];
+            }
+        }
+
+        return tracks;
+    }
+
+    /**
+     * Creates the keyframe track of a material or light property.
+     * @param {String} objectPath - The track name of the object holding the property.
+     * @param {Object} propertyInfo - The THREE.js property name and the kind of value.
+     * @param {Array<Number>} times - The keyframe times, in seconds.
+     * @param {Array<*>} values - The YASF keyframe values.
+     * @param {Number} interpolation - The THREE.js interpolation mode.
+     * @returns {THREE.KeyframeTrack} - The keyframe track.
+     */
+    createPropertyTrack(objectPath, propertyInfo, times, values, interpolation) {
+        const name = `${objectPath}.${propertyInfo.property}`;
+
+        switch (propertyInfo.kind) {
+            case "color":
+                return new THREE.ColorKeyframeTrack(
+                    name,
+                    times,
+                    values.flatMap((value) => this.validator.parseColor(value).toArray()),
+                    interpolation
+                );
+            case "vector":
+                return new THREE.VectorKeyframeTrack(name, times, values.flatMap((value) => this.toVector(value, 0)), interpolation);
+            case "angle":
+                return new THREE.NumberKeyframeTrack(
+                    name,
+                    times,
+                    values.map((value) => THREE.MathUtils.degToRad(this.validator.toValidFloat(value, 0))),
+                    interpolation
+                );
+            default:
+                return new THREE.NumberKeyframeTrack(
+                    name,
+                    times,
+                    values.map((value) => this.validator.toValidFloat(value, 0)),
+                    interpolation
+                );
+        }
+    }
+
+    /**
+     * Converts a YASF vector to an array of components.
+     * @param {Object} value - The YASF vector ({ x, y, z }).
+     * @param {Number} defaultValue - The default value of each component.
+     * @returns {Array<Number>} - The [x, y, z] components.
+     */
+    toVector(value, defaultValue) {
+        return [
+            this.validator.toValidFloat(value?.x, defaultValue),
+            this.validator.toValidFloat(value?.y, defaultValue),
+            this.validator.toValidFloat(value?.z, defaultValue)
+        ];
+    }
+
+    /**
+     * Starts a clip from the beginning.
+     * @param {String} clipId - The id of the clip.
+     */
+    play(clipId) {
+        this.actions[clipId]?.reset().play();
+    }
+
+    /**
+     * Stops a clip, returning its targets to their state before the clip.
+     * @param {String} clipId - The id of the clip.
+     */
+    stop(clipId) {
+        this.actions[clipId]?.stop();
+    }
+
+    /**
+     * Checks if a clip is playing.
+     * @param {String} clipId - The id of the clip.
+     * @returns {Boolean} - True if the clip is playing.
+     */
+    isPlaying(clipId) {
+        return this.actions[clipId]?.isRunning() ?? false;
+    }
+
+    /**
+     * Gets the copies made of a material for the material tracks, so edits of the material
+     * can be passed on to them (see MyMaterialUtils).
+     * @param {THREE.Material} material - The source material.
+     * @returns {Array<THREE.Material>} - Its copies.
+     */
+    getMaterialCopies(material) {
+        return this.materialCopies.get(material) ?? [];
+    }
+
+    /**
+     * Advances the playing clips.
+     * @param {Number} delta - The time since the last update, in seconds.
+     */
+    update(delta) {
+        this.mixer?.update(delta);
+    }
+
+    /**
+     * Stops every clip and releases the mixer, giving the animated meshes their materials back.
+     * Used when the scene is unloaded or its animations are created again.
+     */
+    dispose() {
+        if (!this.mixer) return;
+
+        this.mixer.stopAllAction();
+        this.mixer.uncacheRoot(this.root);
+        this.mixer = null;
+        this.root = null;
+        this.actions = {};
+
+        this.originalMaterials.forEach((material, mesh) => { mesh.material = material; });
+        this.originalMaterials.clear();
+        this.materialCopies.forEach((copies) => copies.forEach((material) => material.dispose()));
+        this.materialCopies.clear();
+    }
+}
+
+/**
+ * Finds every instance of an animation target in the graph (nodes referenced more than once are cloned).
+ * @param {THREE.Object3D} root - The root node of the parsed graph.
+ * @param {String} targetId - The id of the node, primitive or light.
+ * @param {Boolean} isLight - Whether to find the lights with that id instead of the nodes.
+ * @returns {Array<THREE.Object3D>} - The instances of the target.
+ */
+function findTargets(root, targetId, isLight) {
+    const targets = [];
+
+    root.traverse((object) => {
+        // Lights share their id with the group that holds them
+        if (object.name === targetId && Boolean(object.isLight) === isLight) {
+            targets.push(object);
+        }
+    });
+
+    return targets;
+}
+
+/**
+ * Gets the meshes of a target, giving them their own copy of their material (one per target and
+ * material), so animating it does not affect other nodes that use the same material.
+ * @param {THREE.Object3D} target - The target node.
+ * @param {Map<THREE.Material, Array<THREE.Material>>} materialCopies - Collects the copies of each material.
+ * @param {Map<THREE.Mesh, THREE.Material>} originalMaterials - Collects the materials replaced on each mesh.
+ * @returns {Array<THREE.Mesh>} - The meshes whose material is animated.
+ */
+function getAnimatedMeshes(target, materialCopies, originalMaterials) {
+    const meshes = [];
+    const copies = new Map();
+
+    target.traverse((object) => {
+        if (!object.isMesh || Array.isArray(object.material)) return;
+
+        // Meshes animated by another track already have their own copy
+        if (originalMaterials.has(object)) {
+            meshes.push(object);
+            return;
+        }
+
+        const material = object.material;
+        if (!copies.has(material)) {
+            const copy = material.clone();
+            copy.texlength_s = material.texlength_s;
+            copy.texlength_t = material.texlength_t;
+            copies.set(material, copy);
+            if (!materialCopies.has(material)) {
+                materialCopies.set(material, []);
+            }
+            materialCopies.get(material).push(copy);
+        }
+
+        originalMaterials.set(object, material);
+        object.material = copies.get(material);
+        meshes.push(object);
+    });
+
+    return meshes;
+}
+
+export { MyAnimations };
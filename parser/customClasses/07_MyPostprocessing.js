@@ -0,0 +1,101 @@
+import * as THREE from 'three';
+import { MyValidationUtils } from '../utils/MyValidationUtils.js';
+
+// Tone mapping operators of the renderer, by YASF name
+const TONE_MAPPINGS = {
+    none: THREE.NoToneMapping,
+    linear: THREE.LinearToneMapping,
+    reinhard: THREE.ReinhardToneMapping,
+    cineon: THREE.CineonToneMapping,
+    aces: THREE.ACESFilmicToneMapping
+};
+
+// Anti-aliasing passes: none, FXAA (THREE.FXAAShader) or SMAA (SMAAPass)
+const ANTIALIAS_TYPES = ["none", "fxaa", "smaa"];
+
+/**
+ * Class representing the "postprocessing" block of YASF: the settings of the effects applied
+ * after the scene is rendered (see MyEffectComposer, which builds the passes from them).
+ * Each effect is enabled when its block is present, unless "enabled" is false; without the
+ * "postprocessing" block, the scene is rendered as it always was.
+ */
+class MyPostprocessing {
+    /**
+     * Creates an instance of MyPostprocessing.
+     * @param {Object} postprocessingData - The data regarding "postprocessing" in YASF.
+     */
+    constructor(postprocessingData = {}) {
+        this.validator = new MyValidationUtils();
+
+        // Screen space ambient occlusion
+        const ssaoData = postprocessingData.ssao;
+        this.ssao = {
+            enabled: this.validator.parseBoolean(ssaoData?.enabled, Boolean(ssaoData)),
+            kernelRadius: this.validator.toValidFloat(ssaoData?.kernelradius, 8),
+            minDistance: this.validator.toValidFloat(ssaoData?.mindistance, 0.005),
+            maxDistance: this.validator.toValidFloat(ssaoData?.maxdistance, 0.1)
+        };
+
+        // Bloom of the bright parts of the image (e.g. video screens and emissive materials)
+        const bloomData = postprocessingData.bloom;
+        this.bloom = {
+            enabled: this.validator.parseBoolean(bloomData?.enabled, Boolean(bloomData)),
+            strength: this.validator.toValidFloat(bloomData?.strength, 1),
+            radius: this.validator.toValidFloat(bloomData?.radius, 0.4),
+            threshold: this.validator.toValidFloat(bloomData?.threshold, 0.85)
+        };
+
+        // Outline of the selected mesh, replacing the edges drawn by MyPicker
+        const outlineData = postprocessingData.outline;
+        this.outline = {
+            enabled: this.validator.parseBoolean(outlineData?.enabled, Boolean(outlineData)),
+            color: this.validator.parseColor(outlineData?.color || { r: 255, g: 255, b: 0 }),
+            strength: this.validator.toValidFloat(outlineData?.strength, 3),
+            thickness: this.validator.toValidFloat(outlineData?.thickness, 1)
+        };
+
+        this.antialias = postprocessingData.antialias ?? "none";
+        if (!ANTIALIAS_TYPES.includes(this.antialias)) {
+            console.warn(`Invalid anti-aliasing '${this.antialias}'. Using 'none'.`);
+            this.antialias = "none";
+        }
+
+        // Tone mapping of the renderer, also applied without any effect enabled
+        const toneMappingData = postprocessingData.tonemapping;
+        this.toneMapping = {
+            type: toneMappingData?.type ?? "none",
+            exposure: this.validator.toValidFloat(toneMappingData?.exposure, 1)
+        };
+        if (!Object.prototype.hasOwnProperty.call(TONE_MAPPINGS, this.toneMapping.type)) {
+            console.warn(`Invalid tone mapping '${this.toneMapping.type}'. Using 'none'.`);
+            this.toneMapping.type = "none";
+        }
+
+        // Darkening of the corners of the image
+        const vignetteData = postprocessingData.vignette;
+        this.vignette = {
+            enabled: this.validator.parseBoolean(vignetteData?.enabled, Boolean(vignetteData)),
+            offset: this.validator.toValidFloat(vignetteData?.offset, 1),
+            darkness: this.validator.toValidFloat(vignetteData?.darkness, 1)
+        };
+    }
+
+    /**
+     * Checks if any effect is enabled, so the scene has to be rendered through the composer.
+     * @returns {Boolean} - True if at least one pass is enabled.
+     */
+    hasEffects() {
+        return this.ssao.enabled || this.bloom.enabled || this.outline.enabled
+            || this.vignette.enabled || this.antialias !== "none";
+    }
+
+    /**
+     * Gets the THREE.js tone mapping operator.
+     * @returns {Number} - The tone mapping constant (e.g. THREE.ACESFilmicToneMapping).
+     */
+    getToneMapping() {
+        return TONE_MAPPINGS[this.toneMapping.type];
+    }
+}
+
+export { MyPostprocessing, TONE_MAPPINGS, ANTIALIAS_TYPES };
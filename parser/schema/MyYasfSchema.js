@@ -0,0 +1,1105 @@
+/**
+ * Machine-readable description of the "Yet Another Scene Format" (YASF), used by MySceneValidator.
+ *
+ * The format is a small subset of JSON Schema:
+ *  - "type": "object" | "array" | "string" | "number" | "integer" | "boolean";
+ *  - "properties", "required" and "additionalProperties" (false, or a schema for any other key);
+ *  - "items", "minItems" and "maxItems" for arrays and "enum" for strings;
+ *  - "minimum", "maximum", "exclusiveMinimum" and "exclusiveMaximum" for numbers;
+ *  - "$ref": the name of an entry in "definitions".
+ *
+ * And four YASF-specific keywords:
+ *  - "reference": the value is an id that must exist in the named collection
+ *    ("textures", "materials", "cameras", "nodes", "lods", "children" or "lights");
+ *  - "nullable": null, or the string "null", may be used for "no reference";
+ *  - "discriminator": the schema is chosen by the value of the "type" property, from the mapping
+ *    of type names to definition names ("defaultType" is used when "type" is absent);
+ *  - "checks": names of cross-field checks implemented in MySceneValidator.
+ *
+ * The ranges mirror the ones enforced by MyValidationUtils, so a value reported as out of range
+ * is a value the parser would silently replace by its default.
+ */
+const YASF_SCHEMA = {
+    type: "object",
+    required: ["yasf"],
+    additionalProperties: false,
+    properties: {
+        yasf: {
+            type: "object",
+            required: ["graph"],
+            additionalProperties: false,
+            properties: {
+                globals: { $ref: "globals" },
+                cameras: { $ref: "cameras" },
+                textures: { type: "object", additionalProperties: { $ref: "texture" } },
+                materials: { type: "object", additionalProperties: { $ref: "material" } },
+                graph: { $ref: "graph" },
+                animations: { type: "object", additionalProperties: { $ref: "animation" } },
+                postprocessing: { $ref: "postprocessing" }
+            }
+        }
+    },
+
+    definitions: {
+        // ----- Common types -----
+        color: {
+            type: "object",
+            required: ["r", "g", "b"],
+            additionalProperties: false,
+            properties: {
+                r: { type: "number", minimum: 0, maximum: 255 },
+                g: { type: "number", minimum: 0, maximum: 255 },
+                b: { type: "number", minimum: 0, maximum: 255 }
+            }
+        },
+        vector2: {
+            type: "object",
+            required: ["x", "y"],
+            additionalProperties: false,
+            properties: {
+                x: { type: "number" },
+                y: { type: "number" }
+            }
+        },
+        vector3: {
+            type: "object",
+            required: ["x", "y", "z"],
+            additionalProperties: false,
+            properties: {
+                x: { type: "number" },
+                y: { type: "number" },
+                z: { type: "number" }
+            }
+        },
+        positiveVector3: {
+            type: "object",
+            required: ["x", "y", "z"],
+            additionalProperties: false,
+            properties: {
+                x: { type: "number", exclusiveMinimum: 0 },
+                y: { type: "number", exclusiveMinimum: 0 },
+                z: { type: "number", exclusiveMinimum: 0 }
+            }
+        },
+        quaternion: {
+            type: "object",
+            required: ["x", "y", "z", "w"],
+            additionalProperties: false,
+            properties: {
+                x: { type: "number" },
+                y: { type: "number" },
+                z: { type: "number" },
+                w: { type: "number" }
+            }
+        },
+        materialref: {
+            type: "object",
+            required: ["materialId"],
+            additionalProperties: false,
+            properties: {
+                materialId: { type: "string", reference: "materials" }
+            }
+        },
+
+        // ----- Globals -----
+        globals: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+                background: { $ref: "color" },
+                ambient: {
+                    type: "object",
+                    required: ["r", "g", "b"],
+                    additionalProperties: false,
+                    properties: {
+                        r: { type: "number", minimum: 0, maximum: 255 },
+                        g: { type: "number", minimum: 0, maximum: 255 },
+                        b: { type: "number", minimum: 0, maximum: 255 },
+                        intensity: { type: "number", minimum: 0 }
+                    }
+                },
+                fog: {
+                    type: "object",
+                    additionalProperties: false,
+                    checks: ["nearLessThanFar"],
+                    properties: {
+                        type: { type: "string", enum: ["linear", "exp2", "none"] },
+                        color: { $ref: "color" },
+                        near: { type: "number", minimum: 0 },
+                        far: { type: "number", exclusiveMinimum: 0 },
+                        density: { type: "number", minimum: 0 }
+                    }
+                },
+                skybox: {
+                    type: "object",
+                    additionalProperties: false,
+                    properties: {
+                        size: { $ref: "positiveVector3" },
+                        center: { $ref: "vector3" },
+                        emissive: { $ref: "color" },
+                        intensity: { type: "number", minimum: 0 },
+                        front: { type: "string" },
+                        back: { type: "string" },
+                        up: { type: "string" },
+                        down: { type: "string" },
+                        left: { type: "string" },
+                        right: { type: "string" }
+                    }
+                },
+                environment: {
+                    type: "object",
+                    additionalProperties: false,
+                    checks: ["environmentSource"],
+                    properties: {
+                        filepath: { type: "string" },
+                        front: { type: "string" },
+                        back: { type: "string" },
+                        up: { type: "string" },
+                        down: { type: "string" },
+                        left: { type: "string" },
+                        right: { type: "string" },
+                        background: { type: "boolean" },
+                        blurriness: { type: "number", minimum: 0, maximum: 1 }
+                    }
+                }
+            }
+        },
+
+        // ----- Cameras -----
+        cameras: {
+            type: "object",
+            properties: {
+                initial: { type: "string", reference: "cameras" },
+                transition: { $ref: "cameraTransition" },
+                tours: { type: "object", additionalProperties: { $ref: "cameraTour" } }
+            },
+            additionalProperties: { $ref: "camera" }
+        },
+        cameraTransition: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+                duration: { type: "number", minimum: 0 },
+                easing: { $ref: "easing" }
+            }
+        },
+        cameraTour: {
+            type: "object",
+            required: ["waypoints"],
+            additionalProperties: false,
+            properties: {
+                duration: { type: "number", exclusiveMinimum: 0 },
+                easing: { $ref: "easing" },
+                loop: { type: "boolean" },
+                waypoints: {
+                    type: "array",
+                    minItems: 2,
+                    items: {
+                        type: "object",
+                        required: ["location", "target"],
+                        additionalProperties: false,
+                        properties: {
+                            location: { $ref: "vector3" },
+                            target: { $ref: "vector3" }
+                        }
+                    }
+                }
+            }
+        },
+        easing: { type: "string", enum: ["linear", "easein", "easeout", "easeinout"] },
+        camera: {
+            defaultType: "perspective",
+            discriminator: {
+                perspective: "perspectiveCamera",
+                orthogonal: "orthogonalCamera"
+            }
+        },
+        perspectiveCamera: {
+            type: "object",
+            additionalProperties: false,
+            checks: ["nearLessThanFar"],
+            properties: {
+                type: { type: "string" },
+                angle: { type: "number", exclusiveMinimum: 0, exclusiveMaximum: 90 },
+                near: { type: "number", minimum: 0 },
+                far: { type: "number", exclusiveMinimum: 0 },
+                location: { $ref: "vector3" },
+                target: { $ref: "vector3" },
+                controls: { $ref: "cameraControls" }
+            }
+        },
+        orthogonalCamera: {
+            type: "object",
+            additionalProperties: false,
+            checks: ["nearLessThanFar", "orthographicBounds"],
+            properties: {
+                type: { type: "string" },
+                near: { type: "number", minimum: 0 },
+                far: { type: "number", exclusiveMinimum: 0 },
+                location: { $ref: "vector3" },
+                target: { $ref: "vector3" },
+                left: { type: "number" },
+                right: { type: "number" },
+                bottom: { type: "number" },
+                top: { type: "number" },
+                zoom: { type: "number", exclusiveMinimum: 0 },
+                controls: { $ref: "cameraControls" }
+            }
+        },
+        cameraControls: {
+            defaultType: "orbit",
+            discriminator: {
+                orbit: "orbitControls",
+                fly: "pointerLockControls",
+                firstperson: "pointerLockControls",
+                trackball: "trackballControls",
+                fixed: "fixedControls"
+            }
+        },
+        orbitControls: {
+            type: "object",
+            additionalProperties: false,
+            checks: ["controlsLimits"],
+            properties: {
+                type: { type: "string" },
+                mindistance: { type: "number", minimum: 0 },
+                maxdistance: { type: "number", exclusiveMinimum: 0 },
+                minpolarangle: { type: "number", minimum: 0, maximum: 180 },
+                maxpolarangle: { type: "number", minimum: 0, maximum: 180 },
+                damping: { type: "boolean" },
+                dampingfactor: { type: "number", exclusiveMinimum: 0, maximum: 1 },
+                minzoom: { type: "number", minimum: 0 },
+                maxzoom: { type: "number", exclusiveMinimum: 0 }
+            }
+        },
+        pointerLockControls: {
+            type: "object",
+            additionalProperties: false,
+            checks: ["controlsLimits"],
+            properties: {
+                type: { type: "string" },
+                minpolarangle: { type: "number", minimum: 0, maximum: 180 },
+                maxpolarangle: { type: "number", minimum: 0, maximum: 180 },
+                movementspeed: { type: "number", exclusiveMinimum: 0 },
+                lookspeed: { type: "number", exclusiveMinimum: 0 },
+                minzoom: { type: "number", minimum: 0 },
+                maxzoom: { type: "number", exclusiveMinimum: 0 }
+            }
+        },
+        trackballControls: {
+            type: "object",
+            additionalProperties: false,
+            checks: ["controlsLimits"],
+            properties: {
+                type: { type: "string" },
+                rotatespeed: { type: "number", exclusiveMinimum: 0 },
+                zoomspeed: { type: "number", exclusiveMinimum: 0 },
+                panspeed: { type: "number", exclusiveMinimum: 0 },
+                minzoom: { type: "number", minimum: 0 },
+                maxzoom: { type: "number", exclusiveMinimum: 0 }
+            }
+        },
+        fixedControls: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+                type: { type: "string" }
+            }
+        },
+
+        // ----- Textures and materials -----
+        texture: {
+            type: "object",
+            required: ["filepath"],
+            additionalProperties: false,
+            properties: {
+                filepath: { type: "string" },
+                isVideo: { type: "boolean" },
+                mipmap0: { type: "string" },
+                mipmap1: { type: "string" },
+                mipmap2: { type: "string" },
+                mipmap3: { type: "string" },
+                mipmap4: { type: "string" },
+                mipmap5: { type: "string" },
+                mipmap6: { type: "string" },
+                mipmap7: { type: "string" }
+            }
+        },
+        material: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+                model: { type: "string", enum: ["phong", "lambert", "standard", "physical", "basic", "toon"] },
+                color: { $ref: "color" },
+                specular: { $ref: "color" },
+                emissive: { $ref: "color" },
+                shininess: { type: "number", minimum: 0 },
+                transparent: { type: "boolean" },
+                opacity: { type: "number", minimum: 0, maximum: 1 },
+                wireframe: { type: "boolean" },
+                shading: { type: "boolean" },
+                twosided: { type: "boolean" },
+                textureref: { type: "string", reference: "textures", nullable: true },
+                texlength_s: { type: "number", exclusiveMinimum: 0 },
+                texlength_t: { type: "number", exclusiveMinimum: 0 },
+                bumpref: { type: "string", reference: "textures", nullable: true },
+                bumpscale: { type: "number" },
+                specularref: { type: "string", reference: "textures", nullable: true },
+                roughness: { type: "number", minimum: 0, maximum: 1 },
+                metalness: { type: "number", minimum: 0, maximum: 1 },
+                roughnessref: { type: "string", reference: "textures", nullable: true },
+                metalnessref: { type: "string", reference: "textures", nullable: true },
+                normalref: { type: "string", reference: "textures", nullable: true },
+                normalscale: { type: "number" },
+                aoref: { type: "string", reference: "textures", nullable: true },
+                aointensity: { type: "number", minimum: 0 },
+                emissiveref: { type: "string", reference: "textures", nullable: true },
+                emissiveintensity: { type: "number", minimum: 0 },
+                displacementref: { type: "string", reference: "textures", nullable: true },
+                displacementscale: { type: "number" },
+                displacementbias: { type: "number" },
+                alpharef: { type: "string", reference: "textures", nullable: true },
+                reflectivity: { type: "number", minimum: 0, maximum: 1 },
+                envmapintensity: { type: "number", minimum: 0 },
+                clearcoat: { type: "number", minimum: 0, maximum: 1 },
+                clearcoatroughness: { type: "number", minimum: 0, maximum: 1 },
+                transmission: { type: "number", minimum: 0, maximum: 1 },
+                ior: { type: "number", minimum: 1, maximum: 2.333 },
+                thickness: { type: "number", minimum: 0 }
+            },
+            checks: ["materialModelProperties"]
+        },
+
+        // ----- Graph -----
+        graph: {
+            type: "object",
+            required: ["rootid"],
+            properties: {
+                rootid: { type: "string", reference: "nodes" }
+            },
+            additionalProperties: { $ref: "graphEntry" }
+        },
+        graphEntry: {
+            discriminator: {
+                node: "node",
+                lod: "lod"
+            }
+        },
+        transform: {
+            discriminator: {
+                translate: "translateTransform",
+                rotate: "rotateTransform",
+                scale: "scaleTransform",
+                quaternion: "quaternionTransform",
+                matrix: "matrixTransform"
+            }
+        },
+        translateTransform: {
+            type: "object",
+            required: ["amount"],
+            additionalProperties: false,
+            properties: {
+                type: { type: "string" },
+                amount: { $ref: "vector3" }
+            }
+        },
+        rotateTransform: {
+            type: "object",
+            required: ["amount"],
+            additionalProperties: false,
+            properties: {
+                type: { type: "string" },
+                amount: { $ref: "vector3" }
+            }
+        },
+        scaleTransform: {
+            type: "object",
+            required: ["amount"],
+            additionalProperties: false,
+            properties: {
+                type: { type: "string" },
+                amount: { $ref: "vector3" }
+            }
+        },
+        quaternionTransform: {
+            type: "object",
+            required: ["amount"],
+            additionalProperties: false,
+            checks: ["nonZeroQuaternion"],
+            properties: {
+                type: { type: "string" },
+                amount: { $ref: "quaternion" }
+            }
+        },
+        matrixTransform: {
+            type: "object",
+            required: ["amount"],
+            additionalProperties: false,
+            properties: {
+                type: { type: "string" },
+                // 4x4 matrix, row-major
+                amount: { type: "array", minItems: 16, maxItems: 16, items: { type: "number" } }
+            }
+        },
+        node: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+                type: { type: "string" },
+                transforms: { type: "array", items: { $ref: "transform" } },
+                materialref: { $ref: "materialref" },
+                castshadow: { type: "boolean" },
+                receiveshadow: { type: "boolean" },
+                children: { $ref: "children" }
+            }
+        },
+        lod: {
+            type: "object",
+            required: ["lodNodes"],
+            additionalProperties: false,
+            properties: {
+                type: { type: "string" },
+                transforms: { type: "array", items: { $ref: "transform" } },
+                materialref: { $ref: "materialref" },
+                lodNodes: {
+                    type: "array",
+                    minItems: 1,
+                    items: {
+                        type: "object",
+                        required: ["nodeId", "mindist"],
+                        additionalProperties: false,
+                        properties: {
+                            nodeId: { type: "string", reference: "nodes" },
+                            mindist: { type: "number", minimum: 0 }
+                        }
+                    }
+                }
+            }
+        },
+        children: {
+            type: "object",
+            properties: {
+                nodesList: { type: "array", items: { type: "string", reference: "nodes" } },
+                lodsList: { type: "array", items: { type: "string", reference: "lods" } }
+            },
+            additionalProperties: { $ref: "child" }
+        },
+        child: {
+            discriminator: {
+                noderef: "noderef",
+                lod: "lod",
+                rectangle: "rectangle",
+                triangle: "triangle",
+                box: "box",
+                cylinder: "cylinder",
+                cone: "cone",
+                sphere: "sphere",
+                torus: "torus",
+                torusknot: "torusknot",
+                ring: "ring",
+                disk: "disk",
+                capsule: "capsule",
+                nurbs: "nurbs",
+                nurbscurve: "nurbscurve",
+                tube: "tube",
+                shape: "shape",
+                extrude: "extrude",
+                lathe: "lathe",
+                mesh: "mesh",
+                text: "text",
+                sprite: "sprite",
+                billboard: "billboard",
+                polygon: "polygon",
+                model: "model",
+                pointlight: "pointlight",
+                spotlight: "spotlight",
+                directionallight: "directionallight"
+            }
+        },
+        noderef: {
+            type: "object",
+            required: ["nodeId"],
+            additionalProperties: false,
+            properties: {
+                type: { type: "string" },
+                nodeId: { type: "string", reference: "nodes" }
+            }
+        },
+
+        // ----- Primitives -----
+        rectangle: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+                type: { type: "string" },
+                xy1: { $ref: "vector2" },
+                xy2: { $ref: "vector2" }
+            }
+        },
+        triangle: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+                type: { type: "string" },
+                xyz1: { $ref: "vector3" },
+                xyz2: { $ref: "vector3" },
+                xyz3: { $ref: "vector3" }
+            }
+        },
+        box: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+                type: { type: "string" },
+                xyz1: { $ref: "vector3" },
+                xyz2: { $ref: "vector3" },
+                parts_x: { type: "integer", minimum: 1 },
+                parts_y: { type: "integer", minimum: 1 },
+                parts_z: { type: "integer", minimum: 1 }
+            }
+        },
+        cylinder: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+                type: { type: "string" },
+                base: { type: "number", minimum: 0 },
+                top: { type: "number", minimum: 0 },
+                height: { type: "number", exclusiveMinimum: 0 },
+                slices: { type: "integer", minimum: 3 },
+                stacks: { type: "integer", minimum: 1 },
+                // Leaves both caps open when true
+                capsclose: { type: "boolean" },
+                // Draw or leave out each cap, regardless of capsclose
+                captop: { type: "boolean" },
+                capbottom: { type: "boolean" },
+                thetastart: { type: "number", minimum: -360, maximum: 360 },
+                thetalength: { type: "number", minimum: -360, maximum: 360 },
+                // Former names of thetastart and thetalength
+                thetaStart: { type: "number", minimum: -360, maximum: 360 },
+                thetaLength: { type: "number", minimum: -360, maximum: 360 }
+            }
+        },
+        cone: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+                type: { type: "string" },
+                radius: { type: "number", exclusiveMinimum: 0 },
+                height: { type: "number", exclusiveMinimum: 0 },
+                slices: { type: "integer", minimum: 3 },
+                stacks: { type: "integer", minimum: 1 },
+                capsclose: { type: "boolean" },
+                capbottom: { type: "boolean" },
+                thetastart: { type: "number", minimum: -360, maximum: 360 },
+                thetalength: { type: "number", minimum: -360, maximum: 360 }
+            }
+        },
+        sphere: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+                type: { type: "string" },
+                radius: { type: "number", exclusiveMinimum: 0 },
+                slices: { type: "integer", minimum: 3 },
+                stacks: { type: "integer", minimum: 2 },
+                thetastart: { type: "number", minimum: -360, maximum: 360 },
+                thetalength: { type: "number", minimum: -360, maximum: 360 },
+                phistart: { type: "number", minimum: -360, maximum: 360 },
+                philength: { type: "number", minimum: -360, maximum: 360 }
+            }
+        },
+        torus: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+                type: { type: "string" },
+                radius: { type: "number", exclusiveMinimum: 0 },
+                tube: { type: "number", exclusiveMinimum: 0 },
+                slices: { type: "integer", minimum: 3 },
+                stacks: { type: "integer", minimum: 3 },
+                arc: { type: "number", minimum: -360, maximum: 360 }
+            }
+        },
+        torusknot: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+                type: { type: "string" },
+                radius: { type: "number", exclusiveMinimum: 0 },
+                tube: { type: "number", exclusiveMinimum: 0 },
+                slices: { type: "integer", minimum: 3 },
+                stacks: { type: "integer", minimum: 3 },
+                p: { type: "integer", minimum: 1 },
+                q: { type: "integer", minimum: 1 }
+            }
+        },
+        ring: {
+            type: "object",
+            additionalProperties: false,
+            checks: ["ringRadii"],
+            properties: {
+                type: { type: "string" },
+                innerradius: { type: "number", minimum: 0 },
+                outerradius: { type: "number", exclusiveMinimum: 0 },
+                slices: { type: "integer", minimum: 3 },
+                stacks: { type: "integer", minimum: 1 },
+                thetastart: { type: "number", minimum: -360, maximum: 360 },
+                thetalength: { type: "number", minimum: -360, maximum: 360 }
+            }
+        },
+        disk: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+                type: { type: "string" },
+                radius: { type: "number", exclusiveMinimum: 0 },
+                slices: { type: "integer", minimum: 3 },
+                stacks: { type: "integer", minimum: 1 },
+                thetastart: { type: "number", minimum: -360, maximum: 360 },
+                thetalength: { type: "number", minimum: -360, maximum: 360 }
+            }
+        },
+        capsule: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+                type: { type: "string" },
+                radius: { type: "number", exclusiveMinimum: 0 },
+                // Length of the straight part, between the hemispheres
+                length: { type: "number", minimum: 0 },
+                slices: { type: "integer", minimum: 3 },
+                stacks: { type: "integer", minimum: 1 }
+            }
+        },
+        nurbs: {
+            type: "object",
+            required: ["controlpoints"],
+            additionalProperties: false,
+            checks: ["nurbsControlPointCount"],
+            properties: {
+                type: { type: "string" },
+                degree_u: { type: "integer", minimum: 1 },
+                degree_v: { type: "integer", minimum: 1 },
+                // Degree plus one, instead of the degree
+                order_u: { type: "integer", minimum: 2 },
+                order_v: { type: "integer", minimum: 2 },
+                // Other spelling of order_u and order_v
+                orderU: { type: "integer", minimum: 2 },
+                orderV: { type: "integer", minimum: 2 },
+                // Size of the grid of control points, when it is larger than a single patch
+                points_u: { type: "integer", minimum: 2 },
+                points_v: { type: "integer", minimum: 2 },
+                knots_u: { $ref: "knots" },
+                knots_v: { $ref: "knots" },
+                parts_u: { type: "integer", minimum: 1 },
+                parts_v: { type: "integer", minimum: 1 },
+                controlpoints: { type: "array", items: { $ref: "controlPoint" } },
+                // Trimming loops, in the (u, v) parameter space of the surface
+                trims: { type: "array", items: { $ref: "trimCurve" } }
+            }
+        },
+        nurbscurve: {
+            type: "object",
+            required: ["controlpoints"],
+            additionalProperties: false,
+            checks: ["nurbsCurveKnots"],
+            properties: {
+                type: { type: "string" },
+                degree: { type: "integer", minimum: 1 },
+                order: { type: "integer", minimum: 2 },
+                knots: { $ref: "knots" },
+                parts: { type: "integer", minimum: 1 },
+                controlpoints: { type: "array", minItems: 2, items: { $ref: "controlPoint" } }
+            }
+        },
+        tube: {
+            type: "object",
+            required: ["controlpoints"],
+            additionalProperties: false,
+            checks: ["nurbsCurveKnots"],
+            properties: {
+                type: { type: "string" },
+                degree: { type: "integer", minimum: 1 },
+                order: { type: "integer", minimum: 2 },
+                knots: { $ref: "knots" },
+                controlpoints: { type: "array", minItems: 2, items: { $ref: "controlPoint" } },
+                radius: { type: "number", exclusiveMinimum: 0 },
+                slices: { type: "integer", minimum: 3 },
+                stacks: { type: "integer", minimum: 1 },
+                closed: { type: "boolean" }
+            }
+        },
+        shape: {
+            type: "object",
+            required: ["points"],
+            additionalProperties: false,
+            properties: {
+                type: { type: "string" },
+                points: { $ref: "outline" },
+                holes: { type: "array", items: { $ref: "outline" } }
+            }
+        },
+        extrude: {
+            type: "object",
+            required: ["points"],
+            additionalProperties: false,
+            properties: {
+                type: { type: "string" },
+                points: { $ref: "outline" },
+                holes: { type: "array", items: { $ref: "outline" } },
+                depth: { type: "number", exclusiveMinimum: 0 },
+                steps: { type: "integer", minimum: 1 },
+                bevel: { $ref: "bevel" },
+                // NURBS curve the outline is swept along, instead of the depth
+                path: {
+                    type: "object",
+                    required: ["controlpoints"],
+                    additionalProperties: false,
+                    checks: ["nurbsCurveKnots"],
+                    properties: {
+                        degree: { type: "integer", minimum: 1 },
+                        order: { type: "integer", minimum: 2 },
+                        knots: { $ref: "knots" },
+                        controlpoints: { type: "array", minItems: 2, items: { $ref: "controlPoint" } }
+                    }
+                }
+            }
+        },
+        lathe: {
+            type: "object",
+            required: ["points"],
+            additionalProperties: false,
+            properties: {
+                type: { type: "string" },
+                // Profile: x is the distance to the axis, y the height along it
+                points: { type: "array", minItems: 2, items: { $ref: "vector2" } },
+                slices: { type: "integer", minimum: 1 },
+                phistart: { type: "number", minimum: -360, maximum: 360 },
+                philength: { type: "number", minimum: -360, maximum: 360 },
+                axis: { type: "string", enum: ["x", "y", "z"] }
+            }
+        },
+        mesh: {
+            type: "object",
+            additionalProperties: false,
+            checks: ["meshArrays"],
+            properties: {
+                type: { type: "string" },
+                // x, y, z of each vertex
+                positions: { type: "array", items: { type: "number" } },
+                normals: { type: "array", items: { type: "number" } },
+                uvs: { type: "array", items: { type: "number" } },
+                // r, g, b of each vertex, from 0 to 1
+                colors: { type: "array", items: { type: "number", minimum: 0, maximum: 1 } },
+                // Three vertices for each triangle
+                indices: { type: "array", items: { type: "integer", minimum: 0 } },
+                // Binary file holding the arrays instead
+                buffer: {
+                    type: "object",
+                    required: ["filepath", "positions"],
+                    additionalProperties: false,
+                    properties: {
+                        filepath: { type: "string" },
+                        positions: { $ref: "bufferView" },
+                        normals: { $ref: "bufferView" },
+                        uvs: { $ref: "bufferView" },
+                        colors: { $ref: "bufferView" },
+                        indices: {
+                            type: "object",
+                            required: ["count"],
+                            additionalProperties: false,
+                            properties: {
+                                offset: { type: "integer", minimum: 0 },
+                                count: { type: "integer", minimum: 1 },
+                                format: { type: "string", enum: ["uint16", "uint32"] }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        text: {
+            type: "object",
+            required: ["text"],
+            additionalProperties: false,
+            checks: ["textFont"],
+            properties: {
+                type: { type: "string" },
+                text: { type: "string" },
+                // Typeface font (.json) of the geometry
+                font: { type: "string" },
+                // CSS font family of the canvas texture
+                fontfamily: { type: "string" },
+                render: { type: "string", enum: ["geometry", "canvas"] },
+                size: { type: "number", exclusiveMinimum: 0 },
+                depth: { type: "number", minimum: 0 },
+                bevel: { $ref: "bevel" },
+                align: { type: "string", enum: ["left", "center", "right"] }
+            }
+        },
+        sprite: { $ref: "spriteSize" },
+        billboard: { $ref: "spriteSize" },
+        spriteSize: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+                type: { type: "string" },
+                width: { type: "number", exclusiveMinimum: 0 },
+                height: { type: "number", exclusiveMinimum: 0 },
+                units: { type: "string", enum: ["world", "pixels"] }
+            }
+        },
+        bevel: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+                thickness: { type: "number", minimum: 0 },
+                size: { type: "number" },
+                offset: { type: "number" },
+                segments: { type: "integer", minimum: 1 }
+            }
+        },
+        // Array of 32-bit floats in a binary buffer: byte offset and number of vertices
+        bufferView: {
+            type: "object",
+            required: ["count"],
+            additionalProperties: false,
+            properties: {
+                offset: { type: "integer", minimum: 0 },
+                count: { type: "integer", minimum: 1 }
+            }
+        },
+        // 2D outline of a shape or of one of its holes
+        outline: { type: "array", minItems: 3, items: { $ref: "vector2" } },
+        // Control point of a NURBS, with its weight
+        controlPoint: {
+            type: "object",
+            required: ["x", "y", "z"],
+            additionalProperties: false,
+            properties: {
+                x: { type: "number" },
+                y: { type: "number" },
+                z: { type: "number" },
+                w: { type: "number", exclusiveMinimum: 0 }
+            }
+        },
+        knots: { type: "array", items: { type: "number" } },
+        // NURBS curve in the (u, v) parameter space of a surface, from 0 to 1, closed into a loop
+        trimCurve: {
+            type: "object",
+            required: ["controlpoints"],
+            additionalProperties: false,
+            checks: ["nurbsCurveKnots"],
+            properties: {
+                degree: { type: "integer", minimum: 1 },
+                order: { type: "integer", minimum: 2 },
+                knots: { $ref: "knots" },
+                parts: { type: "integer", minimum: 2 },
+                keep: { type: "string", enum: ["inside", "outside"] },
+                controlpoints: {
+                    type: "array",
+                    minItems: 2,
+                    items: {
+                        type: "object",
+                        required: ["x", "y"],
+                        additionalProperties: false,
+                        properties: {
+                            x: { type: "number", minimum: 0, maximum: 1 },
+                            y: { type: "number", minimum: 0, maximum: 1 },
+                            w: { type: "number", exclusiveMinimum: 0 }
+                        }
+                    }
+                }
+            }
+        },
+        polygon: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+                type: { type: "string" },
+                radius: { type: "number", exclusiveMinimum: 0 },
+                stacks: { type: "integer", minimum: 1 },
+                slices: { type: "integer", minimum: 3 },
+                color_c: { $ref: "color" },
+                color_p: { $ref: "color" }
+            }
+        },
+        model: {
+            type: "object",
+            required: ["filepath"],
+            additionalProperties: false,
+            checks: ["modelFileFormat"],
+            properties: {
+                type: { type: "string" },
+                // .gltf, .glb or .obj file
+                filepath: { type: "string" },
+                // Name of a single object of the asset to use instead of the whole asset
+                subnode: { type: "string" },
+                materialref: { $ref: "materialref" },
+                keepmaterials: { type: "boolean" }
+            }
+        },
+
+        // ----- Lights -----
+        pointlight: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+                type: { type: "string" },
+                enabled: { type: "boolean" },
+                color: { $ref: "color" },
+                intensity: { type: "number", minimum: 0 },
+                distance: { type: "number", minimum: 0 },
+                decay: { type: "number", minimum: 0, maximum: 2 },
+                castshadow: { type: "boolean" },
+                shadowmapsize: { type: "integer", exclusiveMinimum: 0 },
+                position: { $ref: "vector3" }
+            }
+        },
+        spotlight: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+                type: { type: "string" },
+                enabled: { type: "boolean" },
+                color: { $ref: "color" },
+                intensity: { type: "number", minimum: 0 },
+                distance: { type: "number", minimum: 0 },
+                angle: { type: "number", exclusiveMinimum: 0, exclusiveMaximum: 180 },
+                penumbra: { type: "number", minimum: 0, maximum: 1 },
+                decay: { type: "number", minimum: 0, maximum: 2 },
+                castshadow: { type: "boolean" },
+                shadowmapsize: { type: "integer", exclusiveMinimum: 0 },
+                position: { $ref: "vector3" },
+                target: { $ref: "vector3" }
+            }
+        },
+        directionallight: {
+            type: "object",
+            additionalProperties: false,
+            checks: ["shadowBounds"],
+            properties: {
+                type: { type: "string" },
+                enabled: { type: "boolean" },
+                color: { $ref: "color" },
+                intensity: { type: "number", minimum: 0 },
+                castshadow: { type: "boolean" },
+                shadowmapsize: { type: "integer", exclusiveMinimum: 0 },
+                shadowleft: { type: "number" },
+                shadowright: { type: "number" },
+                shadowbottom: { type: "number" },
+                shadowtop: { type: "number" },
+                position: { $ref: "vector3" },
+                target: { $ref: "vector3" }
+            }
+        },
+
+        // ----- Animations -----
+        animation: {
+            type: "object",
+            required: ["tracks"],
+            additionalProperties: false,
+            properties: {
+                autoplay: { type: "boolean" },
+                loop: { type: "string", enum: ["repeat", "pingpong", "once"] },
+                timescale: { type: "number" },
+                duration: { type: "number", exclusiveMinimum: 0 },
+                tracks: { type: "array", minItems: 1, items: { $ref: "animationTrack" } }
+            }
+        },
+        animationTrack: {
+            type: "object",
+            required: ["target", "property", "keyframes"],
+            additionalProperties: false,
+            checks: ["animationTrack"],
+            properties: {
+                // Id of a node, LOD or primitive; of a light for "light.*" properties
+                target: { type: "string" },
+                property: {
+                    type: "string",
+                    enum: [
+                        "translate", "rotate", "scale",
+                        "material.color", "material.emissive", "material.specular", "material.opacity", "material.shininess",
+                        "light.color", "light.intensity", "light.distance", "light.decay", "light.angle", "light.penumbra",
+                        "light.position"
+                    ]
+                },
+                interpolation: { type: "string", enum: ["linear", "step", "cubic"] },
+                keyframes: {
+                    type: "array",
+                    minItems: 1,
+                    items: {
+                        type: "object",
+                        required: ["time", "value"],
+                        additionalProperties: false,
+                        properties: {
+                            // Seconds from the start of the clip
+                            time: { type: "number", minimum: 0 },
+                            // Checked against the property by the "animationTrack" check
+                            value: {}
+                        }
+                    }
+                }
+            }
+        },
+
+        // ----- Postprocessing -----
+        postprocessing: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+                ssao: {
+                    type: "object",
+                    additionalProperties: false,
+                    properties: {
+                        enabled: { type: "boolean" },
+                        kernelradius: { type: "number", exclusiveMinimum: 0 },
+                        mindistance: { type: "number", minimum: 0 },
+                        maxdistance: { type: "number", exclusiveMinimum: 0 }
+                    }
+                },
+                bloom: {
+                    type: "object",
+                    additionalProperties: false,
+                    properties: {
+                        enabled: { type: "boolean" },
+                        strength: { type: "number", minimum: 0 },
+                        radius: { type: "number", minimum: 0, maximum: 1 },
+                        threshold: { type: "number", minimum: 0 }
+                    }
+                },
+                outline: {
+                    type: "object",
+                    additionalProperties: false,
+                    properties: {
+                        enabled: { type: "boolean" },
+                        color: { $ref: "color" },
+                        strength: { type: "number", minimum: 0 },
+                        thickness: { type: "number", exclusiveMinimum: 0 }
+                    }
+                },
+                antialias: { type: "string", enum: ["none", "fxaa", "smaa"] },
+                tonemapping: {
+                    type: "object",
+                    additionalProperties: false,
+                    properties: {
+                        type: { type: "string", enum: ["none", "linear", "reinhard", "cineon", "aces"] },
+                        exposure: { type: "number", minimum: 0 }
+                    }
+                },
+                vignette: {
+                    type: "object",
+                    additionalProperties: false,
+                    properties: {
+                        enabled: { type: "boolean" },
+                        offset: { type: "number", minimum: 0 },
+                        darkness: { type: "number", minimum: 0 }
+                    }
+                }
+            }
+        }
+    }
+};
+
+export { YASF_SCHEMA };
@@ -0,0 +1,116 @@
+// Fields of a material that reference textures
+const TEXTURE_FIELDS = [
+    "textureref", "bumpref", "specularref", "roughnessref", "metalnessref",
+    "normalref", "aoref", "emissiveref", "displacementref", "alpharef"
+];
+
+/**
+ * Compares two versions of a YASF file and finds what has to be rebuilt to go from one to the other.
+ *
+ * Besides the entries whose own data changed, a material is rebuilt when a texture it references changed,
+ * and a graph node when a material it references changed, since textures are baked into the materials and
+ * materials into the meshes of the nodes.
+ * @param {Object} oldData - The entire scene object data of the loaded scene.
+ * @param {Object} newData - The entire scene object data of the new version.
+ * @returns {Object} - { changed, globals, cameras, textures, materials, graph: { rebuildAll, nodes }, animations, postprocessing },
+ * with the ids of the changed (added, modified or removed) textures, materials and graph nodes as Sets.
+ */
+function diffScene(oldData, newData) {
+    const oldYasf = oldData?.yasf ?? {};
+    const newYasf = newData?.yasf ?? {};
+
+    const globals = !isEqualData(oldYasf.globals, newYasf.globals);
+    const cameras = !isEqualData(oldYasf.cameras, newYasf.cameras);
+    const animations = !isEqualData(oldYasf.animations, newYasf.animations);
+    const postprocessing = !isEqualData(oldYasf.postprocessing, newYasf.postprocessing);
+
+    const textures = changedKeys(oldYasf.textures, newYasf.textures);
+
+    const materials = changedKeys(oldYasf.materials, newYasf.materials);
+    for (const [materialId, materialData] of Object.entries(newYasf.materials ?? {})) {
+        if (TEXTURE_FIELDS.some((field) => textures.has(materialData?.[field]))) {
+            materials.add(materialId);
+        }
+    }
+
+    const oldGraph = oldYasf.graph ?? {};
+    const newGraph = newYasf.graph ?? {};
+    const rebuildAll = oldGraph.rootid !== newGraph.rootid;
+
+    const nodes = changedKeys(oldGraph, newGraph);
+    nodes.delete("rootid");
+    for (const [nodeId, nodeData] of Object.entries(newGraph)) {
+        if (nodeId !== "rootid" && referencedMaterials(nodeData).some((materialId) => materials.has(materialId))) {
+            nodes.add(nodeId);
+        }
+    }
+
+    return {
+        changed: globals || cameras || animations || postprocessing || rebuildAll
+            || textures.size > 0 || materials.size > 0 || nodes.size > 0,
+        globals: globals,
+        cameras: cameras,
+        textures: textures,
+        materials: materials,
+        graph: { rebuildAll: rebuildAll, nodes: nodes },
+        animations: animations,
+        postprocessing: postprocessing
+    };
+}
+
+/**
+ * Finds the keys of two objects whose values differ, including the keys present in only one of them.
+ * @param {Object} oldObject - The old version of the object.
+ * @param {Object} newObject - The new version of the object.
+ * @returns {Set<String>} - The changed keys.
+ */
+function changedKeys(oldObject = {}, newObject = {}) {
+    const keys = new Set();
+
+    for (const key of new Set([...Object.keys(oldObject), ...Object.keys(newObject)])) {
+        if (!isEqualData(oldObject[key], newObject[key])) {
+            keys.add(key);
+        }
+    }
+
+    return keys;
+}
+
+/**
+ * Deeply compares two values parsed from JSON. The order of object keys is ignored.
+ * @param {*} a - The first value.
+ * @param {*} b - The second value.
+ * @returns {Boolean} - True if both values hold the same data.
+ */
+function isEqualData(a, b) {
+    if (a === b) return true;
+    if (typeof a !== "object" || typeof b !== "object" || a === null || b === null) return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    if (keysA.length !== keysB.length) return false;
+
+    return keysA.every((key) => Object.prototype.hasOwnProperty.call(b, key) && isEqualData(a[key], b[key]));
+}
+
+/**
+ * Gets the ids of the materials referenced by a graph node: its own "materialref"
+ * and those of its children (e.g. "model" primitives).
+ * @param {Object} nodeData - The data of the graph node.
+ * @returns {Array<String>} - The referenced material ids.
+ */
+function referencedMaterials(nodeData) {
+    const materialIds = [nodeData?.materialref?.materialId];
+
+    const children = nodeData?.children;
+    if (children && typeof children === "object") {
+        for (const childId in children) {
+            materialIds.push(children[childId]?.materialref?.materialId);
+        }
+    }
+
+    return materialIds.filter((materialId) => typeof materialId === "string");
+}
+
+export { diffScene };
@@ -1,7 +1,9 @@
 import * as THREE from 'three';
+import { readjustUVs, setTextureRepeat, REPEATED_MAPS } from './MyPrimitiveUtils.js';
 
 /**
  * Applies a material to all meshes within a given node group.
+ * Meshes flagged with "userData.keepMaterial" (e.g. models with their own materials) keep theirs.
  * @param {THREE.Object3D} node - The node to apply the material to.
  * @param {THREE.Material} material - The material to apply.
  * @param {Boolean} parentCastShadow - Whether the parent node casts shadows.
@@ -10,7 +12,9 @@ import * as THREE from 'three';
 function applyMaterialToNode(node, material, parentCastShadow = false, parentReceiveShadow = false) {
     node.traverse(child => {
         if (child.isMesh) {
-            child.material = material;
+            if (!child.userData.keepMaterial) {
+                child.material = material;
+            }
 
             // Set shadow properties based on the node's values
             child.castShadow = parentCastShadow || child.castShadow;
@@ -19,4 +23,89 @@ function applyMaterialToNode(node, material, parentCastShadow = false, parentRec
     });
 }
 
-export { applyMaterialToNode };
+/**
+ * Changes the texture lengths of a material and adjusts the UVs and texture repeat of every mesh
+ * that uses it, as createPrimitive does when the mesh is created.
+ * Geometries are shared between the instances of a node, so each one is adjusted once.
+ * @param {THREE.Object3D} root - The root node of the parsed graph.
+ * @param {THREE.Material} material - The material to change.
+ * @param {Number} texlength_s - The new texture length in s direction.
+ * @param {Number} texlength_t - The new texture length in t direction.
+ * @param {Array<THREE.Material>} copies - The copies of the material made for animations (see MyAnimations).
+ */
+function setMaterialTexlength(root, material, texlength_s, texlength_t, copies = []) {
+    for (const target of [material, ...copies]) {
+        target.texlength_s = texlength_s;
+        target.texlength_t = texlength_t;
+    }
+
+    for (const geometry of getMaterialGeometries(root, [material, ...copies])) {
+        readjustUVs(geometry, texlength_s, texlength_t);
+        setTextureRepeat(geometry, material);
+    }
+}
+
+/**
+ * Replaces one of the textures of a material (e.g. "map", "bumpMap" or "normalMap").
+ * New color maps and the other maps that tile like them are repeated over the meshes that use the material,
+ * as when the material is created.
+ * @param {THREE.Object3D} root - The root node of the parsed graph.
+ * @param {THREE.Material} material - The material to change.
+ * @param {String} property - The texture property of the material.
+ * @param {THREE.Texture|null} texture - The new texture, or null to remove it.
+ * @param {Array<THREE.Material>} copies - The copies of the material made for animations (see MyAnimations).
+ */
+function setMaterialTexture(root, material, property, texture, copies = []) {
+    for (const target of [material, ...copies]) {
+        target[property] = texture;
+
+        // Adding or removing a texture changes the shader program
+        target.needsUpdate = true;
+    }
+
+    if (REPEATED_MAPS.includes(property) && texture) {
+        texture.wrapS = THREE.RepeatWrapping;
+        texture.wrapT = THREE.RepeatWrapping;
+
+        for (const geometry of getMaterialGeometries(root, [material, ...copies])) {
+            setTextureRepeat(geometry, material);
+        }
+    }
+}
+
+/**
+ * Passes the edits of a material on to the copies made of it for animations (see MyAnimations).
+ * The animated properties are set again by the animations on their next update.
+ * @param {THREE.Material} material - The edited material.
+ * @param {Array<THREE.Material>} copies - Its copies.
+ */
+function syncMaterialCopies(material, copies) {
+    for (const copy of copies) {
+        copy.copy(material);
+        copy.texlength_s = material.texlength_s;
+        copy.texlength_t = material.texlength_t;
+
+        // Settings such as "transparent" or "side" change the shader program
+        copy.needsUpdate = true;
+    }
+}
+
+/**
+ * Gets the distinct geometries of the meshes that use some materials.
+ * @param {THREE.Object3D|null} root - The root node of the parsed graph.
+ * @param {Array<THREE.Material>} materials - The materials.
+ * @returns {Set<THREE.BufferGeometry>} - The geometries.
+ */
+function getMaterialGeometries(root, materials) {
+    const geometries = new Set();
+
+    root?.traverse((child) => {
+        if (child.isMesh && materials.includes(child.material)) {
+            geometries.add(child.geometry);
+        }
+    });
+
+    return geometries;
+}
+
+export { applyMaterialToNode, setMaterialTexlength, setMaterialTexture, syncMaterialCopies };
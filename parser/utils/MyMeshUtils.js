@@ -0,0 +1,187 @@
+import * as THREE from 'three';
+
+// Vertex attributes of a "mesh" primitive: YASF key -> [THREE.js attribute name, values per vertex]
+const MESH_ATTRIBUTES = {
+    positions: ["position", 3],
+    normals: ["normal", 3],
+    uvs: ["uv", 2],
+    colors: ["color", 3]
+};
+
+// Typed arrays of the index formats of a binary buffer
+const INDEX_FORMATS = {
+    uint16: Uint16Array,
+    uint32: Uint32Array
+};
+
+/**
+ * Collects the file paths of the binary buffers used by "mesh" primitives in a YASF "graph" block,
+ * so they can be loaded before the graph is parsed.
+ * @param {Object} graphData - The graph data from YASF.
+ * @returns {Set<String>} - The distinct buffer file paths.
+ */
+function collectBufferPaths(graphData = {}) {
+    const filepaths = new Set();
+
+    for (const nodeId in graphData) {
+        const children = graphData[nodeId]?.children;
+        if (!children || typeof children !== "object") continue;
+
+        for (const childId in children) {
+            const childData = children[childId];
+            if (childData?.type === "mesh" && typeof childData.buffer?.filepath === "string") {
+                filepaths.add(childData.buffer.filepath);
+            }
+        }
+    }
+
+    return filepaths;
+}
+
+/**
+ * Creates the geometry of a "mesh" primitive, from the arrays of its YASF data, or from the parts
+ * of its binary buffer ("buffer") that they point to.
+ *
+ * Positions are required, and make one triangle out of every three vertices unless indices are given.
+ * Normals are computed when they are missing.
+ * @param {Object} meshData - The data for the mesh primitive.
+ * @param {*} appMyContents - Reference inherited by the parser to MyContents.js, to get the loaded buffers.
+ * @returns {THREE.BufferGeometry|null} - The geometry, or null if the data is invalid.
+ */
+function createMeshGeometry(meshData, appMyContents) {
+    let arrays;
+    try {
+        arrays = meshData.buffer ? readBufferArrays(meshData.buffer, appMyContents) : readInlineArrays(meshData);
+    } catch (error) {
+        console.warn(`Mesh '${meshData.nodeId}': ${error.message} Skipping mesh.`);
+        return null;
+    }
+
+    const problem = checkMeshArrays(arrays);
+    if (problem) {
+        console.warn(`Mesh '${meshData.nodeId}': ${problem.message} Skipping mesh.`);
+        return null;
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    for (const key in MESH_ATTRIBUTES) {
+        const [name, itemSize] = MESH_ATTRIBUTES[key];
+        if (arrays[key]) {
+            geometry.setAttribute(name, new THREE.BufferAttribute(arrays[key], itemSize));
+        }
+    }
+    if (arrays.indices) {
+        geometry.setIndex(new THREE.BufferAttribute(arrays.indices, 1));
+    }
+    if (!arrays.normals) {
+        geometry.computeVertexNormals();
+    }
+
+    return geometry;
+}
+
+/**
+ * Reads the arrays written in the YASF data of a mesh.
+ * @param {Object} meshData - The data for the mesh primitive.
+ * @returns {Object} - The typed arrays, by YASF key (missing ones are undefined).
+ */
+function readInlineArrays(meshData) {
+    const arrays = {};
+
+    for (const key of [...Object.keys(MESH_ATTRIBUTES), "indices"]) {
+        const values = meshData[key];
+        if (values === undefined) continue;
+
+        if (!Array.isArray(values) || !values.every((value) => Number.isFinite(value))) {
+            throw new Error(`'${key}' must be an array of numbers.`);
+        }
+        arrays[key] = key === "indices" ? new Uint32Array(values) : new Float32Array(values);
+    }
+
+    return arrays;
+}
+
+/**
+ * Reads the arrays of a mesh from its binary buffer. Each one is given by its byte offset in the buffer and
+ * its count (of vertices, or of indices). Attributes are 32-bit floats, and indices 16 or 32-bit unsigned integers.
+ * @param {Object} bufferData - The "buffer" block of the mesh primitive.
+ * @param {*} appMyContents - Reference to MyContents.js, to get the loaded buffers.
+ * @returns {Object} - The typed arrays, by YASF key (missing ones are undefined).
+ */
+function readBufferArrays(bufferData, appMyContents) {
+    const buffer = appMyContents.buffers[bufferData.filepath];
+    if (!buffer) {
+        throw new Error(`buffer '${bufferData.filepath}' is not loaded.`);
+    }
+
+    const readArray = (key, TypedArray, itemSize) => {
+        const view = bufferData[key];
+        if (view === undefined) return undefined;
+
+        const offset = Number.isInteger(view.offset) ? view.offset : 0;
+        const length = (Number.isInteger(view.count) ? view.count : 0) * itemSize;
+        const byteLength = length * TypedArray.BYTES_PER_ELEMENT;
+        if (offset + byteLength > buffer.byteLength) {
+            throw new Error(`'${key}' (bytes ${offset} to ${offset + byteLength}) is out of the ${buffer.byteLength} bytes of the buffer.`);
+        }
+
+        // Copied, since typed arrays need offsets aligned to the size of their elements
+        return new TypedArray(buffer.slice(offset, offset + byteLength));
+    };
+
+    const arrays = {};
+    for (const key in MESH_ATTRIBUTES) {
+        arrays[key] = readArray(key, Float32Array, MESH_ATTRIBUTES[key][1]);
+    }
+
+    const format = bufferData.indices?.format ?? "uint32";
+    if (!INDEX_FORMATS[format]) {
+        throw new Error(`invalid index format '${format}'. Expected 'uint16' or 'uint32'.`);
+    }
+    arrays.indices = readArray("indices", INDEX_FORMATS[format], 1);
+
+    return arrays;
+}
+
+/**
+ * Checks that the arrays of a mesh fit together: every attribute has a value for each vertex,
+ * and the indices make whole triangles of existing vertices.
+ * @param {Object} arrays - The arrays of the mesh, by YASF key.
+ * @returns {Object|null} - The problem found, as { key, message }, or null if the mesh can be built.
+ */
+function checkMeshArrays(arrays) {
+    if (!arrays.positions || arrays.positions.length === 0 || arrays.positions.length % 3 !== 0) {
+        return { key: "positions", message: "'positions' must have 3 values for each vertex." };
+    }
+
+    const vertexCount = arrays.positions.length / 3;
+    for (const key in MESH_ATTRIBUTES) {
+        const itemSize = MESH_ATTRIBUTES[key][1];
+        if (arrays[key] && arrays[key].length !== vertexCount * itemSize) {
+            return {
+                key: key,
+                message: `'${key}' has ${arrays[key].length} values, expected ${vertexCount * itemSize} for ${vertexCount} vertices.`
+            };
+        }
+    }
+
+    if (!arrays.indices) {
+        if (vertexCount % 3 === 0) return null;
+        return { key: "positions", message: `Without 'indices', the ${vertexCount} vertices must make whole triangles.` };
+    }
+    if (arrays.indices.length % 3 !== 0) {
+        return { key: "indices", message: `'indices' has ${arrays.indices.length} values, which do not make whole triangles.` };
+    }
+
+    const outOfRange = arrays.indices.findIndex((index) => index < 0 || index >= vertexCount);
+    if (outOfRange !== -1) {
+        return {
+            key: "indices",
+            message: `Index ${arrays.indices[outOfRange]} (at ${outOfRange}) is out of range for ${vertexCount} vertices.`
+        };
+    }
+
+    return null;
+}
+
+export { collectBufferPaths, createMeshGeometry, checkMeshArrays, MESH_ATTRIBUTES, INDEX_FORMATS };
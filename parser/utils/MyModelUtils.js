@@ -0,0 +1,105 @@
+import * as SkeletonUtils from 'three/addons/utils/SkeletonUtils.js';
+import { MyValidationUtils } from './MyValidationUtils.js';
+
+/**
+ * Collects the file paths of every "model" primitive in a YASF "graph" block, so the assets
+ * can be loaded before the graph is parsed.
+ * @param {Object} graphData - The graph data from YASF.
+ * @returns {Set<String>} - The distinct model file paths.
+ */
+function collectModelPaths(graphData = {}) {
+    const filepaths = new Set();
+
+    for (const nodeId in graphData) {
+        const children = graphData[nodeId]?.children;
+        if (!children || typeof children !== "object") continue;
+
+        for (const childId in children) {
+            const childData = children[childId];
+            if (childData?.type === "model" && typeof childData.filepath === "string") {
+                filepaths.add(childData.filepath);
+            }
+        }
+    }
+
+    return filepaths;
+}
+
+/**
+ * Creates a copy of a loaded asset for a "model" primitive.
+ *
+ * Like any other primitive, the meshes of the model use the material inherited from its node.
+ * The "materialref" of the model overrides it, and "keepmaterials" keeps the materials of the asset
+ * instead (they are also kept when there is no material to inherit).
+ * @param {Object} modelData - The data for the model primitive.
+ * @param {THREE.Material} material - The material inherited from the parent node.
+ * @param {Boolean} castShadow - Whether the model casts shadows.
+ * @param {Boolean} receiveShadow - Whether the model receives shadows.
+ * @param {*} appMyContents - Reference inherited by the parser to MyContents.js, to get the loaded assets.
+ * @returns {THREE.Object3D|null} - The model object, or null if the asset is unavailable.
+ */
+function createModel(modelData, material, castShadow, receiveShadow, appMyContents) {
+    const validator = new MyValidationUtils();
+    const filepath = validator.validateString(modelData.filepath);
+
+    const asset = appMyContents.models[filepath];
+    if (!asset) {
+        console.warn(`Model '${modelData.nodeId}': asset '${filepath}' is not loaded. Skipping model.`);
+        return null;
+    }
+
+    // Optionally use a single object of the asset, selected by name
+    let source = asset;
+    const subnode = validator.validateString(modelData.subnode);
+    if (subnode) {
+        source = asset.getObjectByName(subnode);
+        if (!source) {
+            console.warn(`Model '${modelData.nodeId}': object '${subnode}' not found in '${filepath}'. Skipping model.`);
+            return null;
+        }
+    }
+
+    // Skinned meshes of the copy are bound to its own bones, so instances of the asset animate independently
+    const model = SkeletonUtils.clone(source);
+
+    // Resolve the material override, falling back to the inherited material
+    let modelMaterial = validator.parseBoolean(modelData.keepmaterials) ? null : material;
+    const materialId = modelData.materialref?.materialId;
+    if (materialId) {
+        if (appMyContents.materials[materialId]) {
+            modelMaterial = appMyContents.materials[materialId];
+        } else {
+            console.warn(`Model '${modelData.nodeId}' references undefined material '${materialId}'.`);
+        }
+    }
+    // The materials chosen here are not replaced when the node is reused with another material
+    const keepMaterial = modelMaterial !== material || modelMaterial === null;
+
+    model.traverse((child) => {
+        if (!child.isMesh) return;
+
+        if (modelMaterial) {
+            child.material = modelMaterial;
+        }
+        child.userData.keepMaterial = keepMaterial;
+        child.castShadow = castShadow || child.castShadow;
+        child.receiveShadow = receiveShadow || child.receiveShadow;
+    });
+
+    return model;
+}
+
+/**
+ * Gets the loader format of a model file from its extension.
+ * @param {String|null} filepath - The path of the asset file.
+ * @returns {String|null} - "gltf" (for .gltf and .glb), "obj", or null if unsupported.
+ */
+function getModelFormat(filepath) {
+    const extension = filepath?.split(/[?#]/)[0].split(".").pop().toLowerCase();
+
+    if (extension === "gltf" || extension === "glb") return "gltf";
+    if (extension === "obj") return "obj";
+    return null;
+}
+
+export { collectModelPaths, createModel, getModelFormat };
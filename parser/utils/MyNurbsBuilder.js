@@ -1,9 +1,11 @@
 import * as THREE from 'three';
-import { NURBSSurface } from 'three/addons/curves/NURBSSurface.js';
+import { NURBSCurve } from 'three/addons/curves/NURBSCurve.js';
+import { calcSurfacePoint, calcNURBSDerivatives } from 'three/addons/curves/NURBSUtils.js';
 import { ParametricGeometry } from 'three/addons/geometries/ParametricGeometry.js';
 
 /**
- *  This class contains the contents of out application
+ *  This class builds the NURBS surfaces and curves of the primitives.
+ *  Control points are [x, y, z, w] arrays, where w is the weight of the point.
  */
 
 class MyNurbsBuilder  {
@@ -15,30 +17,213 @@ class MyNurbsBuilder  {
         this.app = app
     }
 
-    build(controlPoints, degree1, degree2, samples1, samples2) {
-        const knots1 = []
-        const knots2 = []
-
-        // Build knots1
-        for (let i = 0; i <= degree1; i++) knots1.push(0);
-        for (let i = 0; i <= degree1; i++) knots1.push(1);
-
-        // Build knots2
-        for (let i = 0; i <= degree2; i++) knots2.push(0);
-        for (let i = 0; i <= degree2; i++) knots2.push(1);
+    /**
+     * Builds a NURBS surface.
+     * @param {Array} controlPoints - The grid of control points: one row for each point along U, with the points along V.
+     * @param {Number} degree1 - The degree along U.
+     * @param {Number} degree2 - The degree along V.
+     * @param {Number} samples1 - The number of segments along U.
+     * @param {Number} samples2 - The number of segments along V.
+     * @param {Array} knots1 - The knot vector along U. Defaults to a clamped uniform one.
+     * @param {Array} knots2 - The knot vector along V. Defaults to a clamped uniform one.
+     * @returns {ParametricGeometry} - The geometry of the surface.
+     */
+    build(controlPoints, degree1, degree2, samples1, samples2, knots1, knots2) {
+        knots1 = knots1 ?? createKnots(controlPoints.length, degree1)
+        knots2 = knots2 ?? createKnots(controlPoints[0].length, degree2)
 
         const stackedPoints = controlPoints.map(row =>
             row.map(item => new THREE.Vector4(item[0], item[1], item[2], item[3]))
         );
 
-        const nurbsSurface = new NURBSSurface(degree1, degree2, knots1, knots2, stackedPoints);
+        // Evaluated over the valid range of the knot vectors, [knots[degree], knots[points]], rather than
+        // the whole of it as THREE.NURBSSurface does, so unclamped knot vectors give the right surface
+        const range1 = getKnotRange(knots1, degree1);
+        const range2 = getKnotRange(knots2, degree2);
 
         const geometry = new ParametricGeometry((u, v, target) => {
-            nurbsSurface.getPoint(u, v, target);
+            calcSurfacePoint(degree1, degree2, knots1, knots2, stackedPoints,
+                THREE.MathUtils.lerp(range1[0], range1[1], u), THREE.MathUtils.lerp(range2[0], range2[1], v), target);
         }, samples1, samples2);
 
         return geometry;
     }
+
+    /**
+     * Builds a NURBS curve, e.g. the path of a tube.
+     * @param {Array} controlPoints - The control points.
+     * @param {Number} degree - The degree of the curve.
+     * @param {Array} knots - The knot vector. Defaults to a clamped uniform one.
+     * @returns {NURBSCurve} - The curve.
+     */
+    buildCurve(controlPoints, degree, knots) {
+        knots = knots ?? createKnots(controlPoints.length, degree)
+
+        const points = controlPoints.map(item => new THREE.Vector4(item[0], item[1], item[2], item[3]));
+
+        return new MyNurbsCurve(degree, knots, points);
+    }
+
+    /**
+     * Trims a NURBS surface made by build: the triangles whose center, in the (u, v) parameter space
+     * of the surface, is cut away by a trimming loop are removed. The edges of the trimmed surface
+     * therefore follow the loops as closely as the number of segments allows.
+     * @param {ParametricGeometry} geometry - The geometry of the surface.
+     * @param {Array<Object>} loops - The trimming loops: { points, keep }, where points is a closed polygon
+     * of THREE.Vector2 (u, v), from 0 to 1, and keep is "inside" or "outside" the loop.
+     * @returns {ParametricGeometry} - The same geometry, with the triangles left.
+     */
+    trim(geometry, loops) {
+        const uv = geometry.attributes.uv;
+        const index = geometry.index.array;
+        const center = new THREE.Vector2();
+        const kept = [];
+
+        for (let i = 0; i < index.length; i += 3) {
+            center.set(0, 0);
+            for (let k = 0; k < 3; k++) {
+                center.x += uv.getX(index[i + k]) / 3;
+                center.y += uv.getY(index[i + k]) / 3;
+            }
+
+            if (loops.every((loop) => isInsidePolygon(center, loop.points) === (loop.keep === "inside"))) {
+                kept.push(index[i], index[i + 1], index[i + 2]);
+            }
+        }
+
+        geometry.setIndex(kept);
+        return geometry;
+    }
+}
+
+/**
+ * A NURBS curve evaluated over the valid range of its knot vector, [knots[degree], knots[points]],
+ * so unclamped knot vectors give the right curve. THREE.NURBSCurve takes that range for its points,
+ * but not for its tangents, which tubes and extrusions along the curve use.
+ */
+class MyNurbsCurve extends NURBSCurve {
+    constructor(degree, knots, controlPoints) {
+        super(degree, knots, controlPoints, degree, knots.length - 1 - degree);
+    }
+
+    getTangent(t, optionalTarget = new THREE.Vector3()) {
+        const u = THREE.MathUtils.lerp(this.knots[this.startKnot], this.knots[this.endKnot], t);
+        const derivatives = calcNURBSDerivatives(this.degree, this.knots, this.controlPoints, u, 1);
+        return optionalTarget.copy(derivatives[1]).normalize();
+    }
+}
+
+/**
+ * Checks if a point is inside a closed polygon, by the even-odd rule.
+ * @param {THREE.Vector2} point - The point.
+ * @param {Array<THREE.Vector2>} polygon - The vertices of the polygon. The last one is joined to the first.
+ * @returns {Boolean} - True if the point is inside.
+ */
+function isInsidePolygon(point, polygon) {
+    let inside = false;
+
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i];
+        const b = polygon[j];
+        if ((a.y > point.y) !== (b.y > point.y)
+            && point.x < a.x + (point.y - a.y) * (b.x - a.x) / (b.y - a.y)) {
+            inside = !inside;
+        }
+    }
+
+    return inside;
+}
+
+/**
+ * Gets the range of the parameter over which a NURBS is defined: between the knots of index degree
+ * and (number of control points), where a full set of basis functions is nonzero.
+ * @param {Array} knots - The knot vector.
+ * @param {Number} degree - The degree.
+ * @returns {Array} - The first and last values of the parameter.
+ */
+function getKnotRange(knots, degree) {
+    return [knots[degree], knots[knots.length - 1 - degree]];
+}
+
+// Other spelling of the orders of a surface, e.g. "orderU" for "order_u"
+const ORDER_ALIASES = { _u: "orderU", _v: "orderV" };
+
+/**
+ * Gets the key holding the order of a NURBS along one direction: "order_u"/"order_v" (or "orderU"/"orderV")
+ * for surfaces, "order" for curves.
+ * @param {Object} data - The data of the primitive.
+ * @param {String} suffix - The suffix of the keys: "_u" or "_v" for surfaces, "" for curves.
+ * @returns {String} - The key, the snake case one if neither is given.
+ */
+function getNurbsOrderKey(data, suffix) {
+    const alias = ORDER_ALIASES[suffix];
+    return data[`order${suffix}`] === undefined && alias && data[alias] !== undefined ? alias : `order${suffix}`;
+}
+
+/**
+ * Gets the degree of a NURBS along one direction, given in YASF as "degree" or as "order" (the degree plus one).
+ * @param {Object} data - The data of the primitive.
+ * @param {String} suffix - The suffix of the keys: "_u" or "_v" for surfaces, "" for curves.
+ * @param {Number} defaultDegree - The degree if none is given.
+ * @returns {Number} - The degree.
+ */
+function getNurbsDegree(data, suffix, defaultDegree = 3) {
+    const order = data[getNurbsOrderKey(data, suffix)];
+    if (Number.isInteger(order) && order >= 2) return order - 1;
+
+    const degree = data[`degree${suffix}`];
+    return Number.isInteger(degree) && degree >= 1 ? degree : defaultDegree;
+}
+
+/**
+ * Gets the number of control points of a NURBS surface along one direction: "points_u"/"points_v" if given,
+ * else what the knot vector is made for, else one more than the degree, as in a single Bézier patch.
+ * @param {Object} data - The data of the primitive.
+ * @param {String} suffix - "_u" or "_v".
+ * @param {Number} degree - The degree along that direction.
+ * @returns {Number} - The number of control points.
+ */
+function getNurbsPointCount(data, suffix, degree) {
+    const points = data[`points${suffix}`];
+    if (Number.isInteger(points) && points > degree) return points;
+
+    const knots = data[`knots${suffix}`];
+    if (Array.isArray(knots) && knots.length > 2 * degree + 1) return knots.length - degree - 1;
+
+    return degree + 1;
+}
+
+/**
+ * Checks if a knot vector fits a number of control points: it has one knot for each point plus
+ * the order, never decreases, and its valid range (see getKnotRange) is not empty.
+ * @param {Array} knots - The knot vector.
+ * @param {Number} pointCount - The number of control points.
+ * @param {Number} degree - The degree.
+ * @returns {Boolean} - True if the knot vector can be used.
+ */
+function isValidKnotVector(knots, pointCount, degree) {
+    return Array.isArray(knots)
+        && knots.length === pointCount + degree + 1
+        && knots.every((knot, i) => Number.isFinite(knot) && (i === 0 || knot >= knots[i - 1]))
+        && knots[pointCount] > knots[degree];
+}
+
+/**
+ * Creates a clamped uniform knot vector: the curve starts and ends at the first and last control points,
+ * and the interior knots are evenly spaced.
+ * @param {Number} pointCount - The number of control points.
+ * @param {Number} degree - The degree.
+ * @returns {Array} - The knot vector, from 0 to 1.
+ */
+function createKnots(pointCount, degree) {
+    const knots = [];
+    const spans = pointCount - degree;
+
+    for (let i = 0; i <= degree; i++) knots.push(0);
+    for (let i = 1; i < spans; i++) knots.push(i / spans);
+    for (let i = 0; i <= degree; i++) knots.push(1);
+
+    return knots;
 }
 
-export { MyNurbsBuilder };
+export { MyNurbsBuilder, getNurbsDegree, getNurbsOrderKey, getNurbsPointCount, isValidKnotVector, createKnots };
@@ -1,6 +1,22 @@
 import * as THREE from 'three';
-import { MyNurbsBuilder } from './MyNurbsBuilder.js';
+import { MyNurbsBuilder, getNurbsDegree, getNurbsPointCount, isValidKnotVector } from './MyNurbsBuilder.js';
 import { MyValidationUtils } from './MyValidationUtils.js';
+import { createMeshGeometry } from './MyMeshUtils.js';
+import { getTextRenderMode, createTextGeometry, createTextPlane } from './MyTextUtils.js';
+import { createSprite, createBillboard, parseSpriteSize } from './MySpriteUtils.js';
+
+// Primitive types built by createPrimitive
+const PRIMITIVE_TYPES = [
+    "rectangle", "triangle", "box", "cylinder", "cone", "sphere", "torus", "torusknot", "ring", "disk", "capsule",
+    "nurbs", "nurbscurve", "tube", "shape", "extrude", "lathe", "mesh", "text", "sprite", "billboard", "polygon"
+];
+
+// Material maps that tile like the color map, with the repeat set from texlength_s and texlength_t.
+// Bump and specular maps are not repeated, as they never were.
+const REPEATED_MAPS = ["map", "normalMap", "roughnessMap", "metalnessMap", "aoMap", "emissiveMap", "displacementMap", "alphaMap"];
+
+// Side of a trimming loop of a NURBS surface that is kept
+const TRIM_KEEP = ["inside", "outside"];
 
 /**
  * Create a primitive based on its type and properties, using the specified material if available.
@@ -15,8 +31,6 @@ function createPrimitive(primitiveData, material, appMyContents/*, parentTransfo
     const validator = new MyValidationUtils();
     const type = primitiveData.type;
     let geometry;
-    // Flag to indicate special texture handling
-    let specialTextureHandling = false;
 
     // Variables for texlength_s and texlength_t
     let texlength_s = 1;
@@ -126,22 +140,130 @@ function createPrimitive(primitiveData, material, appMyContents/*, parentTransfo
             const height = validator.toValidFloat(primitiveData.height, 2);
             const radialSegmentsCylinder = validator.toValidFloat(primitiveData.slices, 8);
             const heightSegmentsCylinder = validator.toValidFloat(primitiveData.stacks, 1);
-            const closedCaps = validator.parseBoolean(primitiveData.capsclose);
-            const thetaStart = validator.validateRadianAngle(primitiveData.thetaStart, 0);
-            const thetaLength = validator.validateRadianAngle(primitiveData.thetaLength, 360);
-            geometry = new THREE.CylinderGeometry(
+            // As in earlier versions, "capsclose" set to true leaves the cylinder open ended,
+            // and captop and capbottom draw (true) or leave out (false) each cap regardless of it
+            const closedCaps = !validator.parseBoolean(primitiveData.capsclose);
+            // thetaStart and thetaLength are still read, from scenes written before the lowercase keys
+            const thetaStart = validator.validateRadianAngle(primitiveData.thetastart ?? primitiveData.thetaStart, 0);
+            const thetaLength = validator.validateRadianAngle(primitiveData.thetalength ?? primitiveData.thetaLength, 360);
+            geometry = createCylinderGeometry(
                 topRadius,
                 baseRadius,
                 height,
                 radialSegmentsCylinder,
                 heightSegmentsCylinder,
-                closedCaps
+                validator.parseBoolean(primitiveData.captop, closedCaps),
+                validator.parseBoolean(primitiveData.capbottom, closedCaps),
+                thetaStart,
+                thetaLength
+            );
+
+            // Adjust UVs
+            adjustCylinderUVs(geometry, texlength_s, texlength_t, height, Math.max(topRadius, baseRadius) * Math.abs(thetaLength));
+            break;
+
+        case "cone":
+            const coneRadius = validator.toValidFloat(primitiveData.radius, 1);
+            const coneHeight = validator.toValidFloat(primitiveData.height, 2);
+            const coneThetaLength = validator.validateRadianAngle(primitiveData.thetalength, 360);
+            geometry = createCylinderGeometry(
+                0,
+                coneRadius,
+                coneHeight,
+                validator.toValidFloat(primitiveData.slices, 8),
+                validator.toValidFloat(primitiveData.stacks, 1),
+                false,
+                // The base follows the same flags as the caps of a cylinder
+                validator.parseBoolean(primitiveData.capbottom, !validator.parseBoolean(primitiveData.capsclose)),
+                validator.validateRadianAngle(primitiveData.thetastart, 0),
+                coneThetaLength
+            );
+
+            // Adjust UVs
+            adjustCylinderUVs(geometry, texlength_s, texlength_t, coneHeight, coneRadius * Math.abs(coneThetaLength));
+            break;
+
+        case "torus":
+            const torusRadius = validator.toValidFloat(primitiveData.radius, 1);
+            const torusTube = validator.toValidFloat(primitiveData.tube, 0.4);
+            const torusArc = validator.validateRadianAngle(primitiveData.arc, 360);
+            // Slices go around the ring, like those of a cylinder, and stacks around the tube
+            geometry = new THREE.TorusGeometry(
+                torusRadius,
+                torusTube,
+                validator.toValidFloat(primitiveData.stacks, 8),
+                validator.toValidFloat(primitiveData.slices, 24),
+                torusArc
             );
-            geometry.parameters.thetaStart = thetaStart;
-            geometry.parameters.thetaLength = thetaLength;
 
             // Adjust UVs
-            adjustCylinderUVs(geometry, texlength_s, texlength_t, height, Math.max(topRadius, baseRadius));
+            adjustTubeUVs(geometry, texlength_s, texlength_t, torusRadius * Math.abs(torusArc), 2 * Math.PI * torusTube);
+            break;
+
+        case "torusknot":
+            const knotRadius = validator.toValidFloat(primitiveData.radius, 1);
+            const knotTube = validator.toValidFloat(primitiveData.tube, 0.4);
+            const knotSlices = validator.toValidFloat(primitiveData.slices, 64);
+            const knotP = validator.toValidFloat(primitiveData.p, 2);
+            const knotQ = validator.toValidFloat(primitiveData.q, 3);
+            geometry = new THREE.TorusKnotGeometry(
+                knotRadius,
+                knotTube,
+                knotSlices,
+                validator.toValidFloat(primitiveData.stacks, 8),
+                knotP,
+                knotQ
+            );
+
+            // Adjust UVs
+            adjustTubeUVs(
+                geometry,
+                texlength_s,
+                texlength_t,
+                getTorusKnotLength(knotRadius, knotP, knotQ, knotSlices),
+                2 * Math.PI * knotTube
+            );
+            break;
+
+        case "ring":
+        case "disk":
+            // A disk is a ring without a hole
+            const ringOuterRadius = type === "disk"
+                ? validator.toValidFloat(primitiveData.radius, 1)
+                : validator.toValidFloat(primitiveData.outerradius, 1);
+            const ringInnerRadius = type === "disk" ? 0 : validator.toValidFloat(primitiveData.innerradius, 0.5);
+            geometry = new THREE.RingGeometry(
+                ringInnerRadius,
+                ringOuterRadius,
+                validator.toValidFloat(primitiveData.slices, 32),
+                validator.toValidFloat(primitiveData.stacks, 1),
+                validator.validateRadianAngle(primitiveData.thetastart, 0),
+                validator.validateRadianAngle(primitiveData.thetalength, 360)
+            );
+
+            // The UVs of a ring are planar, as those of a rectangle around it
+            adjustRectangleUVs(geometry, texlength_s, texlength_t, 2 * ringOuterRadius, 2 * ringOuterRadius);
+            break;
+
+        case "capsule":
+            const capsuleRadius = validator.toValidFloat(primitiveData.radius, 0.5);
+            const capsuleLength = validator.toValidFloat(primitiveData.length, 1);
+            // Stacks are the segments of each hemisphere
+            geometry = new THREE.CapsuleGeometry(
+                capsuleRadius,
+                capsuleLength,
+                validator.toValidFloat(primitiveData.stacks, 4),
+                validator.toValidFloat(primitiveData.slices, 8)
+            );
+
+            // The t coordinate runs along the profile: the straight part and two quarter circles
+            adjustCylinderUVs(
+                geometry,
+                texlength_s,
+                texlength_t,
+                capsuleLength + Math.PI * capsuleRadius,
+                2 * Math.PI * capsuleRadius
+            );
             break;
 
         case "sphere":
@@ -167,35 +289,220 @@ function createPrimitive(primitiveData, material, appMyContents/*, parentTransfo
             break;
 
         case "nurbs":
-            const degreeU = validator.toValidFloat(primitiveData.degree_u, 3);
-            const degreeV = validator.toValidFloat(primitiveData.degree_v, 3);
+            const degreeU = getNurbsDegree(primitiveData, "_u");
+            const degreeV = getNurbsDegree(primitiveData, "_v");
+            const pointsU = getNurbsPointCount(primitiveData, "_u", degreeU);
+            const pointsV = getNurbsPointCount(primitiveData, "_v", degreeV);
             const partsU = validator.toValidFloat(primitiveData.parts_u, 10);
             const partsV = validator.toValidFloat(primitiveData.parts_v, 10);
 
-            // Parse control points
+            // Parse control points, in rows of pointsV points
             const controlPoints = [];
-            const numControlPoints = (degreeU + 1) * (degreeV + 1);
-            const points = primitiveData.controlpoints || [];
-
-            for (let i = 0; i < numControlPoints; i++) {
-                const point = points[i] || {};
-                const x = validator.toValidFloat(point.x, 0);
-                const y = validator.toValidFloat(point.y, 0);
-                const z = validator.toValidFloat(point.z, 0);
-                if (!controlPoints[Math.floor(i / (degreeV + 1))]) {
-                    controlPoints[Math.floor(i / (degreeV + 1))] = [];
-                }
-                controlPoints[Math.floor(i / (degreeV + 1))].push([x, y, z, 1]); // Default w = 1
+            const surfacePoints = parseControlPoints(primitiveData.controlpoints, pointsU * pointsV, validator);
+            for (let i = 0; i < pointsU; i++) {
+                controlPoints.push(surfacePoints.slice(i * pointsV, (i + 1) * pointsV));
             }
 
             // Use MyNurbsBuilder to generate the geometry
             const nurbsBuilder = new MyNurbsBuilder(appMyContents.app);
-            geometry = nurbsBuilder.build(controlPoints, degreeU, degreeV, partsU, partsV);
+            geometry = nurbsBuilder.build(
+                controlPoints,
+                degreeU,
+                degreeV,
+                partsU,
+                partsV,
+                parseKnots(primitiveData.knots_u, pointsU, degreeU),
+                parseKnots(primitiveData.knots_v, pointsV, degreeV)
+            );
+
+            const trimLoops = parseTrimLoops(primitiveData.trims, appMyContents, validator);
+            if (trimLoops.length > 0) {
+                nurbsBuilder.trim(geometry, trimLoops);
+            }
 
             // Adjust UVs
             adjustNURBSUVs(geometry, texlength_s, texlength_t);
             break;
 
+        case "nurbscurve":
+            const curve = createNurbsCurve(primitiveData, appMyContents, validator);
+            const curveGeometry = new THREE.BufferGeometry().setFromPoints(
+                curve.getPoints(validator.toValidFloat(primitiveData.parts, 32))
+            );
+
+            // Lines are not shaded, so they take the color of the inherited material
+            const curveMaterial = new THREE.LineBasicMaterial({
+                color: (material ?? appMyContents.defaultMaterial).color
+            });
+            addGeneratedMaterial(appMyContents, "nurbscurve", curveMaterial);
+
+            return new THREE.Line(curveGeometry, curveMaterial);
+
+        case "tube":
+            const tubePath = createNurbsCurve(primitiveData, appMyContents, validator);
+            const tubeRadius = validator.toValidFloat(primitiveData.radius, 0.1);
+            // Slices go around the tube, like those of a cylinder, and stacks along its path
+            geometry = new THREE.TubeGeometry(
+                tubePath,
+                validator.toValidFloat(primitiveData.stacks, 32),
+                tubeRadius,
+                validator.toValidFloat(primitiveData.slices, 8),
+                validator.parseBoolean(primitiveData.closed)
+            );
+
+            // Adjust UVs
+            adjustTubeUVs(geometry, texlength_s, texlength_t, tubePath.getLength(), 2 * Math.PI * tubeRadius);
+            break;
+
+        case "shape":
+            const outline = createShape(primitiveData, validator);
+            if (!outline) return null;
+            geometry = new THREE.ShapeGeometry(outline);
+
+            // Adjust UVs
+            adjustShapeUVs(geometry, texlength_s, texlength_t);
+            break;
+
+        case "extrude":
+            const extrudeOutline = createShape(primitiveData, validator);
+            if (!extrudeOutline) return null;
+
+            const bevelData = primitiveData.bevel;
+            const extrudeSettings = {
+                depth: validator.toValidFloat(primitiveData.depth, 1),
+                // Along a path, the steps are the points the curve is sampled at
+                steps: validator.toValidFloat(primitiveData.steps, primitiveData.path ? 32 : 1),
+                // The bevel is enabled when its block is present
+                bevelEnabled: Boolean(bevelData),
+                bevelThickness: validator.toValidFloat(bevelData?.thickness, 0.1),
+                bevelSize: validator.toValidFloat(bevelData?.size, 0.1),
+                bevelOffset: validator.toValidFloat(bevelData?.offset, 0),
+                bevelSegments: validator.toValidFloat(bevelData?.segments, 3)
+            };
+
+            // Along a path, the outline is swept by the curve instead of the depth, and has no bevel
+            if (primitiveData.path) {
+                extrudeSettings.extrudePath = createNurbsCurve(primitiveData.path, appMyContents, validator);
+            }
+            geometry = new THREE.ExtrudeGeometry(extrudeOutline, extrudeSettings);
+
+            // Adjust UVs
+            adjustShapeUVs(geometry, texlength_s, texlength_t);
+            break;
+
+        case "lathe":
+            const profile = (primitiveData.points ?? []).map((point) => new THREE.Vector2(
+                validator.toValidFloat(point?.x, 0),
+                validator.toValidFloat(point?.y, 0)
+            ));
+            if (profile.length < 2) {
+                console.warn("A lathe needs at least 2 points in its profile.");
+                return null;
+            }
+
+            const lathePhiLength = validator.validateRadianAngle(primitiveData.philength, 360);
+            geometry = new THREE.LatheGeometry(
+                profile,
+                validator.toValidFloat(primitiveData.slices, 12),
+                validator.validateRadianAngle(primitiveData.phistart, 0),
+                lathePhiLength
+            );
+
+            // The profile is revolved around Y: x is the distance to the axis and y the height along it
+            const latheAxis = primitiveData.axis ?? "y";
+            if (latheAxis === "x") {
+                geometry.rotateZ(-Math.PI / 2);
+            } else if (latheAxis === "z") {
+                geometry.rotateX(Math.PI / 2);
+            } else if (latheAxis !== "y") {
+                console.warn(`Invalid lathe axis '${latheAxis}'. Using 'y'.`);
+            }
+
+            // The t coordinate runs along the profile, and the s coordinate around the axis
+            let profileLength = 0;
+            for (let i = 1; i < profile.length; i++) {
+                profileLength += profile[i].distanceTo(profile[i - 1]);
+            }
+            const latheRadius = Math.max(...profile.map((point) => Math.abs(point.x)));
+            adjustCylinderUVs(geometry, texlength_s, texlength_t, profileLength, latheRadius * Math.abs(lathePhiLength));
+            break;
+
+        case "mesh":
+            geometry = createMeshGeometry(primitiveData, appMyContents);
+            if (!geometry) return null;
+
+            if (geometry.attributes.uv) {
+                adjustShapeUVs(geometry, texlength_s, texlength_t);
+            }
+
+            // Vertex colors need a material that uses them, as for the polygon
+            if (geometry.attributes.color) {
+                const meshColorMaterial = material ? material.clone() : appMyContents.defaultMaterialVertex.clone();
+                meshColorMaterial.vertexColors = true;
+                meshColorMaterial.texlength_s = material?.texlength_s;
+                meshColorMaterial.texlength_t = material?.texlength_t;
+                addGeneratedMaterial(appMyContents, "mesh", meshColorMaterial);
+                material = meshColorMaterial;
+            }
+            break;
+
+        case "text":
+            const text = validator.validateString(primitiveData.text);
+            if (!text) {
+                console.warn(`Text '${primitiveData.nodeId}' has no text. Skipping text.`);
+                return null;
+            }
+
+            if (getTextRenderMode(primitiveData) === "geometry") {
+                const font = appMyContents.fonts[primitiveData.font];
+                if (font) {
+                    geometry = createTextGeometry(primitiveData, font);
+
+                    // Adjust UVs
+                    adjustShapeUVs(geometry, texlength_s, texlength_t);
+                    break;
+                }
+                console.warn(`Text '${primitiveData.nodeId}': font '${primitiveData.font}' is not loaded. Drawing it on a canvas.`);
+            }
+
+            // The text is drawn on a texture, which replaces the map of the inherited material
+            const textTexture = appMyContents.createTextTexture(text, validator.validateString(primitiveData.fontfamily, "sans-serif"));
+            const textMaterial = (material ?? appMyContents.defaultMaterial).clone();
+            textMaterial.map = textTexture;
+            textMaterial.transparent = true;
+            textMaterial.addEventListener("dispose", () => textTexture.dispose());
+            addGeneratedMaterial(appMyContents, "text", textMaterial);
+
+            const textMesh = new THREE.Mesh(createTextPlane(primitiveData, textTexture), textMaterial);
+            // The material of the text is not replaced when its node is reused with another material
+            textMesh.userData.keepMaterial = true;
+            return textMesh;
+
+        case "sprite":
+            // Sprites are not lit, so they take the color and color map of the inherited material
+            const spriteSource = material ?? appMyContents.defaultMaterial;
+            const spriteMaterial = new THREE.SpriteMaterial({
+                color: spriteSource.color,
+                map: spriteSource.map ?? null,
+                opacity: spriteSource.opacity,
+                transparent: true
+            });
+            addGeneratedMaterial(appMyContents, "sprite", spriteMaterial);
+
+            return createSprite(primitiveData, spriteMaterial);
+
+        case "billboard":
+            // In pixels, the plane is scaled on every frame to keep its size on screen,
+            // so its texture is stretched over it as if it were of size 1
+            const billboardSize = parseSpriteSize(primitiveData);
+            const billboardWidth = billboardSize.units === "pixels" ? 1 : billboardSize.width;
+            const billboardHeight = billboardSize.units === "pixels" ? 1 : billboardSize.height;
+            geometry = new THREE.PlaneGeometry(billboardWidth, billboardHeight);
+
+            // Adjust UVs
+            adjustRectangleUVs(geometry, texlength_s, texlength_t, billboardWidth, billboardHeight);
+            break;
+
         case "polygon":
             const polygon_radius = validator.toValidFloat(primitiveData.radius, 1);
             const polygon_stacks = validator.toValidFloat(primitiveData.stacks, 3);
@@ -267,18 +574,7 @@ function createPrimitive(primitiveData, material, appMyContents/*, parentTransfo
                 polygonMaterial = appMyContents.defaultMaterialVertex.clone();
             }
             
-            // Creating a unique ID for the Polygon to be added in MyContents.materials object
-            let idBase = "polygon";
-            let id = idBase + "_01";
-            let counter = 1;
-
-            // Check if the ID already exists in the materials object and increment if necessary
-            while (appMyContents.materials[id]) {
-                counter++;
-                id = `${idBase}_${String(counter).padStart(2, '0')}`;
-            }
-
-            appMyContents.materials[id] = polygonMaterial;
+            addGeneratedMaterial(appMyContents, "polygon", polygonMaterial);
 
             // Create the mesh
             return new THREE.Mesh(geometry, polygonMaterial);
@@ -296,69 +592,286 @@ function createPrimitive(primitiveData, material, appMyContents/*, parentTransfo
             // If no inherited material, clone the default material to avoid modidying the original,
             // and add it to the list of materials.
             meshMaterial = appMyContents.defaultMaterial.clone();
+            addGeneratedMaterial(appMyContents, "default_mesh_material", meshMaterial);
+        }
 
-            // Creating a unique ID for the mesh to be added in MyContents.materials object
-            let idBase = "default_mesh_material";
-            let id = idBase + "_01";
-            let counter = 1;
+        // Remember how the UVs were adjusted, so they can be adjusted again if the material changes
+        geometry.userData.texlength = { s: texlength_s, t: texlength_t };
 
-            // Check if the ID already exists in the materials object and increment if necessary
-            while (appMyContents.materials[id]) {
-                counter++;
-                id = `${idBase}_${String(counter).padStart(2, '0')}`;
-            }
-            appMyContents.materials[id] = meshMaterial;
+        // Check if a texture map exists and apply specific scaling
+        setTextureRepeat(geometry, meshMaterial);
+
+        if (type === "billboard") {
+            return createBillboard(geometry, meshMaterial, primitiveData);
         }
+        return new THREE.Mesh(geometry, meshMaterial);
+    }
 
-        // Check if a texture map exists and apply specific scaling
-        if (meshMaterial.map) {
-            if (specialTextureHandling) {
-                if (type === "triangle") {
-                    // Special scaling for triangle
-                    const positions = geometry.attributes.position.array;
-                    const v1 = new THREE.Vector3(positions[0], positions[1], positions[2]);
-                    const v2 = new THREE.Vector3(positions[3], positions[4], positions[5]);
-                    const v3 = new THREE.Vector3(positions[6], positions[7], positions[8]);
-
-                    const edge1 = v2.clone().sub(v1);
-                    const edge2 = v3.clone().sub(v1);
-                    const triangleArea = edge1.cross(edge2).length() / 2;
-
-                    meshMaterial.map.repeat.set(
-                        triangleArea / meshMaterial.texlength_s,
-                        triangleArea / meshMaterial.texlength_t
-                    );
-                } else if (type === "nurbs") {
-                    // Special scaling for NURBS
-                    meshMaterial.map.repeat.set(
-                        validator.toValidFloat(primitiveData.parts_u, 10) / meshMaterial.texlength_s,
-                        validator.toValidFloat(primitiveData.parts_v, 10) / meshMaterial.texlength_t
-                    );
-                }
-            } else {
-                // General texture scaling for all other primitives
-                geometry.computeBoundingBox();
-                const boundingBox = geometry.boundingBox;
-
-                if (boundingBox) {
-                    const texScaleS = boundingBox.max.x - boundingBox.min.x;
-                    const texScaleT = boundingBox.max.y - boundingBox.min.y;
-
-                    meshMaterial.map.repeat.set(
-                        texScaleS / meshMaterial.texlength_s || 1,
-                        texScaleT / meshMaterial.texlength_t || 1
-                    );
-                }
-            }
+    return null;
+}
+
+/**
+ * Sets the texture repeat of a material's maps for the geometry of a primitive,
+ * from the size of its bounding box and the material's texlength_s and texlength_t.
+ * @param {THREE.BufferGeometry} geometry - The geometry created by createPrimitive.
+ * @param {THREE.Material} material - The material of the primitive.
+ */
+function setTextureRepeat(geometry, material) {
+    const textures = REPEATED_MAPS.map((property) => material[property]).filter(Boolean);
+    if (textures.length === 0) return;
+
+    geometry.computeBoundingBox();
+    const boundingBox = geometry.boundingBox;
+
+    for (const texture of textures) {
+        if (boundingBox) {
+            const texScaleS = boundingBox.max.x - boundingBox.min.x;
+            const texScaleT = boundingBox.max.y - boundingBox.min.y;
 
-            meshMaterial.map.needsUpdate = true;
+            texture.repeat.set(
+                texScaleS / material.texlength_s || 1,
+                texScaleT / material.texlength_t || 1
+            );
         }
 
-        const mesh = new THREE.Mesh(geometry, meshMaterial);
-        return mesh;
+        texture.needsUpdate = true;
     }
+}
 
-    return null;
+/**
+ * Adjusts the UV coordinates of a primitive's geometry again for new texture lengths (e.g. edited in the GUI).
+ * Every adjust*UVs function divides the coordinates by texlength_s and texlength_t, so adjusting them again
+ * rescales them by the ratio between the lengths they were adjusted for and the new ones.
+ * @param {THREE.BufferGeometry} geometry - The geometry created by createPrimitive.
+ * @param {Number} texlength_s - The new texture length in s direction.
+ * @param {Number} texlength_t - The new texture length in t direction.
+ */
+function readjustUVs(geometry, texlength_s, texlength_t) {
+    const texlength = geometry.userData.texlength;
+    const uvAttribute = geometry.attributes.uv;
+    if (!texlength || !uvAttribute) return;
+
+    const scaleS = texlength.s / texlength_s;
+    const scaleT = texlength.t / texlength_t;
+    for (let i = 0; i < uvAttribute.count; i++) {
+        uvAttribute.setXY(i, uvAttribute.getX(i) * scaleS, uvAttribute.getY(i) * scaleT);
+    }
+    uvAttribute.needsUpdate = true;
+
+    geometry.userData.texlength = { s: texlength_s, t: texlength_t };
+}
+
+/**
+ * Adds a material created for a primitive to the MyContents.materials object, with a unique ID
+ * made of a base and a counter (e.g. "polygon_01").
+ * @param {*} appMyContents - Reference to MyContents.js.
+ * @param {String} idBase - The base of the ID.
+ * @param {THREE.Material} material - The material to add.
+ */
+function addGeneratedMaterial(appMyContents, idBase, material) {
+    let id = idBase + "_01";
+    let counter = 1;
+
+    // Check if the ID already exists in the materials object and increment if necessary
+    while (appMyContents.materials[id]) {
+        counter++;
+        id = `${idBase}_${String(counter).padStart(2, '0')}`;
+    }
+
+    appMyContents.materials[id] = material;
+}
+
+/**
+ * Parses the control points of a NURBS. Missing points are placed at the origin.
+ * @param {Array} points - The "controlpoints" of the primitive, with x, y, z and an optional weight w.
+ * @param {Number} count - The number of control points the NURBS needs.
+ * @param {MyValidationUtils} validator - The validator.
+ * @returns {Array} - The [x, y, z, w] control points.
+ */
+function parseControlPoints(points, count, validator) {
+    const controlPoints = [];
+
+    for (let i = 0; i < count; i++) {
+        const point = points?.[i] || {};
+        const w = validator.toValidFloat(point.w, 1);
+        controlPoints.push([
+            validator.toValidFloat(point.x, 0),
+            validator.toValidFloat(point.y, 0),
+            validator.toValidFloat(point.z, 0),
+            w > 0 ? w : 1
+        ]);
+    }
+
+    return controlPoints;
+}
+
+/**
+ * Parses the knot vector of a NURBS along one direction.
+ * @param {Array} knots - The knot vector of the primitive, if any.
+ * @param {Number} pointCount - The number of control points along that direction.
+ * @param {Number} degree - The degree along that direction.
+ * @returns {Array|undefined} - The knot vector, or undefined for the default clamped uniform one.
+ */
+function parseKnots(knots, pointCount, degree) {
+    if (knots === undefined) return undefined;
+
+    if (!isValidKnotVector(knots, pointCount, degree)) {
+        console.warn(`Invalid knot vector for ${pointCount} control points of degree ${degree}. Using a uniform one.`);
+        return undefined;
+    }
+    return knots;
+}
+
+/**
+ * Creates the NURBS curve of a "nurbscurve" or "tube" primitive.
+ * @param {Object} primitiveData - The data for the primitive: degree (or order), knots and controlpoints.
+ * @param {*} appMyContents - Reference to MyContents.js.
+ * @param {MyValidationUtils} validator - The validator.
+ * @returns {NURBSCurve} - The curve.
+ */
+function createNurbsCurve(primitiveData, appMyContents, validator) {
+    // A curve needs one more control point than its degree, and at least two
+    const pointCount = Math.max(primitiveData.controlpoints?.length ?? 0, 2);
+    const degree = Math.min(getNurbsDegree(primitiveData, ""), pointCount - 1);
+    const controlPoints = parseControlPoints(primitiveData.controlpoints, pointCount, validator);
+
+    const nurbsBuilder = new MyNurbsBuilder(appMyContents.app);
+    return nurbsBuilder.buildCurve(controlPoints, degree, parseKnots(primitiveData.knots, pointCount, degree));
+}
+
+/**
+ * Parses the trimming loops of a "nurbs" primitive: NURBS curves in the (u, v) parameter space of the surface,
+ * sampled into closed polygons.
+ * @param {Array} trimsData - The "trims" of the primitive, if any: curves with degree (or order), knots,
+ * controlpoints (x for u, y for v, from 0 to 1), parts and keep ("inside" or "outside", the default).
+ * @param {*} appMyContents - Reference to MyContents.js.
+ * @param {MyValidationUtils} validator - The validator.
+ * @returns {Array<Object>} - The loops, as { points, keep }.
+ */
+function parseTrimLoops(trimsData, appMyContents, validator) {
+    if (!Array.isArray(trimsData)) return [];
+
+    return trimsData.filter((trimData) => trimData && typeof trimData === "object").map((trimData) => {
+        let keep = trimData.keep ?? "outside";
+        if (!TRIM_KEEP.includes(keep)) {
+            console.warn(`Invalid trimming loop 'keep' value '${keep}'. Using 'outside'.`);
+            keep = "outside";
+        }
+
+        const curve = createNurbsCurve(trimData, appMyContents, validator);
+        const points = curve.getPoints(validator.toValidFloat(trimData.parts, 32))
+            .map((point) => new THREE.Vector2(point.x, point.y));
+
+        return { points: points, keep: keep };
+    });
+}
+
+/**
+ * Creates the 2D outline of a "shape" or "extrude" primitive, with its holes.
+ * @param {Object} primitiveData - The data for the primitive: points of the outline and holes (lists of points).
+ * @param {MyValidationUtils} validator - The validator.
+ * @returns {THREE.Shape|null} - The outline, or null if it has less than 3 points.
+ */
+function createShape(primitiveData, validator) {
+    const toPoints = (points) => (Array.isArray(points) ? points : []).map((point) => new THREE.Vector2(
+        validator.toValidFloat(point?.x, 0),
+        validator.toValidFloat(point?.y, 0)
+    ));
+
+    const points = toPoints(primitiveData.points);
+    if (points.length < 3) {
+        console.warn(`A ${primitiveData.type} needs at least 3 points in its outline.`);
+        return null;
+    }
+
+    const shape = new THREE.Shape(points);
+    for (const hole of primitiveData.holes ?? []) {
+        const holePoints = toPoints(hole);
+        if (holePoints.length < 3) {
+            console.warn(`A ${primitiveData.type} hole needs at least 3 points. Skipping hole.`);
+            continue;
+        }
+        shape.holes.push(new THREE.Path(holePoints));
+    }
+
+    return shape;
+}
+
+/**
+ * Creates a cylinder (or a cone, with a top radius of 0), which can be partial and have either cap.
+ * THREE.CylinderGeometry only closes both caps or none, so the cap left open is removed from the index.
+ * @param {Number} topRadius - The radius of the top.
+ * @param {Number} baseRadius - The radius of the base.
+ * @param {Number} height - The height.
+ * @param {Number} slices - The number of segments around the cylinder.
+ * @param {Number} stacks - The number of segments along its height.
+ * @param {Boolean} capTop - Whether the top is closed.
+ * @param {Boolean} capBottom - Whether the base is closed.
+ * @param {Number} thetaStart - The start angle of the sides, in radians.
+ * @param {Number} thetaLength - The central angle of the sides, in radians.
+ * @returns {THREE.CylinderGeometry} - The geometry.
+ */
+function createCylinderGeometry(topRadius, baseRadius, height, slices, stacks, capTop, capBottom, thetaStart, thetaLength) {
+    const geometry = new THREE.CylinderGeometry(
+        topRadius,
+        baseRadius,
+        height,
+        slices,
+        stacks,
+        !capTop && !capBottom,
+        thetaStart,
+        thetaLength
+    );
+    if (capTop === capBottom) return geometry;
+
+    // The groups of the geometry are the sides, the top cap (material index 1) and the bottom cap (2)
+    const openCap = capTop ? 2 : 1;
+    const indices = geometry.index.array;
+    const keptIndices = [];
+    const groups = geometry.groups;
+    geometry.clearGroups();
+
+    for (const group of groups) {
+        if (group.materialIndex === openCap) continue;
+
+        geometry.addGroup(keptIndices.length, group.count, group.materialIndex);
+        for (let i = group.start; i < group.start + group.count; i++) {
+            keptIndices.push(indices[i]);
+        }
+    }
+    geometry.setIndex(keptIndices);
+
+    return geometry;
+}
+
+/**
+ * Computes the length of the path a torus knot winds along, to map its texture by length.
+ * @param {Number} radius - The radius of the knot.
+ * @param {Number} p - How many times the knot winds around its axis of rotational symmetry.
+ * @param {Number} q - How many times the knot winds around the interior of the torus.
+ * @param {Number} segments - The number of segments the path is divided into.
+ * @returns {Number} - The length of the path, as THREE.TorusKnotGeometry builds it.
+ */
+function getTorusKnotLength(radius, p, q, segments) {
+    // Same curve as THREE.TorusKnotGeometry
+    const getPoint = (u) => {
+        const quOverP = (q / p) * u;
+        const cs = Math.cos(quOverP);
+        return new THREE.Vector3(
+            radius * (2 + cs) * 0.5 * Math.cos(u),
+            radius * (2 + cs) * Math.sin(u) * 0.5,
+            radius * Math.sin(quOverP) * 0.5
+        );
+    };
+
+    let length = 0;
+    let previous = getPoint(0);
+    for (let i = 1; i <= segments; i++) {
+        const point = getPoint((i / segments) * p * Math.PI * 2);
+        length += point.distanceTo(previous);
+        previous = point;
+    }
+    return length;
 }
 
 /**
@@ -448,24 +961,44 @@ function adjustBoxUVs(geometry, texlength_s, texlength_t, width, height, depth)
 
 /**
  * Adjusts the UV coordinates of the cylinder geometry based on texlength_s and texlength_t.
- * @param {THREE.CylinderGeometry} geometry - The geometry to adjust.
+ * Also used by cones and capsules, whose s coordinate goes around them like that of a cylinder.
+ * @param {THREE.BufferGeometry} geometry - The geometry to adjust.
  * @param {Number} texlength_s - The texture length in s direction.
  * @param {Number} texlength_t - The texture length in t direction.
  * @param {Number} height - The height of the cylinder.
- * @param {Number} radius - The radius of the cylinder.
+ * @param {Number} arcLength - The length around the cylinder, at its widest radius.
  */
-function adjustCylinderUVs(geometry, texlength_s, texlength_t, height, radius) {
+function adjustCylinderUVs(geometry, texlength_s, texlength_t, height, arcLength) {
     const uvAttribute = geometry.attributes.uv;
 
     // Adjust UVs for side faces
     for (let i = 0; i < uvAttribute.count; i++) {
-        const u = uvAttribute.getX(i) * (2 * Math.PI * radius) / texlength_s;
+        const u = uvAttribute.getX(i) * arcLength / texlength_s;
         const v = uvAttribute.getY(i) * height / texlength_t;
         uvAttribute.setXY(i, u, v);
     }
     uvAttribute.needsUpdate = true;
 }
 
+/**
+ * Adjusts the UV coordinates of a geometry swept along a path (torus and torus knot) based on texlength_s and texlength_t.
+ * @param {THREE.BufferGeometry} geometry - The geometry to adjust.
+ * @param {Number} texlength_s - The texture length in s direction.
+ * @param {Number} texlength_t - The texture length in t direction.
+ * @param {Number} length - The length of the path, along the s coordinate.
+ * @param {Number} circumference - The length around the tube, along the t coordinate.
+ */
+function adjustTubeUVs(geometry, texlength_s, texlength_t, length, circumference) {
+    const uvAttribute = geometry.attributes.uv;
+
+    for (let i = 0; i < uvAttribute.count; i++) {
+        const u = uvAttribute.getX(i) * length / texlength_s;
+        const v = uvAttribute.getY(i) * circumference / texlength_t;
+        uvAttribute.setXY(i, u, v);
+    }
+    uvAttribute.needsUpdate = true;
+}
+
 /**
  * Adjusts the UV coordinates of the sphere geometry based on texlength_s and texlength_t.
  * @param {THREE.SphereGeometry} geometry - The geometry to adjust.
@@ -500,4 +1033,23 @@ function adjustNURBSUVs(geometry, texlength_s, texlength_t) {
     uvAttribute.needsUpdate = true;
 }
 
-export { createPrimitive };
+/**
+ * Adjusts the UV coordinates of the shape and extrude geometries based on texlength_s and texlength_t.
+ * Their UVs are already in scene units (the coordinates of the outline, and the depth on the sides).
+ * Also used for the UVs given with a mesh, which are taken to be in scene units too.
+ * @param {THREE.BufferGeometry} geometry - The geometry to adjust.
+ * @param {Number} texlength_s - The texture length in s direction.
+ * @param {Number} texlength_t - The texture length in t direction.
+ */
+function adjustShapeUVs(geometry, texlength_s, texlength_t) {
+    const uvAttribute = geometry.attributes.uv;
+
+    for (let i = 0; i < uvAttribute.count; i++) {
+        const u = uvAttribute.getX(i) / texlength_s;
+        const v = uvAttribute.getY(i) / texlength_t;
+        uvAttribute.setXY(i, u, v);
+    }
+    uvAttribute.needsUpdate = true;
+}
+
+export { createPrimitive, readjustUVs, setTextureRepeat, REPEATED_MAPS, PRIMITIVE_TYPES };
@@ -0,0 +1,136 @@
+/**
+ * Builds the reference graph of a YASF "graph" block: for every node or LOD id, the ids it references
+ * through "nodesList", "lodsList", "noderef" children and "lodNodes" (of LODs and inline "lod" children).
+ * @param {Object} graphData - The graph data from YASF.
+ * @returns {Map<String, Array<String>>} - A map from node/LOD id to the ids it references, in declaration order.
+ */
+function buildReferenceGraph(graphData = {}) {
+    const referenceGraph = new Map();
+
+    for (const nodeId in graphData) {
+        if (nodeId === "rootid") continue;
+
+        const nodeData = graphData[nodeId];
+        const references = [];
+
+        if (Array.isArray(nodeData?.lodNodes)) {
+            references.push(...getLodNodeIds(nodeData));
+        }
+
+        const children = nodeData?.children;
+        if (children && typeof children === "object") {
+            for (const childId in children) {
+                const childData = children[childId];
+
+                if (childId === "nodesList" || childId === "lodsList") {
+                    if (Array.isArray(childData)) {
+                        references.push(...childData.filter((id) => typeof id === "string"));
+                    }
+                } else if (childData?.type === "noderef" && typeof childData.nodeId === "string") {
+                    references.push(childData.nodeId);
+                } else if (childData?.type === "lod") {
+                    references.push(...getLodNodeIds(childData));
+                }
+            }
+        }
+
+        referenceGraph.set(nodeId, references);
+    }
+
+    return referenceGraph;
+}
+
+/**
+ * Gets the node ids of the levels of a LOD.
+ * @param {Object} lodData - The LOD data.
+ * @returns {Array<String>} - The node ids of each level.
+ */
+function getLodNodeIds(lodData) {
+    if (!Array.isArray(lodData.lodNodes)) return [];
+
+    return lodData.lodNodes
+        .map((lodEntry) => lodEntry?.nodeId)
+        .filter((id) => typeof id === "string");
+}
+
+/**
+ * Finds the reference cycles in a reference graph, starting from the root node and then from any
+ * node not reachable from it. Each cycle is reported once, as the path from the node that starts it
+ * back to itself (e.g. ["chair", "leg", "chair"]), preceded by the path from where the search started.
+ * @param {Map<String, Array<String>>} referenceGraph - The graph built by buildReferenceGraph.
+ * @param {String} rootId - The id of the root node.
+ * @returns {Array<Array<String>>} - The paths of each cycle found (e.g. ["scene", "chair", "leg", "chair"]).
+ */
+function findReferenceCycles(referenceGraph, rootId) {
+    const cycles = [];
+    const visited = new Set();
+    const path = [];
+    const onPath = new Set();
+
+    const visit = (nodeId) => {
+        if (onPath.has(nodeId)) {
+            cycles.push([...path, nodeId]);
+            return;
+        }
+        if (visited.has(nodeId) || !referenceGraph.has(nodeId)) return;
+
+        visited.add(nodeId);
+        path.push(nodeId);
+        onPath.add(nodeId);
+
+        for (const referencedId of referenceGraph.get(nodeId)) {
+            visit(referencedId);
+        }
+
+        path.pop();
+        onPath.delete(nodeId);
+    };
+
+    if (rootId) visit(rootId);
+    for (const nodeId of referenceGraph.keys()) {
+        visit(nodeId);
+    }
+
+    return cycles;
+}
+
+/**
+ * Finds the node, LOD and material ids that are referenced in the graph but not defined.
+ * @param {Object} graphData - The graph data from YASF.
+ * @param {Map<String, Array<String>>} referenceGraph - The graph built by buildReferenceGraph.
+ * @param {Set<String>} materialIds - The ids of the materials defined in the file.
+ * @returns {Array<Object>} - One { kind: "node" | "material", id, referencedBy } entry per unresolved reference.
+ */
+function findUnresolvedReferences(graphData, referenceGraph, materialIds) {
+    const unresolved = [];
+
+    if (graphData?.rootid && !referenceGraph.has(graphData.rootid)) {
+        unresolved.push({ kind: "node", id: graphData.rootid, referencedBy: "rootid" });
+    }
+
+    for (const [nodeId, references] of referenceGraph) {
+        for (const referencedId of references) {
+            if (!referenceGraph.has(referencedId)) {
+                unresolved.push({ kind: "node", id: referencedId, referencedBy: nodeId });
+            }
+        }
+
+        const materialId = graphData[nodeId]?.materialref?.materialId;
+        if (materialId && !materialIds.has(materialId)) {
+            unresolved.push({ kind: "material", id: materialId, referencedBy: nodeId });
+        }
+    }
+
+    return unresolved;
+}
+
+/**
+ * Formats a cycle path for log messages (e.g. "scene → chair → leg → chair").
+ * @param {Array<String>} cycle - The cycle path.
+ * @returns {String} - The formatted path.
+ */
+function formatCycle(cycle) {
+    return cycle.join(" → ");
+}
+
+export { buildReferenceGraph, findReferenceCycles, findUnresolvedReferences, formatCycle };
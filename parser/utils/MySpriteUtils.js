@@ -0,0 +1,133 @@
+import * as THREE from 'three';
+import { MyValidationUtils } from './MyValidationUtils.js';
+
+// Units of the width and height of sprites and billboards
+const SPRITE_UNITS = ["world", "pixels"];
+
+// Reused by followCamera on every frame
+const cameraPosition = new THREE.Vector3();
+const parentScale = new THREE.Vector3();
+const canvasSize = new THREE.Vector2();
+
+/**
+ * Reads the size of a "sprite" or "billboard" primitive.
+ * @param {Object} spriteData - The data for the primitive.
+ * @returns {Object} - { width, height, units }, where units is "world" or "pixels".
+ */
+function parseSpriteSize(spriteData) {
+    const validator = new MyValidationUtils();
+
+    let units = spriteData.units ?? "world";
+    if (!SPRITE_UNITS.includes(units)) {
+        console.warn(`Invalid sprite units '${units}'. Using 'world'.`);
+        units = "world";
+    }
+
+    return {
+        width: validator.toValidFloat(spriteData.width, units === "pixels" ? 64 : 1),
+        height: validator.toValidFloat(spriteData.height, units === "pixels" ? 64 : 1),
+        units: units
+    };
+}
+
+/**
+ * A sprite whose size may be given in pixels. Its settings are kept in its userData,
+ * so clones of the sprite (e.g. in reused nodes) behave the same.
+ */
+class MySprite extends THREE.Sprite {
+    onBeforeRender(renderer, scene, camera) {
+        followCamera(this, renderer, camera, false);
+    }
+}
+
+/**
+ * A plane turning around its vertical axis to face the camera, like a sign, whose size may be given in pixels.
+ */
+class MyBillboard extends THREE.Mesh {
+    onBeforeRender(renderer, scene, camera) {
+        followCamera(this, renderer, camera, true);
+    }
+}
+
+/**
+ * Creates a "sprite" primitive: a sprite, which always faces the camera.
+ * @param {Object} spriteData - The data for the primitive.
+ * @param {THREE.SpriteMaterial} material - The material of the sprite.
+ * @returns {MySprite} - The sprite.
+ */
+function createSprite(spriteData, material) {
+    const size = parseSpriteSize(spriteData);
+    const sprite = new MySprite(material);
+    sprite.scale.set(size.width, size.height, 1);
+    sprite.userData.spriteSize = size;
+
+    return sprite;
+}
+
+/**
+ * Creates the mesh of a "billboard" primitive.
+ * @param {THREE.BufferGeometry} geometry - The plane of the billboard, as large as its size in world units,
+ * or of size 1 in pixels.
+ * @param {THREE.Material} material - The material of the billboard.
+ * @param {Object} spriteData - The data for the primitive.
+ * @returns {MyBillboard} - The billboard.
+ */
+function createBillboard(geometry, material, spriteData) {
+    const billboard = new MyBillboard(geometry, material);
+    billboard.userData.spriteSize = parseSpriteSize(spriteData);
+
+    return billboard;
+}
+
+/**
+ * Updates a sprite or billboard before it is rendered by each camera: its scale, so its size on screen
+ * is its size in pixels, and its rotation, so it faces the camera.
+ * @param {THREE.Object3D} object - The sprite or billboard.
+ * @param {THREE.WebGLRenderer} renderer - The renderer.
+ * @param {THREE.Camera} camera - The camera rendering it.
+ * @param {Boolean} faceCamera - Whether to turn the object around its vertical axis towards the camera.
+ */
+function followCamera(object, renderer, camera, faceCamera) {
+    const size = object.userData.spriteSize;
+    if (!size || (size.units !== "pixels" && !faceCamera)) return;
+
+    if (size.units === "pixels") {
+        const unitsPerPixel = getWorldUnitsPerPixel(object, camera, renderer.getSize(canvasSize).y);
+        parentScale.set(1, 1, 1);
+        object.parent?.getWorldScale(parentScale);
+        object.scale.set(
+            size.width * unitsPerPixel / parentScale.x,
+            size.height * unitsPerPixel / parentScale.y,
+            1
+        );
+    }
+
+    if (faceCamera) {
+        // Position of the camera in the space of the object's parent
+        cameraPosition.setFromMatrixPosition(camera.matrixWorld);
+        object.parent?.worldToLocal(cameraPosition);
+        object.rotation.set(0, Math.atan2(cameraPosition.x - object.position.x, cameraPosition.z - object.position.z), 0);
+    }
+
+    object.updateMatrixWorld();
+}
+
+/**
+ * Computes the size in world units of a pixel of the canvas, at the distance of an object from the camera.
+ * @param {THREE.Object3D} object - The object.
+ * @param {THREE.Camera} camera - The camera rendering it.
+ * @param {Number} canvasHeight - The height of the canvas, in CSS pixels.
+ * @returns {Number} - The world units per pixel.
+ */
+function getWorldUnitsPerPixel(object, camera, canvasHeight) {
+    // Vertical scale of the projection: 1 / tan(fov / 2) for perspective cameras, 2 * zoom / (top - bottom) for orthographic ones
+    const projectionScale = camera.projectionMatrix.elements[5];
+    const viewHeight = 2 / (projectionScale * canvasHeight);
+
+    if (!camera.isPerspectiveCamera) return viewHeight;
+
+    const depth = -object.getWorldPosition(new THREE.Vector3()).applyMatrix4(camera.matrixWorldInverse).z;
+    return viewHeight * Math.max(depth, camera.near);
+}
+
+export { createSprite, createBillboard, parseSpriteSize, MySprite, MyBillboard, SPRITE_UNITS };
@@ -0,0 +1,134 @@
+import * as THREE from 'three';
+import { TextGeometry } from 'three/addons/geometries/TextGeometry.js';
+import { MyValidationUtils } from './MyValidationUtils.js';
+
+// Ways to render a "text" primitive: geometry from the glyphs of a typeface font, or a canvas texture on a plane
+const TEXT_RENDER_MODES = ["geometry", "canvas"];
+
+// Horizontal alignments of the text, relative to the origin of its node
+const TEXT_ALIGNMENTS = ["left", "center", "right"];
+
+// Height of the canvas texture of a text relative to its size, leaving room for the descenders
+const CANVAS_LINE_HEIGHT = 1.25;
+
+/**
+ * Collects the file paths of the typeface fonts used by "text" primitives in a YASF "graph" block,
+ * so they can be loaded before the graph is parsed.
+ * @param {Object} graphData - The graph data from YASF.
+ * @returns {Set<String>} - The distinct font file paths.
+ */
+function collectFontPaths(graphData = {}) {
+    const filepaths = new Set();
+
+    for (const nodeId in graphData) {
+        const children = graphData[nodeId]?.children;
+        if (!children || typeof children !== "object") continue;
+
+        for (const childId in children) {
+            const childData = children[childId];
+            if (childData?.type === "text" && childData.render !== "canvas" && typeof childData.font === "string") {
+                filepaths.add(childData.font);
+            }
+        }
+    }
+
+    return filepaths;
+}
+
+/**
+ * Gets how a "text" primitive is rendered: as geometry when it has a font, else on a canvas texture.
+ * @param {Object} textData - The data for the text primitive.
+ * @returns {String} - "geometry" or "canvas".
+ */
+function getTextRenderMode(textData) {
+    if (TEXT_RENDER_MODES.includes(textData.render)) return textData.render;
+    if (textData.render !== undefined) {
+        console.warn(`Invalid text render mode '${textData.render}'. Expected one of: ${TEXT_RENDER_MODES.join(", ")}.`);
+    }
+    return typeof textData.font === "string" ? "geometry" : "canvas";
+}
+
+/**
+ * Creates the geometry of a "text" primitive from the glyphs of its font: flat, or extruded
+ * by its depth with an optional bevel. The baseline of the text lies on the X axis.
+ * @param {Object} textData - The data for the text primitive.
+ * @param {Font} font - The loaded typeface font.
+ * @returns {THREE.BufferGeometry} - The geometry.
+ */
+function createTextGeometry(textData, font) {
+    const validator = new MyValidationUtils();
+    const text = validator.validateString(textData.text) ?? "";
+    const size = validator.toValidFloat(textData.size, 0.5);
+    const depth = validator.toValidFloat(textData.depth, 0);
+    const bevelData = textData.bevel;
+
+    let geometry;
+    if (depth > 0) {
+        geometry = new TextGeometry(text, {
+            font: font,
+            size: size,
+            // Named "depth" in later versions of THREE.js
+            height: depth,
+            curveSegments: 4,
+            // The bevel is enabled when its block is present, as for the "extrude" primitive
+            bevelEnabled: Boolean(bevelData),
+            bevelThickness: validator.toValidFloat(bevelData?.thickness, 0.1),
+            bevelSize: validator.toValidFloat(bevelData?.size, 0.1),
+            bevelOffset: validator.toValidFloat(bevelData?.offset, 0),
+            bevelSegments: validator.toValidFloat(bevelData?.segments, 3)
+        });
+    } else {
+        geometry = new THREE.ShapeGeometry(font.generateShapes(text, size), 4);
+    }
+
+    geometry.computeBoundingBox();
+    alignText(geometry, textData.align, geometry.boundingBox.max.x - geometry.boundingBox.min.x, geometry.boundingBox.min.x);
+
+    return geometry;
+}
+
+/**
+ * Creates the plane of a "text" primitive rendered on a canvas texture. The plane is as high as the line
+ * of text, with its bottom on the X axis, and as wide as the text drawn on the texture.
+ * @param {Object} textData - The data for the text primitive.
+ * @param {THREE.Texture} texture - The texture the text is drawn on (see MyContents.createTextTexture).
+ * @returns {THREE.PlaneGeometry} - The geometry.
+ */
+function createTextPlane(textData, texture) {
+    const validator = new MyValidationUtils();
+    const height = validator.toValidFloat(textData.size, 0.5) * CANVAS_LINE_HEIGHT;
+    const width = height * (texture.image.width / texture.image.height);
+
+    const geometry = new THREE.PlaneGeometry(width, height);
+    geometry.translate(0, height / 2, 0);
+    alignText(geometry, textData.align, width, -width / 2);
+
+    return geometry;
+}
+
+/**
+ * Moves the geometry of a text so its origin is at its left end, center or right end.
+ * @param {THREE.BufferGeometry} geometry - The geometry of the text.
+ * @param {String} align - "left" (default), "center" or "right".
+ * @param {Number} width - The width of the text.
+ * @param {Number} left - The X coordinate of its left end.
+ */
+function alignText(geometry, align = "left", width, left) {
+    if (!TEXT_ALIGNMENTS.includes(align)) {
+        console.warn(`Invalid text alignment '${align}'. Using 'left'.`);
+        align = "left";
+    }
+
+    const start = { left: 0, center: -width / 2, right: -width }[align];
+    geometry.translate(start - left, 0, 0);
+}
+
+export {
+    collectFontPaths,
+    getTextRenderMode,
+    createTextGeometry,
+    createTextPlane,
+    TEXT_RENDER_MODES,
+    TEXT_ALIGNMENTS,
+    CANVAS_LINE_HEIGHT
+};
@@ -3,32 +3,24 @@ import { MyValidationUtils } from './MyValidationUtils.js';
 
 /**
  * Apply transformations to a group based on the transforms array.
- * @param {THREE.Group} group - The group to apply transformations to.
+ * The transforms work like an OpenGL transformation stack: each entry is turned into a matrix and
+ * multiplied, in the declared order, into the group's local matrix (so the last entry is the first
+ * one applied to the geometry).
+ * @param {THREE.Object3D} group - The group to apply transformations to.
  * @param {Array} transforms - The transformations to apply.
  */
 function applyTransformations(group, transforms) {
-    const validator = new MyValidationUtils();
-    
-    transforms.forEach(transform => {
-        const { type, amount } = transform;
-        if (type === "translate") {
-            group.position.set(
-                validator.toValidFloat(amount.x),
-                validator.toValidFloat(amount.y),
-                validator.toValidFloat(amount.z)
-            );
-        } else if (type === "rotate") {
-            group.rotation.x = THREE.MathUtils.degToRad(validator.validateAngle(amount.x, -360, 360, 0));
-            group.rotation.y = THREE.MathUtils.degToRad(validator.validateAngle(amount.y, -360, 360, 0));
-            group.rotation.z = THREE.MathUtils.degToRad(validator.validateAngle(amount.z, -360, 360, 0));
-        } else if (type === "scale") {
-            group.scale.set(
-                validator.toValidFloat(amount.x, 1),
-                validator.toValidFloat(amount.y, 1),
-                validator.toValidFloat(amount.z, 1)
-            );
-        }
-    });
+    const localMatrix = createLocalMatrix(transforms);
+
+    // Keep position/quaternion/scale in sync so the node can still be moved or animated
+    localMatrix.decompose(group.position, group.quaternion, group.scale);
+
+    // A non-uniform scale followed by a rotation produces a shear, which position/quaternion/scale
+    // cannot represent, so the exact matrix is used instead. Such nodes cannot be animated
+    if (isSheared(localMatrix)) {
+        group.matrix.copy(localMatrix);
+        group.matrixAutoUpdate = false;
+    }
 
     /**
      * IF THERE IS EVER THE NEED TO GET THE TRANSFORM EXPLICITLY SHOWN:
@@ -45,4 +37,119 @@ function applyTransformations(group, transforms) {
     
 }
 
-export { applyTransformations };
+/**
+ * Multiplies the matrices of a transforms array, in the declared order.
+ * @param {Array} transforms - The transformations.
+ * @returns {THREE.Matrix4} - The local matrix.
+ */
+function createLocalMatrix(transforms) {
+    const validator = new MyValidationUtils();
+    const localMatrix = new THREE.Matrix4();
+
+    transforms.forEach(transform => {
+        const transformMatrix = createTransformMatrix(transform, validator);
+        if (transformMatrix) {
+            localMatrix.multiply(transformMatrix);
+        }
+    });
+
+    return localMatrix;
+}
+
+/**
+ * Checks if the transforms of a node produce a shear, so the node keeps its exact matrix
+ * and its position, rotation and scale cannot be animated.
+ * @param {Array} transforms - The transformations of the node.
+ * @returns {Boolean} - True if the transforms produce a shear.
+ */
+function hasShear(transforms) {
+    return isSheared(createLocalMatrix(transforms));
+}
+
+/**
+ * Checks if a matrix cannot be decomposed into a position, a rotation and a scale.
+ * @param {THREE.Matrix4} matrix - The matrix.
+ * @returns {Boolean} - True if the matrix has a shear.
+ */
+function isSheared(matrix) {
+    const position = new THREE.Vector3();
+    const quaternion = new THREE.Quaternion();
+    const scale = new THREE.Vector3();
+    matrix.decompose(position, quaternion, scale);
+
+    return !matricesAreEqual(new THREE.Matrix4().compose(position, quaternion, scale), matrix);
+}
+
+/**
+ * Creates the matrix of a single transform entry.
+ * Supported types: "translate", "rotate" (Euler angles in degrees, XYZ order), "scale",
+ * "quaternion" ({x, y, z, w}, normalized) and "matrix" (16 numbers, row-major).
+ * @param {Object} transform - The transform entry, with "type" and "amount".
+ * @param {MyValidationUtils} validator - The validator used to parse the values.
+ * @returns {THREE.Matrix4|null} - The transform matrix, or null if the transform is invalid.
+ */
+function createTransformMatrix(transform, validator) {
+    const { type, amount } = transform;
+
+    switch (type) {
+        case "translate":
+            return new THREE.Matrix4().makeTranslation(
+                validator.toValidFloat(amount?.x),
+                validator.toValidFloat(amount?.y),
+                validator.toValidFloat(amount?.z)
+            );
+
+        case "rotate":
+            return new THREE.Matrix4().makeRotationFromEuler(new THREE.Euler(
+                THREE.MathUtils.degToRad(validator.toValidFloat(amount?.x)),
+                THREE.MathUtils.degToRad(validator.toValidFloat(amount?.y)),
+                THREE.MathUtils.degToRad(validator.toValidFloat(amount?.z))
+            ));
+
+        case "scale":
+            return new THREE.Matrix4().makeScale(
+                validator.toValidFloat(amount?.x, 1),
+                validator.toValidFloat(amount?.y, 1),
+                validator.toValidFloat(amount?.z, 1)
+            );
+
+        case "quaternion": {
+            const quaternion = new THREE.Quaternion(
+                validator.toValidFloat(amount?.x),
+                validator.toValidFloat(amount?.y),
+                validator.toValidFloat(amount?.z),
+                validator.toValidFloat(amount?.w, 1)
+            );
+            if (quaternion.lengthSq() === 0) {
+                console.warn("Invalid quaternion transform with zero length. Skipping transform.");
+                return null;
+            }
+            return new THREE.Matrix4().makeRotationFromQuaternion(quaternion.normalize());
+        }
+
+        case "matrix": {
+            if (!Array.isArray(amount) || amount.length !== 16) {
+                console.warn("Invalid matrix transform: 'amount' must be an array of 16 numbers. Skipping transform.");
+                return null;
+            }
+            const values = amount.map((value) => validator.toValidFloat(value));
+            return new THREE.Matrix4().set(...values);
+        }
+
+        default:
+            console.warn(`Unknown transform type '${type}'. Skipping transform.`);
+            return null;
+    }
+}
+
+/**
+ * Compares two matrices element by element, with a tolerance for floating-point errors.
+ * @param {THREE.Matrix4} a - The first matrix.
+ * @param {THREE.Matrix4} b - The second matrix.
+ * @returns {Boolean} - True if all elements are (nearly) equal.
+ */
+function matricesAreEqual(a, b) {
+    return a.elements.every((value, index) => Math.abs(value - b.elements[index]) < 1e-6);
+}
+
+export { applyTransformations, hasShear };
@@ -129,6 +129,17 @@ class MyValidationUtils {
         return [bottom, top];
     }
 
+    /**
+     * Ensures the zoom of an orthographic camera is positive.
+     * @param {Number} value - The zoom value to validate.
+     * @param {Number} defaultValue - The default value if invalid.
+     * @returns {Number} - A valid zoom value > 0.
+     */
+    validateZoom(value, defaultValue = 1) {
+        const zoom = this.toValidFloat(value, defaultValue);
+        return zoom > 0 ? zoom : defaultValue;
+    }
+
     /**
      * Validates a distance parameter to ensure it's non-negative.
      * Used for properties like light distance.